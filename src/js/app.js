@@ -6,14 +6,31 @@
 class App {
     constructor(config) {
         this.config = config || {};
-        this.container = config.container || document.getElementById('app');
-        this.zones = config.zones || [];
-        this.sounds = config.sounds || [];
+        this.container = this.config.container || document.getElementById('app');
+        this.kitIndexUrl = this.config.kitIndexUrl || 'src/kits/index.json';
+        
+        // Current kit (zones and sound files come from its manifest)
+        this.kitIndex = null;
+        this.kit = null;
+        this.zones = [];
+        this.sounds = [];
         
         // Module instances
         this.audioManager = null;
         this.zoneManager = null;
         this.inputHandler = null;
+        this.recorder = null;
+        this.offlineRenderer = null;
+        this.midiWriter = null;
+        this.midiPlayer = null;
+        this.metronome = null;
+        this.tempoTracker = null;
+        this.loopStation = null;
+        this.midiInput = null;
+        this.gamepadInput = null;
+        this.sequencer = null;
+        this.practiceTrainer = null;
+        this.userSamples = null;
         
         // State
         this.isReady = false;
@@ -31,9 +48,6 @@ class App {
      */
     async init() {
         try {
-            if (window.DebugLogger) {
-                window.DebugLogger.log('App.init: start. zones=', (this.zones && this.zones.length) || 0, 'sounds=', (this.sounds && this.sounds.length) || 0);
-            }
             // Get DOM references
             this.loadingIndicator = document.getElementById('loading-indicator');
             this.errorMessage = document.getElementById('error-message');
@@ -44,6 +58,16 @@ class App {
                 this.loadingIndicator.classList.remove('hidden');
             }
             
+            // Load the kit list and the last used (or default) kit
+            this.kitIndex = await KitLoader.loadIndex(this.kitIndexUrl);
+            this.kit = await this._loadInitialKit();
+            this.zones = this.kit.zones;
+            this.sounds = this.kit.soundFiles;
+            this._applyKitImage(this.kit);
+            if (window.DebugLogger) {
+                window.DebugLogger.log('App.init: start. kit=', this.kit.id, 'zones=', this.zones.length, 'sounds=', this.sounds.length);
+            }
+            
             // Initialize AudioManager
             this.audioManager = new AudioManager({
                 sounds: this.sounds
@@ -57,6 +81,10 @@ class App {
                 }
             });
             
+            this._setupVoiceDebug();
+            this._setupLatencyDebug();
+            this._setupMasterBusControls();
+            
             this.audioManager.on('error', (error) => {
                 this._handleError(error);
                 if (window.DebugLogger) {
@@ -73,7 +101,7 @@ class App {
             this.zoneManager = new TriggerZoneManager({
                 zones: this.zones,
                 container: cajonContainer,
-                cajonImage: 'src/assets/images/cajon.svg'
+                cajonImage: this.kit.image
             });
             
             // Initialize zones (create DOM elements)
@@ -85,10 +113,17 @@ class App {
             }
             await this.audioManager.preloadAll();
             
-            // Initialize InputHandler
+            // Initialize InputHandler (hit strength from position, pressure or contact size,
+            // shaped by the velocity curve)
+            this.velocitySource = new VelocitySource();
+            this.velocityCurve = new VelocityCurve();
             this.inputHandler = new InputHandler({
                 zoneManager: this.zoneManager,
                 audioManager: this.audioManager,
+                velocitySource: this.velocitySource,
+                velocityCurve: this.velocityCurve,
+                // Key rolls follow the metronome tempo (created later in init)
+                getTempo: () => (this.metronome ? this.metronome.bpm : InputHandler.DEFAULT_TEMPO),
                 container: cajonContainer, // Pass container for event delegation
                 onZoneActivated: (zoneId) => {
                     // Hide error message on successful sound play
@@ -100,6 +135,112 @@ class App {
             });
             this.inputHandler.initialize();
             
+            // Apply the player's own key mappings for this kit
+            this.keyBindings = new KeyBindings({
+                zoneManager: this.zoneManager
+            });
+            this.keyBindings.load(this.kit.id);
+            this.audioManager.mixer.load(this.kit.id, this.zones);
+            
+            // Initialize PerformanceRecorder (listens to hits from InputHandler)
+            this.recorder = new PerformanceRecorder({
+                audioManager: this.audioManager,
+                zoneManager: this.zoneManager,
+                inputHandler: this.inputHandler,
+                latencyMonitor: this.audioManager.latencyMonitor
+            });
+            this.offlineRenderer = new OfflineRenderer({
+                audioManager: this.audioManager,
+                zoneManager: this.zoneManager
+            });
+            this.midiWriter = new MidiFileWriter({
+                zoneManager: this.zoneManager
+            });
+            this._setupRecorderControls();
+            
+            // Initialize MidiPlayer for imported MIDI drum files
+            this.midiPlayer = new MidiPlayer({
+                audioManager: this.audioManager,
+                zoneManager: this.zoneManager
+            });
+            this._setupMidiImportControls();
+            
+            // Initialize Metronome on the shared AudioContext
+            this.metronome = new Metronome({
+                audioManager: this.audioManager
+            });
+            this._setupMetronomeControls();
+            
+            // Initialize TempoTracker (live BPM from hits and tap tempo)
+            this.tempoTracker = new TempoTracker({
+                inputHandler: this.inputHandler,
+                latencyMonitor: this.audioManager.latencyMonitor
+            });
+            this._setupTempoControls();
+            
+            // Initialize LoopStation (follows the metronome tempo while empty)
+            this.loopStation = new LoopStation({
+                audioManager: this.audioManager,
+                zoneManager: this.zoneManager,
+                inputHandler: this.inputHandler,
+                latencyMonitor: this.audioManager.latencyMonitor,
+                bpm: this.metronome.bpm,
+                beatsPerBar: this.metronome.beatsPerBar
+            });
+            this._setupLoopControls();
+            
+            // Initialize MidiInput for hardware pad controllers
+            this.midiInput = new MidiInput({
+                inputHandler: this.inputHandler,
+                zoneManager: this.zoneManager
+            });
+            this.midiInput.load(this.kit.id);
+            this._setupMidiInputControls();
+            
+            // Initialize GamepadInput for game controllers and foot pedals
+            this.gamepadInput = new GamepadInput({
+                inputHandler: this.inputHandler,
+                zoneManager: this.zoneManager
+            });
+            this.gamepadInput.load(this.kit.id);
+            this._setupGamepadControls();
+            
+            // Initialize StepSequencer (one row per zone)
+            this.sequencer = new StepSequencer({
+                audioManager: this.audioManager,
+                zoneManager: this.zoneManager
+            });
+            this._setupSequencerControls();
+            
+            // Initialize PracticeTrainer (scores live hits against a target rhythm)
+            this.practiceTrainer = new PracticeTrainer({
+                audioManager: this.audioManager,
+                zoneManager: this.zoneManager,
+                inputHandler: this.inputHandler,
+                latencyMonitor: this.audioManager.latencyMonitor
+            });
+            this._setupPracticeControls();
+            
+            // Initialize UserSampleManager and restore saved samples in the background
+            this.userSamples = new UserSampleManager({
+                audioManager: this.audioManager,
+                zoneManager: this.zoneManager,
+                // Samples saved before they were kept per kit belong to the default kit
+                sampleStore: new SampleStore({ legacyKitId: this.kitIndex.defaultKit })
+            });
+            this.userSamples.attachDropTarget(cajonContainer);
+            this._setupUserSampleControls();
+            this.userSamples.restoreAll(this.kit.id);
+            
+            this._setupZoneEditorControls();
+            this._setupKeyBindingControls();
+            this._setupGestureControls();
+            this._setupLatencyControls();
+            this._setupVelocityControls();
+            this._setupVelocityCurveControls();
+            this._setupMixerControls();
+            this._setupKitControls();
+            
             // Hide loading indicator
             if (this.loadingIndicator) {
                 this.loadingIndicator.classList.add('hidden');
@@ -179,9 +320,1937 @@ class App {
     }
 
     /**
-     * Destroys the application and cleans up resources
+     * Wires the recorder transport buttons to the PerformanceRecorder
+     * @private
      */
-    destroy() {
+    _setupRecorderControls() {
+        const recordButton = document.getElementById('record-toggle');
+        const playButton = document.getElementById('play-recording');
+        const clearButton = document.getElementById('clear-recording');
+        const exportWavButton = document.getElementById('export-wav');
+        const exportMidiButton = document.getElementById('export-midi');
+        const midiBpmInput = document.getElementById('midi-export-bpm');
+        const midiPpqSelect = document.getElementById('midi-export-ppq');
+        const status = document.getElementById('recorder-status');
+        if (!recordButton || !playButton || !clearButton) {
+            return;
+        }
+        
+        recordButton.addEventListener('click', () => {
+            if (this.recorder.isRecording) {
+                this.recorder.stop();
+            } else {
+                this.recorder.start();
+            }
+        });
+        
+        playButton.addEventListener('click', () => {
+            if (this.recorder.isPlaying) {
+                this.recorder.stop();
+                return;
+            }
+            this.recorder.play().catch(error => this._handleError(error));
+        });
+        
+        clearButton.addEventListener('click', () => {
+            this.recorder.clear();
+        });
+        
+        if (exportWavButton) {
+            exportWavButton.addEventListener('click', async () => {
+                exportWavButton.disabled = true;
+                try {
+                    const blob = await this.offlineRenderer.renderToWav(this.recorder.getHits(), {
+                        duration: this.recorder.duration
+                    });
+                    OfflineRenderer.download(blob, this._buildExportFilename('wav'));
+                } catch (error) {
+                    this._handleError(error);
+                } finally {
+                    exportWavButton.disabled = this.recorder.hits.length === 0;
+                }
+            });
+        }
+        
+        if (exportMidiButton) {
+            exportMidiButton.addEventListener('click', () => {
+                try {
+                    if (midiBpmInput) {
+                        this.midiWriter.setTempo(parseFloat(midiBpmInput.value));
+                    }
+                    if (midiPpqSelect) {
+                        this.midiWriter.setPpq(parseInt(midiPpqSelect.value, 10));
+                    }
+                    const blob = this.midiWriter.toBlob(this.recorder.getHits());
+                    OfflineRenderer.download(blob, this._buildExportFilename('mid'));
+                } catch (error) {
+                    this._handleError(error);
+                }
+            });
+        }
+        
+        this.recorder.on('statechange', (state) => {
+            recordButton.textContent = state.isRecording ? 'Stop' : 'Record';
+            recordButton.classList.toggle('recording', state.isRecording);
+            playButton.textContent = state.isPlaying ? 'Stop' : 'Play';
+            playButton.disabled = state.isRecording || state.hitCount === 0;
+            clearButton.disabled = state.hitCount === 0;
+            if (exportWavButton) {
+                exportWavButton.disabled = state.isRecording || state.hitCount === 0;
+            }
+            if (exportMidiButton) {
+                exportMidiButton.disabled = state.isRecording || state.hitCount === 0;
+            }
+            if (status) {
+                status.textContent = `${state.hitCount} ${state.hitCount === 1 ? 'hit' : 'hits'}`;
+            }
+        });
+    }
+
+    /**
+     * Wires the MIDI file import controls to the MidiPlayer
+     * @private
+     */
+    _setupMidiImportControls() {
+        const fileInput = document.getElementById('midi-import-file');
+        const playButton = document.getElementById('midi-import-play');
+        const status = document.getElementById('midi-import-status');
+        if (!fileInput || !playButton) {
+            return;
+        }
+        
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files && fileInput.files[0];
+            if (!file) {
+                return;
+            }
+            try {
+                const arrayBuffer = await file.arrayBuffer();
+                this.midiPlayer.load(arrayBuffer, file.name);
+                playButton.disabled = this.midiPlayer.midiData.notes.length === 0;
+            } catch (error) {
+                playButton.disabled = true;
+                this._handleError(new Error(`Could not import ${file.name}: ${error.message}`));
+            }
+            this._renderMidiNoteMap();
+            // Allow re-selecting the same file
+            fileInput.value = '';
+        });
+        
+        playButton.addEventListener('click', () => {
+            if (this.midiPlayer.isPlaying) {
+                this.midiPlayer.stop();
+                return;
+            }
+            this.midiPlayer.play().catch(error => this._handleError(error));
+        });
+        
+        this.midiPlayer.on('statechange', (state) => {
+            playButton.textContent = state.isPlaying ? 'Stop' : 'Play';
+        });
+        
+        this.midiPlayer.on('loaded', (summary) => {
+            if (status) {
+                const unmappedCount = summary.unmapped.reduce((total, entry) => total + entry.count, 0);
+                status.textContent = `${this.midiPlayer.fileName}: ${summary.notes} notes` +
+                    (unmappedCount > 0 ? `, ${unmappedCount} unmapped` : '');
+            }
+        });
+    }
+
+    /**
+     * Renders the editable note map for the notes in the imported MIDI file
+     * Unmapped notes are highlighted so the user can assign them a zone.
+     * @private
+     */
+    _renderMidiNoteMap() {
+        const noteMapEl = document.getElementById('midi-note-map');
+        if (!noteMapEl) {
+            return;
+        }
+        noteMapEl.innerHTML = '';
+        const zones = this.zoneManager.getAllZones();
+        
+        this.midiPlayer.getNoteSummary().forEach(entry => {
+            const row = document.createElement('label');
+            row.className = 'note-map-row';
+            row.classList.toggle('unmapped', !entry.zoneId);
+            
+            const name = MidiPlayer.GM_DRUM_NAMES[entry.note] || 'Note';
+            const text = document.createElement('span');
+            text.textContent = `${entry.note} ${name} ×${entry.count}`;
+            
+            const select = document.createElement('select');
+            const noneOption = document.createElement('option');
+            noneOption.value = '';
+            noneOption.textContent = '(unmapped)';
+            select.appendChild(noneOption);
+            zones.forEach(zone => {
+                const option = document.createElement('option');
+                option.value = zone.id;
+                option.textContent = zone.name;
+                select.appendChild(option);
+            });
+            select.value = entry.zoneId || '';
+            select.addEventListener('change', () => {
+                this.midiPlayer.setNoteMapping(entry.note, select.value || null);
+                row.classList.toggle('unmapped', !select.value);
+            });
+            
+            row.appendChild(text);
+            row.appendChild(select);
+            noteMapEl.appendChild(row);
+        });
+    }
+
+    /**
+     * Wires the metronome controls and beat indicator
+     * @private
+     */
+    _setupMetronomeControls() {
+        const toggleButton = document.getElementById('metronome-toggle');
+        const bpmInput = document.getElementById('metronome-bpm');
+        const signatureSelect = document.getElementById('metronome-signature');
+        const subdivisionSelect = document.getElementById('metronome-subdivision');
+        const accentCheckbox = document.getElementById('metronome-accent');
+        const volumeSlider = document.getElementById('metronome-volume');
+        const beatIndicator = document.getElementById('metronome-beats');
+        if (!toggleButton) {
+            return;
+        }
+        
+        const renderBeatIndicator = () => {
+            if (!beatIndicator) {
+                return;
+            }
+            beatIndicator.innerHTML = '';
+            for (let beat = 0; beat < this.metronome.beatsPerBar; beat++) {
+                const dot = document.createElement('span');
+                dot.className = 'beat-dot';
+                beatIndicator.appendChild(dot);
+            }
+        };
+        renderBeatIndicator();
+        
+        toggleButton.addEventListener('click', () => {
+            if (this.metronome.isRunning) {
+                this.metronome.stop();
+                return;
+            }
+            this.metronome.start().catch(error => this._handleError(error));
+        });
+        
+        if (bpmInput) {
+            bpmInput.value = this.metronome.bpm;
+            bpmInput.addEventListener('change', () => {
+                try {
+                    this.metronome.setBpm(parseFloat(bpmInput.value));
+                } catch (error) {
+                    bpmInput.value = this.metronome.bpm;
+                    this._handleError(error);
+                }
+            });
+        }
+        
+        if (signatureSelect) {
+            signatureSelect.value = `${this.metronome.beatsPerBar}/${this.metronome.beatUnit}`;
+            signatureSelect.addEventListener('change', () => {
+                const [beatsPerBar, beatUnit] = signatureSelect.value.split('/').map(Number);
+                this.metronome.setTimeSignature(beatsPerBar, beatUnit);
+                renderBeatIndicator();
+            });
+        }
+        
+        if (subdivisionSelect) {
+            subdivisionSelect.value = String(this.metronome.subdivision);
+            subdivisionSelect.addEventListener('change', () => {
+                this.metronome.setSubdivision(parseInt(subdivisionSelect.value, 10));
+            });
+        }
+        
+        if (accentCheckbox) {
+            accentCheckbox.checked = this.metronome.accentFirstBeat;
+            accentCheckbox.addEventListener('change', () => {
+                this.metronome.setAccent(accentCheckbox.checked);
+            });
+        }
+        
+        if (volumeSlider) {
+            volumeSlider.value = this.metronome.volume;
+            volumeSlider.addEventListener('input', () => {
+                this.metronome.setVolume(parseFloat(volumeSlider.value));
+            });
+        }
+        
+        this.metronome.on('beat', (beatInfo) => {
+            if (!beatIndicator || !beatInfo.isBeat) {
+                return;
+            }
+            Array.from(beatIndicator.children).forEach((dot, index) => {
+                dot.classList.toggle('active', index === beatInfo.beat);
+                dot.classList.toggle('accent', index === beatInfo.beat && beatInfo.accent);
+            });
+        });
+        
+        this.metronome.on('statechange', (state) => {
+            toggleButton.textContent = state.isRunning ? 'Stop Click' : 'Start Click';
+            if (bpmInput && document.activeElement !== bpmInput) {
+                bpmInput.value = state.bpm;
+            }
+            if (!state.isRunning && beatIndicator) {
+                Array.from(beatIndicator.children).forEach(dot => dot.classList.remove('active', 'accent'));
+            }
+        });
+    }
+
+    /**
+     * Wires the tempo tracker: estimate display, tap key and metronome following
+     * Tap tempo always sets the metronome; live estimates only when following
+     * and confident enough.
+     * @private
+     */
+    _setupTempoControls() {
+        const status = document.getElementById('tempo-status');
+        if (!status) {
+            return;
+        }
+        const liveCheckbox = document.getElementById('tempo-live');
+        const followCheckbox = document.getElementById('tempo-follow');
+        const tapKeyButton = document.getElementById('tempo-tap-key');
+        const applyButton = document.getElementById('tempo-apply');
+        const tracker = this.tempoTracker;
+        
+        const applyTempo = (bpm) => {
+            const rounded = Math.round(bpm);
+            if (rounded !== this.metronome.bpm) {
+                this.metronome.setBpm(rounded);
+            }
+        };
+        
+        const renderSettings = (state) => {
+            liveCheckbox.checked = state.live;
+            tapKeyButton.classList.toggle('learning', state.isCapturingKey);
+            tapKeyButton.textContent = state.isCapturingKey
+                ? 'Press a key...'
+                : `Tap key: ${KeyBindings.formatKey(state.tapKey)}`;
+        };
+        renderSettings({ ...tracker.getSettings(), isCapturingKey: false });
+        
+        const renderEstimate = (estimate) => {
+            applyButton.disabled = !estimate;
+            const zones = this.zoneManager.getZonesForKey(tracker.getSettings().tapKey);
+            status.classList.toggle('warning', zones.length > 0);
+            if (zones.length > 0) {
+                status.textContent = `The tap key also plays ${zones.map(zone => zone.name).join(', ')}`;
+            } else if (estimate) {
+                status.textContent = `≈ ${Math.round(estimate.bpm)} BPM (${estimate.source}, ${Math.round(estimate.confidence * 100)}% sure)`;
+            } else {
+                status.textContent = '';
+            }
+        };
+        
+        liveCheckbox.addEventListener('change', () => tracker.setLiveEnabled(liveCheckbox.checked));
+        tapKeyButton.addEventListener('click', () => {
+            if (tracker.isCapturingKey) {
+                tracker.cancelKeyCapture();
+            } else {
+                tracker.startKeyCapture();
+            }
+        });
+        applyButton.addEventListener('click', () => {
+            const estimate = tracker.getEstimate();
+            if (estimate) {
+                applyTempo(estimate.bpm);
+            }
+        });
+        
+        tracker.on('statechange', (state) => {
+            renderSettings(state);
+            renderEstimate(tracker.getEstimate());
+        });
+        
+        tracker.on('tempo', (estimate) => {
+            renderEstimate(estimate);
+            if (!estimate) {
+                return;
+            }
+            if (estimate.source === 'tap' ||
+                (followCheckbox.checked && estimate.confidence >= TempoTracker.FOLLOW_CONFIDENCE)) {
+                applyTempo(estimate.bpm);
+            }
+        });
+    }
+
+    /**
+     * Wires the loop station controls and layer list
+     * @private
+     */
+    _setupLoopControls() {
+        const toggleButton = document.getElementById('loop-toggle');
+        const overdubButton = document.getElementById('loop-overdub');
+        const undoButton = document.getElementById('loop-undo');
+        const clearButton = document.getElementById('loop-clear');
+        const barsSelect = document.getElementById('loop-bars');
+        const status = document.getElementById('loop-status');
+        const layerList = document.getElementById('loop-layers');
+        if (!toggleButton || !overdubButton) {
+            return;
+        }
+        
+        // Start loops on the metronome's next downbeat when it is running
+        const nextBarTime = () => this.metronome.getNextBarTime();
+        
+        toggleButton.addEventListener('click', () => {
+            if (this.loopStation.isRunning) {
+                this.loopStation.stop();
+                return;
+            }
+            this.loopStation.start(nextBarTime()).catch(error => this._handleError(error));
+        });
+        
+        overdubButton.addEventListener('click', () => {
+            this.loopStation.setOverdub(!this.loopStation.isOverdubbing, nextBarTime())
+                .catch(error => this._handleError(error));
+        });
+        
+        if (undoButton) {
+            undoButton.addEventListener('click', () => this.loopStation.undo());
+        }
+        if (clearButton) {
+            clearButton.addEventListener('click', () => this.loopStation.clear());
+        }
+        
+        if (barsSelect) {
+            barsSelect.value = String(this.loopStation.bars);
+            barsSelect.addEventListener('change', () => {
+                try {
+                    this.loopStation.setBars(parseInt(barsSelect.value, 10));
+                } catch (error) {
+                    barsSelect.value = String(this.loopStation.bars);
+                    this._handleError(error);
+                }
+            });
+        }
+        
+        this.metronome.on('statechange', (state) => {
+            if (this.loopStation.layers.length === 0) {
+                this.loopStation.setTempo(state.bpm, state.beatsPerBar);
+            }
+        });
+        
+        const renderState = (state) => {
+            toggleButton.textContent = state.isRunning ? 'Stop Loop' : 'Play Loop';
+            toggleButton.disabled = state.layers.length === 0 && !state.isRunning;
+            overdubButton.classList.toggle('recording', state.isOverdubbing);
+            if (undoButton) {
+                undoButton.disabled = state.layers.length === 0;
+            }
+            if (clearButton) {
+                clearButton.disabled = state.layers.length === 0 && !state.isRunning;
+            }
+            if (barsSelect) {
+                barsSelect.disabled = state.layers.length > 0;
+            }
+            if (status) {
+                status.textContent = `${state.bars} ${state.bars === 1 ? 'bar' : 'bars'} @ ${state.bpm} BPM`;
+            }
+            if (layerList) {
+                layerList.innerHTML = '';
+                state.layers.forEach((layer, index) => {
+                    const muteButton = document.createElement('button');
+                    muteButton.type = 'button';
+                    muteButton.className = 'loop-layer';
+                    muteButton.classList.toggle('muted', layer.muted);
+                    muteButton.classList.toggle('recording', layer.recording);
+                    muteButton.setAttribute('aria-pressed', String(layer.muted));
+                    muteButton.title = layer.muted ? 'Unmute layer' : 'Mute layer';
+                    muteButton.textContent = `L${index + 1} (${layer.hitCount})`;
+                    muteButton.addEventListener('click', () => {
+                        this.loopStation.setLayerMuted(layer.id, !layer.muted);
+                    });
+                    layerList.appendChild(muteButton);
+                });
+            }
+        };
+        this.loopStation.on('statechange', renderState);
+        renderState(this.loopStation.getState());
+    }
+
+    /**
+     * Wires the MIDI input enable button and per-zone learn buttons
+     * @private
+     */
+    _setupMidiInputControls() {
+        const enableButton = document.getElementById('midi-input-toggle');
+        const resetButton = document.getElementById('midi-input-reset');
+        const status = document.getElementById('midi-input-status');
+        const learnList = document.getElementById('midi-learn-zones');
+        if (!enableButton) {
+            return;
+        }
+        
+        if (!this.midiInput.isSupported) {
+            enableButton.disabled = true;
+            if (status) {
+                status.textContent = 'Web MIDI not supported';
+            }
+            return;
+        }
+        
+        enableButton.addEventListener('click', () => {
+            if (this.midiInput.isEnabled) {
+                this.midiInput.disable();
+                return;
+            }
+            this.midiInput.enable().catch(error => this._handleError(error));
+        });
+        
+        if (resetButton) {
+            resetButton.addEventListener('click', () => this.midiInput.resetBindings());
+        }
+        
+        const renderState = (state) => {
+            enableButton.textContent = state.isEnabled ? 'Disable MIDI' : 'Enable MIDI';
+            if (status) {
+                status.textContent = state.isEnabled
+                    ? (state.inputs.length > 0 ? state.inputs.join(', ') : 'No MIDI devices')
+                    : '';
+            }
+            if (!learnList) {
+                return;
+            }
+            learnList.innerHTML = '';
+            this.zoneManager.getAllZones().forEach(zone => {
+                const learnButton = document.createElement('button');
+                learnButton.type = 'button';
+                learnButton.className = 'midi-learn';
+                learnButton.classList.toggle('learning', state.learningZoneId === zone.id);
+                learnButton.disabled = !state.isEnabled;
+                const notes = this.midiInput.getNotesForZone(zone.id);
+                learnButton.textContent = state.learningZoneId === zone.id
+                    ? `${zone.name}: hit a pad…`
+                    : `${zone.name}: ${notes.length > 0 ? notes.join(', ') : '—'}`;
+                learnButton.title = 'Learn: bind the next pad you hit to this zone';
+                learnButton.addEventListener('click', () => {
+                    if (this.midiInput.learningZoneId === zone.id) {
+                        this.midiInput.cancelLearn();
+                    } else {
+                        this.midiInput.startLearn(zone.id);
+                    }
+                });
+                learnList.appendChild(learnButton);
+            });
+        };
+        this.midiInput.on('statechange', renderState);
+        renderState({ isEnabled: false, inputs: [], learningZoneId: null });
+    }
+
+    /**
+     * Wires gamepad enable/disable, status and per-zone learn buttons
+     * @private
+     */
+    _setupGamepadControls() {
+        const enableButton = document.getElementById('gamepad-toggle');
+        const resetButton = document.getElementById('gamepad-reset');
+        const status = document.getElementById('gamepad-status');
+        const learnList = document.getElementById('gamepad-learn-zones');
+        if (!enableButton) {
+            return;
+        }
+        
+        if (!this.gamepadInput.isSupported) {
+            enableButton.disabled = true;
+            if (status) {
+                status.textContent = 'Gamepads not supported';
+            }
+            return;
+        }
+        
+        enableButton.addEventListener('click', async () => {
+            if (this.gamepadInput.isEnabled) {
+                this.gamepadInput.disable();
+                return;
+            }
+            try {
+                // Gamepad presses are not user gestures, so unlock audio on this click
+                await this.audioManager.unlockAudioContext({ fromGesture: true });
+                this.gamepadInput.enable();
+            } catch (error) {
+                this._handleError(error);
+            }
+        });
+        
+        if (resetButton) {
+            resetButton.addEventListener('click', () => this.gamepadInput.resetBindings());
+        }
+        
+        const renderState = (state) => {
+            enableButton.textContent = state.isEnabled ? 'Disable Gamepad' : 'Enable Gamepad';
+            if (status) {
+                status.textContent = state.isEnabled
+                    ? (state.pads.length > 0 ? state.pads.join(', ') : 'Press a button on your gamepad')
+                    : '';
+            }
+            if (!learnList) {
+                return;
+            }
+            learnList.innerHTML = '';
+            this.zoneManager.getAllZones().forEach(zone => {
+                const learnButton = document.createElement('button');
+                learnButton.type = 'button';
+                learnButton.className = 'midi-learn';
+                learnButton.classList.toggle('learning', state.learningZoneId === zone.id);
+                learnButton.disabled = !state.isEnabled;
+                const controls = this.gamepadInput.getControlsForZone(zone.id).map(GamepadInput.formatControl);
+                learnButton.textContent = state.learningZoneId === zone.id
+                    ? `${zone.name}: press a button…`
+                    : `${zone.name}: ${controls.length > 0 ? controls.join(', ') : '—'}`;
+                learnButton.title = 'Learn: bind the next button, trigger or pedal you press to this zone';
+                learnButton.addEventListener('click', () => {
+                    if (this.gamepadInput.learningZoneId === zone.id) {
+                        this.gamepadInput.cancelLearn();
+                    } else {
+                        this.gamepadInput.startLearn(zone.id);
+                    }
+                });
+                learnList.appendChild(learnButton);
+            });
+        };
+        this.gamepadInput.on('statechange', renderState);
+        renderState({ isEnabled: false, pads: [], learningZoneId: null });
+    }
+
+    /**
+     * Wires the step sequencer transport, settings and pattern slots
+     * @private
+     */
+    _setupSequencerControls() {
+        const playButton = document.getElementById('sequencer-toggle');
+        const bpmInput = document.getElementById('sequencer-bpm');
+        const swingSlider = document.getElementById('sequencer-swing');
+        const lengthSelect = document.getElementById('sequencer-length');
+        const clearButton = document.getElementById('sequencer-clear');
+        const slotContainer = document.getElementById('sequencer-slots');
+        if (!playButton) {
+            return;
+        }
+        
+        playButton.addEventListener('click', () => {
+            if (this.sequencer.isPlaying) {
+                this.sequencer.stop();
+                return;
+            }
+            this.sequencer.start().catch(error => this._handleError(error));
+        });
+        
+        if (bpmInput) {
+            bpmInput.value = this.sequencer.bpm;
+            bpmInput.addEventListener('change', () => {
+                try {
+                    this.sequencer.setTempo(parseFloat(bpmInput.value));
+                } catch (error) {
+                    bpmInput.value = this.sequencer.bpm;
+                    this._handleError(error);
+                }
+            });
+        }
+        
+        if (swingSlider) {
+            swingSlider.value = this.sequencer.swing;
+            swingSlider.addEventListener('input', () => {
+                this.sequencer.setSwing(parseFloat(swingSlider.value));
+            });
+        }
+        
+        if (lengthSelect) {
+            lengthSelect.addEventListener('change', () => {
+                this.sequencer.setLength(parseInt(lengthSelect.value, 10));
+            });
+        }
+        
+        if (clearButton) {
+            clearButton.addEventListener('click', () => this.sequencer.clearPattern());
+        }
+        
+        if (slotContainer) {
+            this.sequencer.patterns.forEach((_, slot) => {
+                const slotButton = document.createElement('button');
+                slotButton.type = 'button';
+                slotButton.className = 'sequencer-slot';
+                slotButton.textContent = String.fromCharCode(65 + slot); // A, B, C, ...
+                slotButton.addEventListener('click', () => this.sequencer.selectSlot(slot));
+                slotContainer.appendChild(slotButton);
+            });
+        }
+        
+        this.sequencer.on('statechange', (state) => {
+            playButton.textContent = state.isPlaying ? 'Stop Pattern' : 'Play Pattern';
+            if (!state.isPlaying) {
+                this._highlightSequencerStep(-1);
+            }
+        });
+        
+        this.sequencer.on('patternchange', () => {
+            if (lengthSelect) {
+                lengthSelect.value = String(this.sequencer.pattern.length);
+            }
+            if (slotContainer) {
+                Array.from(slotContainer.children).forEach((slotButton, slot) => {
+                    slotButton.classList.toggle('active', slot === this.sequencer.currentSlot);
+                });
+            }
+            this._renderSequencerGrid();
+        });
+        
+        this.sequencer.on('step', ({ step }) => this._highlightSequencerStep(step));
+        
+        this.sequencer.selectSlot(0);
+    }
+
+    /**
+     * Renders the step grid: one row per zone, one button per step
+     * @private
+     */
+    _renderSequencerGrid() {
+        const grid = document.getElementById('sequencer-grid');
+        if (!grid) {
+            return;
+        }
+        grid.innerHTML = '';
+        const length = this.sequencer.pattern.length;
+        
+        this.zoneManager.getAllZones().forEach(zone => {
+            const row = document.createElement('div');
+            row.className = 'sequencer-row';
+            
+            const label = document.createElement('span');
+            label.className = 'sequencer-row-label';
+            label.textContent = zone.name;
+            row.appendChild(label);
+            
+            for (let step = 0; step < length; step++) {
+                const stepButton = document.createElement('button');
+                stepButton.type = 'button';
+                stepButton.className = 'sequencer-step';
+                stepButton.dataset.step = String(step);
+                stepButton.classList.toggle('beat-start', step % this.sequencer.stepsPerBeat === 0);
+                stepButton.setAttribute('aria-label', `${zone.name} step ${step + 1}`);
+                this._paintSequencerStep(stepButton, this.sequencer.getStep(zone.id, step));
+                stepButton.addEventListener('click', () => {
+                    const velocity = this.sequencer.cycleStep(zone.id, step);
+                    this._paintSequencerStep(stepButton, velocity);
+                });
+                row.appendChild(stepButton);
+            }
+            grid.appendChild(row);
+        });
+    }
+
+    /**
+     * Shows a step's velocity on its button
+     * @private
+     */
+    _paintSequencerStep(stepButton, velocity) {
+        stepButton.classList.toggle('on', velocity > 0);
+        stepButton.style.setProperty('--velocity', String(velocity));
+        stepButton.title = velocity > 0 ? `Velocity ${Math.round(velocity * 100)}%` : 'Off';
+    }
+
+    /**
+     * Highlights the playing column in the step grid (-1 clears it)
+     * @private
+     */
+    _highlightSequencerStep(step) {
+        const grid = document.getElementById('sequencer-grid');
+        if (!grid) {
+            return;
+        }
+        grid.querySelectorAll('.sequencer-step').forEach(stepButton => {
+            stepButton.classList.toggle('playhead', Number(stepButton.dataset.step) === step);
+        });
+    }
+
+    /**
+     * Wires the practice trainer controls, live scoring and the results timeline
+     * @private
+     */
+    _setupPracticeControls() {
+        const toggleButton = document.getElementById('practice-toggle');
+        if (!toggleButton) {
+            return;
+        }
+        const rhythmSelect = document.getElementById('practice-rhythm');
+        const bpmInput = document.getElementById('practice-bpm');
+        const barsSelect = document.getElementById('practice-bars');
+        const guideSelect = document.getElementById('practice-guide');
+        const toleranceSelect = document.getElementById('practice-tolerance');
+        const status = document.getElementById('practice-status');
+        const trainer = this.practiceTrainer;
+        
+        Object.keys(PracticeTrainer.RHYTHMS).forEach(rhythmId => {
+            const option = document.createElement('option');
+            option.value = rhythmId;
+            option.textContent = PracticeTrainer.RHYTHMS[rhythmId].name;
+            rhythmSelect.appendChild(option);
+        });
+        
+        const renderSettings = (settings) => {
+            rhythmSelect.value = settings.rhythmId;
+            if (document.activeElement !== bpmInput) {
+                bpmInput.value = settings.bpm;
+            }
+            barsSelect.value = String(settings.bars);
+            guideSelect.value = settings.guide;
+            toleranceSelect.value = String(settings.tolerance);
+        };
+        renderSettings(trainer.getSettings());
+        
+        toggleButton.addEventListener('click', () => {
+            if (trainer.isRunning) {
+                trainer.stop();
+                return;
+            }
+            trainer.start().catch(error => this._handleError(error));
+        });
+        
+        rhythmSelect.addEventListener('change', () => trainer.setRhythm(rhythmSelect.value));
+        bpmInput.addEventListener('change', () => {
+            try {
+                trainer.setBpm(parseFloat(bpmInput.value));
+            } catch (error) {
+                bpmInput.value = trainer.getSettings().bpm;
+                this._handleError(error);
+            }
+        });
+        barsSelect.addEventListener('change', () => trainer.setBars(parseInt(barsSelect.value, 10)));
+        guideSelect.addEventListener('change', () => trainer.setGuide(guideSelect.value));
+        toleranceSelect.addEventListener('change', () => trainer.setTolerance(parseFloat(toleranceSelect.value)));
+        
+        trainer.on('statechange', (state) => {
+            toggleButton.textContent = state.isRunning ? 'Stop Practice' : 'Start Practice';
+            [rhythmSelect, bpmInput, barsSelect, guideSelect, toleranceSelect].forEach(control => {
+                control.disabled = state.isRunning;
+            });
+            renderSettings(state);
+            if (state.phase === 'count-in') {
+                status.textContent = 'Count-in...';
+                this._renderPracticeTimeline();
+            } else if (state.phase === 'playing') {
+                status.textContent = 'Play!';
+            } else if (!trainer.getSession()) {
+                status.textContent = '';
+                this._renderPracticeTimeline();
+            }
+        });
+        
+        trainer.on('result', () => this._renderPracticeTimeline());
+        
+        trainer.on('complete', ({ summary }) => {
+            const offset = summary.meanOffset !== null
+                ? `, average ${summary.meanOffset >= 0 ? '+' : ''}${Math.round(summary.meanOffset)} ms`
+                : '';
+            status.textContent = `Score ${summary.score}%: ${summary.onTime} on time, ${summary.early} early, ` +
+                `${summary.late} late, ${summary.missed} missed, ${summary.wrongZone} wrong zone, ${summary.extra} extra${offset}`;
+            this._renderPracticeTimeline();
+        });
+    }
+
+    /**
+     * Draws the practice run as one lane per rhythm role: expected hits coloured
+     * by their grade, each played hit at its actual time, and extras
+     * @private
+     */
+    _renderPracticeTimeline() {
+        const timeline = document.getElementById('practice-timeline');
+        if (!timeline) {
+            return;
+        }
+        timeline.innerHTML = '';
+        const session = this.practiceTrainer.getSession();
+        if (!session) {
+            return;
+        }
+        const percent = (time) => `${Math.max(0, Math.min(100, 100 * time / session.duration))}%`;
+        
+        const addLane = (name, results, extras) => {
+            const row = document.createElement('div');
+            row.className = 'practice-lane';
+            const label = document.createElement('span');
+            label.className = 'practice-lane-name';
+            label.textContent = name;
+            const track = document.createElement('div');
+            track.className = 'practice-track';
+            row.appendChild(label);
+            row.appendChild(track);
+            timeline.appendChild(row);
+            
+            for (let bar = 1; bar < session.bars; bar++) {
+                const barLine = document.createElement('span');
+                barLine.className = 'practice-bar-line';
+                barLine.style.left = percent(bar * session.barDuration);
+                track.appendChild(barLine);
+            }
+            
+            results.forEach(result => {
+                const mark = document.createElement('span');
+                mark.className = `practice-mark ${result.status}`;
+                mark.style.left = percent(result.time);
+                mark.title = result.delta !== null
+                    ? `${result.status} (${result.delta >= 0 ? '+' : ''}${Math.round(result.delta * 1000)} ms)`
+                    : result.status;
+                track.appendChild(mark);
+                if (result.delta !== null) {
+                    const hit = document.createElement('span');
+                    hit.className = `practice-hit ${result.status}`;
+                    hit.style.left = percent(result.time + result.delta);
+                    track.appendChild(hit);
+                }
+            });
+            
+            extras.forEach(extra => {
+                const hit = document.createElement('span');
+                hit.className = 'practice-hit extra';
+                hit.style.left = percent(extra.time);
+                hit.title = 'extra';
+                track.appendChild(hit);
+            });
+        };
+        
+        const laneZoneIds = session.lanes.map(lane => lane.zoneId);
+        session.lanes.forEach(lane => {
+            const zone = this.zoneManager.getZoneById(lane.zoneId);
+            addLane(
+                zone ? zone.name : lane.zoneId,
+                session.results.filter(result => result.role === lane.role),
+                session.extras.filter(extra => extra.zoneId === lane.zoneId)
+            );
+        });
+        // Hits on zones the rhythm doesn't use
+        const otherExtras = session.extras.filter(extra => !laneZoneIds.includes(extra.zoneId));
+        if (otherExtras.length > 0) {
+            addLane('Other', [], otherExtras);
+        }
+    }
+
+    /**
+     * Wires the custom sample picker and reset button
+     * @private
+     */
+    _setupUserSampleControls() {
+        const zoneSelect = document.getElementById('sample-zone');
+        const fileInput = document.getElementById('sample-file');
+        const resetButton = document.getElementById('sample-reset');
+        const status = document.getElementById('sample-status');
+        if (!zoneSelect || !fileInput) {
+            return;
+        }
+        
+        this._populateZoneSelect(zoneSelect);
+        
+        const renderStatus = () => {
+            const sample = this.userSamples.getCustomSample(zoneSelect.value);
+            if (status) {
+                status.textContent = sample ? sample.name : 'Default sound';
+            }
+            if (resetButton) {
+                resetButton.disabled = !sample;
+            }
+        };
+        
+        zoneSelect.addEventListener('change', renderStatus);
+        
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files && fileInput.files[0];
+            fileInput.value = '';
+            if (!file) {
+                return;
+            }
+            try {
+                await this.userSamples.loadFile(zoneSelect.value, file);
+                this._hideError();
+            } catch (error) {
+                this._handleError(error);
+            }
+        });
+        
+        if (resetButton) {
+            resetButton.addEventListener('click', () => {
+                this.userSamples.resetZone(zoneSelect.value).catch(error => this._handleError(error));
+            });
+        }
+        
+        zoneSelect.addEventListener('zoneschange', renderStatus);
+        this.userSamples.on('change', renderStatus);
+        this.userSamples.on('error', (error) => this._handleError(error));
+        renderStatus();
+    }
+
+    /**
+     * Fills a <select> with one option per zone, keeping the selection when possible
+     * Dispatches a 'zoneschange' event on the select so dependent UI can refresh.
+     * @param {HTMLSelectElement} select
+     * @private
+     */
+    _populateZoneSelect(select) {
+        const previous = select.value;
+        select.innerHTML = '';
+        this.zoneManager.getAllZones().forEach(zone => {
+            const option = document.createElement('option');
+            option.value = zone.id;
+            option.textContent = zone.name;
+            select.appendChild(option);
+        });
+        if (this.zoneManager.getZoneById(previous)) {
+            select.value = previous;
+        }
+        select.dispatchEvent(new Event('zoneschange'));
+    }
+
+    /**
+     * Loads the kit saved from the last session, falling back to the index default
+     * @returns {Promise<Object>}
+     * @private
+     */
+    async _loadInitialKit() {
+        const savedKitId = SettingsStore.load('kit', null);
+        const savedEntry = this.kitIndex.kits.find(entry => entry.id === savedKitId);
+        if (savedEntry) {
+            try {
+                return await KitLoader.load(savedEntry.url);
+            } catch (error) {
+                console.error(`Failed to load saved kit ${savedKitId}, using default:`, error);
+            }
+        }
+        const defaultEntry = this.kitIndex.kits.find(entry => entry.id === this.kitIndex.defaultKit) || this.kitIndex.kits[0];
+        return KitLoader.load(defaultEntry.url);
+    }
+
+    /**
+     * Switches to a kit from the kit index without reloading the page
+     * @param {string} kitId - Kit identifier from the index
+     * @returns {Promise<void>}
+     */
+    async switchKit(kitId) {
+        const entry = this.kitIndex && this.kitIndex.kits.find(candidate => candidate.id === kitId);
+        if (!entry) {
+            throw new Error(`Unknown kit: ${kitId}`);
+        }
+        const kit = await KitLoader.load(entry.url);
+        await this.applyKit(kit);
+        SettingsStore.save('kit', kit.id);
+    }
+
+    /**
+     * Applies a parsed kit at runtime
+     * Stops anything that is playing, tears down and rebuilds the zone elements and
+     * key bindings, swaps the decoded sounds and refreshes zone-dependent controls.
+     * @param {Object} kit - Kit from KitLoader.parse/load
+     * @returns {Promise<void>}
+     */
+    async applyKit(kit) {
+        if (window.DebugLogger) {
+            window.DebugLogger.log('App.applyKit:', kit.id, 'zones=', kit.zones.length);
+        }
+        this.recorder.stop();
+        this.midiPlayer.stop();
+        this.sequencer.stop();
+        this.loopStation.stop();
+        this.practiceTrainer.stop();
+        
+        this.kit = kit;
+        this.zones = kit.zones;
+        this.sounds = kit.soundFiles;
+        this._applyKitImage(kit);
+        this.zoneManager.setZones(kit.zones);
+        
+        if (this.loadingIndicator) {
+            this.loadingIndicator.classList.remove('hidden');
+        }
+        try {
+            await this.audioManager.setSounds(kit.soundFiles);
+        } finally {
+            if (this.loadingIndicator) {
+                this.loadingIndicator.classList.add('hidden');
+            }
+        }
+        
+        this.keyBindings.load(kit.id);
+        this.audioManager.mixer.load(kit.id, kit.zones);
+        this.midiPlayer.resetNoteMap();
+        this.midiInput.load(kit.id);
+        this.gamepadInput.load(kit.id);
+        await this.userSamples.restoreAll(kit.id);
+        this._refreshZoneControls();
+    }
+
+    /**
+     * Re-renders every control that lists zones
+     * @private
+     */
+    _refreshZoneControls() {
+        this._renderSequencerGrid();
+        this._renderMidiNoteMap();
+        this._renderZoneEditor();
+        this._renderKeyBindings();
+        this._renderMixer();
+        const sampleZoneSelect = document.getElementById('sample-zone');
+        if (sampleZoneSelect) {
+            this._populateZoneSelect(sampleZoneSelect);
+        }
+    }
+
+    /**
+     * Wires the visual zone editor (edit mode, add/delete, sound and kit export)
+     * @private
+     */
+    _setupZoneEditorControls() {
+        const toggleButton = document.getElementById('zone-edit-toggle');
+        const addButton = document.getElementById('zone-add');
+        const deleteButton = document.getElementById('zone-delete');
+        const nameInput = document.getElementById('zone-name');
+        const soundSelect = document.getElementById('zone-sound');
+        const saveButton = document.getElementById('zone-save-kit');
+        if (!toggleButton) {
+            return;
+        }
+        
+        toggleButton.addEventListener('click', () => {
+            const editing = !this.zoneManager.isEditing;
+            this.zoneManager.setEditMode(editing);
+            // Pointer input edits zones instead of playing them while editing
+            if (editing) {
+                this.inputHandler.disable();
+            } else {
+                this.inputHandler.enable();
+            }
+            this._renderZoneEditor();
+        });
+        
+        addButton.addEventListener('click', async () => {
+            const zone = this._createEditorZone();
+            this.zoneManager.addZone(zone);
+            this.zoneManager.selectZone(zone.id);
+            await this._syncKitSounds();
+        });
+        
+        deleteButton.addEventListener('click', () => {
+            const zoneId = this.zoneManager.selectedZoneId;
+            if (zoneId) {
+                this.zoneManager.removeZone(zoneId);
+            }
+        });
+        
+        nameInput.addEventListener('change', () => {
+            const zoneId = this.zoneManager.selectedZoneId;
+            if (zoneId) {
+                this.zoneManager.updateZone(zoneId, { name: nameInput.value.trim() || zoneId });
+            }
+        });
+        
+        soundSelect.addEventListener('change', async () => {
+            const zone = this.zoneManager.getZoneById(this.zoneManager.selectedZoneId);
+            const soundFile = this.kit.sounds[soundSelect.value];
+            if (!zone || !soundFile) {
+                return;
+            }
+            // A single sound replaces any velocity layers
+            if (zone.defaultSoundFile) {
+                // A custom sample keeps playing until it is reset to this sound
+                zone.defaultSoundFile = soundFile;
+                delete zone.defaultLayers;
+                this.zoneManager.updateZone(zone.id, { sound: soundSelect.value });
+            } else {
+                this.zoneManager.updateZone(zone.id, { sound: soundSelect.value, soundFile, layers: null });
+            }
+            await this._syncKitSounds();
+        });
+        
+        saveButton.addEventListener('click', () => {
+            const manifest = KitLoader.toManifest(this.kit, this.zoneManager.getAllZones(), this.audioManager.mixer.getState());
+            const blob = new Blob([JSON.stringify(manifest, null, 2) + '\n'], { type: 'application/json' });
+            OfflineRenderer.download(blob, `${this.kit.id}.json`);
+        });
+        
+        this.zoneManager.on('select', () => this._renderZoneEditor());
+        this.zoneManager.on('zoneschange', () => {
+            this.zones = this.zoneManager.getAllZones();
+            this._refreshZoneControls();
+        });
+        this._renderZoneEditor();
+    }
+
+    /**
+     * Shows the selected zone's name, sound and coordinates in the zone editor
+     * @private
+     */
+    _renderZoneEditor() {
+        const toggleButton = document.getElementById('zone-edit-toggle');
+        if (!toggleButton || !this.zoneManager) {
+            return;
+        }
+        const editing = this.zoneManager.isEditing;
+        const zone = this.zoneManager.getZoneById(this.zoneManager.selectedZoneId);
+        const nameInput = document.getElementById('zone-name');
+        const soundSelect = document.getElementById('zone-sound');
+        const status = document.getElementById('zone-edit-status');
+        
+        toggleButton.textContent = editing ? 'Done Editing' : 'Edit Zones';
+        toggleButton.classList.toggle('editing', editing);
+        document.getElementById('zone-add').disabled = !editing;
+        document.getElementById('zone-delete').disabled = !zone;
+        nameInput.disabled = !zone;
+        soundSelect.disabled = !zone;
+        nameInput.value = zone ? zone.name : '';
+        
+        soundSelect.innerHTML = '';
+        Object.keys(this.kit.sounds).forEach(soundName => {
+            const option = document.createElement('option');
+            option.value = soundName;
+            option.textContent = soundName;
+            soundSelect.appendChild(option);
+        });
+        if (zone) {
+            const soundFile = zone.defaultSoundFile || zone.soundFile;
+            const soundName = Object.keys(this.kit.sounds).find(name => this.kit.sounds[name] === soundFile);
+            if (!soundName) {
+                const option = document.createElement('option');
+                option.value = '';
+                option.textContent = soundFile.split('/').pop();
+                soundSelect.appendChild(option);
+            }
+            soundSelect.value = soundName || '';
+        }
+        
+        if (!editing) {
+            status.textContent = '';
+        } else if (zone) {
+            const coords = zone.coordinates;
+            status.textContent = `${zone.name}: x ${coords.x}%, y ${coords.y}%, ${coords.width}% × ${coords.height}%`;
+        } else {
+            status.textContent = 'Drag a zone to move it, drag a corner to resize it';
+        }
+    }
+
+    /**
+     * Wires the key remapping list, conflict confirmation and reset
+     * @private
+     */
+    _setupKeyBindingControls() {
+        const resetButton = document.getElementById('key-binding-reset');
+        const replaceButton = document.getElementById('key-binding-replace');
+        const cancelButton = document.getElementById('key-binding-cancel');
+        if (!resetButton) {
+            return;
+        }
+        resetButton.addEventListener('click', () => this.keyBindings.resetToDefaults());
+        replaceButton.addEventListener('click', () => this.keyBindings.confirmPending());
+        cancelButton.addEventListener('click', () => this.keyBindings.cancelCapture());
+        this.keyBindings.on('statechange', () => this._renderKeyBindings());
+        this._renderKeyBindings();
+    }
+
+    /**
+     * Renders each zone's keys with remove and capture buttons
+     * @private
+     */
+    _renderKeyBindings() {
+        const list = document.getElementById('key-binding-list');
+        if (!list || !this.keyBindings) {
+            return;
+        }
+        const status = document.getElementById('key-binding-status');
+        const replaceButton = document.getElementById('key-binding-replace');
+        const cancelButton = document.getElementById('key-binding-cancel');
+        const { capturingZoneId, pendingBinding } = this.keyBindings;
+        const zoneName = (zoneId) => {
+            const zone = this.zoneManager.getZoneById(zoneId);
+            return zone ? zone.name : zoneId;
+        };
+        
+        list.innerHTML = '';
+        this.zoneManager.getAllZones().forEach(zone => {
+            const row = document.createElement('div');
+            row.className = 'key-binding-row';
+            const label = document.createElement('span');
+            label.className = 'key-binding-zone';
+            label.textContent = zone.name;
+            row.appendChild(label);
+            
+            this.keyBindings.getKeys(zone.id).forEach(key => {
+                const chip = document.createElement('button');
+                chip.type = 'button';
+                chip.className = 'key-chip';
+                chip.classList.toggle('conflict', this.zoneManager.keyConflicts.has(key.toLowerCase()));
+                chip.textContent = `${KeyBindings.formatKey(key)} ×`;
+                chip.title = `Remove ${KeyBindings.formatKey(key)}`;
+                chip.addEventListener('click', () => this.keyBindings.unbindKey(zone.id, key));
+                row.appendChild(chip);
+            });
+            
+            const captureButton = document.createElement('button');
+            captureButton.type = 'button';
+            captureButton.className = 'key-capture';
+            const isCapturing = capturingZoneId === zone.id;
+            captureButton.classList.toggle('learning', isCapturing);
+            captureButton.textContent = isCapturing ? 'Press a key…' : '+ Key';
+            captureButton.addEventListener('click', () => {
+                if (isCapturing) {
+                    this.keyBindings.cancelCapture();
+                } else {
+                    this.keyBindings.startCapture(zone.id);
+                }
+            });
+            row.appendChild(captureButton);
+            list.appendChild(row);
+        });
+        
+        replaceButton.hidden = !pendingBinding;
+        cancelButton.hidden = !pendingBinding && !capturingZoneId;
+        if (pendingBinding) {
+            const owners = pendingBinding.conflictZoneIds.map(zoneName).join(', ');
+            status.textContent = `${KeyBindings.formatKey(pendingBinding.key)} is already bound to ${owners}. Move it to ${zoneName(pendingBinding.zoneId)}?`;
+        } else if (capturingZoneId) {
+            status.textContent = `Press a key for ${zoneName(capturingZoneId)} (Esc to cancel)`;
+        } else if (this.zoneManager.keyConflicts.size > 0) {
+            const conflicts = [...this.zoneManager.keyConflicts.entries()]
+                .map(([key, zoneIds]) => `${KeyBindings.formatKey(key)} (${zoneIds.map(zoneName).join(', ')})`);
+            status.textContent = `Keys bound to more than one zone: ${conflicts.join('; ')}`;
+        } else {
+            status.textContent = '';
+        }
+        status.classList.toggle('warning', !!pendingBinding || (!capturingZoneId && this.zoneManager.keyConflicts.size > 0));
+    }
+
+    /**
+     * Wires the velocity curve shape, floor and ceiling, with a preview
+     * @private
+     */
+    _setupVelocityCurveControls() {
+        const curveSelect = document.getElementById('velocity-curve');
+        if (!curveSelect) {
+            return;
+        }
+        const floorSlider = document.getElementById('velocity-floor');
+        const ceilingSlider = document.getElementById('velocity-ceiling');
+        const preview = document.getElementById('velocity-curve-preview');
+        
+        const render = (settings) => {
+            curveSelect.value = settings.curve;
+            floorSlider.value = settings.floor;
+            ceilingSlider.value = settings.ceiling;
+            floorSlider.title = `Softest hits play at ${Math.round(settings.floor * 100)}%`;
+            ceilingSlider.title = `Hardest hits play at ${Math.round(settings.ceiling * 100)}%`;
+            if (preview && preview.getContext) {
+                this.velocityCurve.drawPreview(preview);
+            }
+        };
+        
+        curveSelect.addEventListener('change', () => this.velocityCurve.setCurve(curveSelect.value));
+        floorSlider.addEventListener('input', () => this.velocityCurve.setFloor(parseFloat(floorSlider.value)));
+        ceilingSlider.addEventListener('input', () => this.velocityCurve.setCeiling(parseFloat(ceilingSlider.value)));
+        this.velocityCurve.on('change', render);
+        render(this.velocityCurve.getSettings());
+    }
+
+    /**
+     * Wires the slide, roll and double-hit filter settings
+     * @private
+     */
+    _setupGestureControls() {
+        const slideCheckbox = document.getElementById('gesture-slide');
+        if (!slideCheckbox) {
+            return;
+        }
+        const rollCheckbox = document.getElementById('gesture-roll');
+        const keyRollCheckbox = document.getElementById('gesture-key-roll');
+        const subdivisionSelect = document.getElementById('gesture-key-roll-subdivision');
+        const dynamicsSelect = document.getElementById('gesture-key-roll-dynamics');
+        const numberInputs = {
+            rollThreshold: document.getElementById('gesture-roll-threshold'),
+            rollInterval: document.getElementById('gesture-roll-interval'),
+            minRetriggerInterval: document.getElementById('gesture-retrigger')
+        };
+        const gestures = this.inputHandler.getGestureOptions();
+        slideCheckbox.checked = gestures.slideRetrigger;
+        rollCheckbox.checked = gestures.roll;
+        keyRollCheckbox.checked = gestures.keyRoll;
+        subdivisionSelect.value = String(gestures.keyRollSubdivision);
+        dynamicsSelect.value = gestures.keyRollDynamics;
+        Object.keys(numberInputs).forEach(option => {
+            numberInputs[option].value = gestures[option];
+        });
+        
+        slideCheckbox.addEventListener('change', () => {
+            this.inputHandler.setGestureOptions({ slideRetrigger: slideCheckbox.checked });
+        });
+        rollCheckbox.addEventListener('change', () => {
+            this.inputHandler.setGestureOptions({ roll: rollCheckbox.checked });
+        });
+        keyRollCheckbox.addEventListener('change', () => {
+            this.inputHandler.setGestureOptions({ keyRoll: keyRollCheckbox.checked });
+        });
+        subdivisionSelect.addEventListener('change', () => {
+            this.inputHandler.setGestureOptions({ keyRollSubdivision: parseInt(subdivisionSelect.value, 10) });
+        });
+        dynamicsSelect.addEventListener('change', () => {
+            this.inputHandler.setGestureOptions({ keyRollDynamics: dynamicsSelect.value });
+        });
+        Object.keys(numberInputs).forEach(option => {
+            const input = numberInputs[option];
+            input.addEventListener('change', () => {
+                try {
+                    this.inputHandler.setGestureOptions({ [option]: parseFloat(input.value) });
+                } catch (error) {
+                    this._handleError(error);
+                }
+                // Show the clamped value
+                input.value = this.inputHandler.getGestureOptions()[option];
+            });
+        });
+    }
+
+    /**
+     * Wires the velocity source selector and the soft/hard calibration
+     * @private
+     */
+    _setupVelocityControls() {
+        const sourceSelect = document.getElementById('velocity-source');
+        if (!sourceSelect) {
+            return;
+        }
+        const calibrateButton = document.getElementById('velocity-calibrate');
+        const resetButton = document.getElementById('velocity-reset');
+        const status = document.getElementById('velocity-status');
+        const describeRanges = () => {
+            const ranges = this.velocitySource.getRanges();
+            return `Pressure ${ranges.pressure.min.toFixed(2)}–${ranges.pressure.max.toFixed(2)}, ` +
+                `size ${Math.round(ranges.size.min)}–${Math.round(ranges.size.max)} px`;
+        };
+        
+        sourceSelect.value = this.velocitySource.mode;
+        sourceSelect.addEventListener('change', () => this.velocitySource.setMode(sourceSelect.value));
+        
+        calibrateButton.addEventListener('click', () => {
+            if (this.velocitySource.isCalibrating) {
+                this.velocitySource.cancelCalibration();
+            } else {
+                this.velocitySource.startCalibration();
+            }
+        });
+        resetButton.addEventListener('click', () => {
+            this.velocitySource.resetCalibration();
+            status.textContent = describeRanges();
+        });
+        
+        this.velocitySource.on('calibration', (progress) => {
+            const calibrating = this.velocitySource.isCalibrating;
+            calibrateButton.classList.toggle('learning', calibrating);
+            calibrateButton.textContent = calibrating ? 'Cancel' : 'Calibrate';
+            status.classList.remove('warning');
+            if (progress.step === 'soft' || progress.step === 'hard') {
+                const strength = progress.step === 'soft' ? 'softly' : 'hard';
+                status.textContent = `Hit a zone ${strength} (${progress.count}/${progress.needed})`;
+            } else if (progress.step === 'done' && progress.learned.length === 0) {
+                status.textContent = progress.failed.length > 0
+                    ? 'Soft and hard hits could not be told apart. Try again with a bigger difference.'
+                    : 'This device does not report pressure or contact size; position is used.';
+                status.classList.add('warning');
+            } else {
+                status.textContent = describeRanges();
+            }
+        });
+        status.textContent = describeRanges();
+    }
+
+    /**
+     * Wires the zone mixer: strip controls, reset and level meters
+     * @private
+     */
+    _setupMixerControls() {
+        const resetButton = document.getElementById('mixer-reset');
+        if (!resetButton) {
+            return;
+        }
+        const mixer = this.audioManager.mixer;
+        resetButton.addEventListener('click', () => mixer.reset());
+        mixer.on('change', ({ zoneId }) => {
+            if (zoneId) {
+                this._updateMixerStrips();
+            } else {
+                this._renderMixer();
+            }
+        });
+        
+        // Meters only animate while something is sounding
+        let meterFrame = null;
+        const updateMeters = () => {
+            meterFrame = null;
+            let sounding = this.audioManager.voiceManager.getActiveCounts().total > 0;
+            document.querySelectorAll('#mixer-strips .mixer-strip').forEach(row => {
+                const level = mixer.getLevel(row.dataset.zoneId);
+                const fill = row.querySelector('.mixer-meter-fill');
+                fill.style.width = `${Math.min(1, level) * 100}%`;
+                fill.classList.toggle('clip', level >= 1);
+                sounding = sounding || level > 0.001;
+            });
+            if (sounding) {
+                meterFrame = requestAnimationFrame(updateMeters);
+            }
+        };
+        this.audioManager.voiceManager.on('change', () => {
+            if (meterFrame === null) {
+                meterFrame = requestAnimationFrame(updateMeters);
+            }
+        });
+        this._renderMixer();
+    }
+
+    /**
+     * Renders one channel strip per zone
+     * @private
+     */
+    _renderMixer() {
+        const container = document.getElementById('mixer-strips');
+        if (!container || !this.audioManager) {
+            return;
+        }
+        const mixer = this.audioManager.mixer;
+        container.innerHTML = '';
+        this.zoneManager.getAllZones().forEach(zone => {
+            const row = document.createElement('div');
+            row.className = 'mixer-strip';
+            row.dataset.zoneId = zone.id;
+            
+            const name = document.createElement('span');
+            name.className = 'mixer-strip-name';
+            name.textContent = zone.name;
+            
+            const fader = document.createElement('input');
+            fader.type = 'range';
+            fader.className = 'mixer-fader';
+            fader.min = '0';
+            fader.max = '2';
+            fader.step = '0.01';
+            fader.setAttribute('aria-label', `${zone.name} volume`);
+            fader.addEventListener('input', () => mixer.setGain(zone.id, parseFloat(fader.value)));
+            // Double-click returns the fader to unity
+            fader.addEventListener('dblclick', () => mixer.setGain(zone.id, 1));
+            
+            const gainLabel = document.createElement('span');
+            gainLabel.className = 'mixer-gain control-status';
+            
+            const pan = document.createElement('input');
+            pan.type = 'range';
+            pan.className = 'mixer-pan';
+            pan.min = '-1';
+            pan.max = '1';
+            pan.step = '0.05';
+            pan.setAttribute('aria-label', `${zone.name} pan`);
+            pan.addEventListener('input', () => mixer.setPan(zone.id, parseFloat(pan.value)));
+            pan.addEventListener('dblclick', () => mixer.setPan(zone.id, 0));
+            
+            const muteButton = document.createElement('button');
+            muteButton.type = 'button';
+            muteButton.className = 'mixer-mute';
+            muteButton.textContent = 'M';
+            muteButton.title = `Mute ${zone.name}`;
+            muteButton.addEventListener('click', () => mixer.setMute(zone.id, !mixer.getChannel(zone.id).mute));
+            
+            const soloButton = document.createElement('button');
+            soloButton.type = 'button';
+            soloButton.className = 'mixer-solo';
+            soloButton.textContent = 'S';
+            soloButton.title = `Solo ${zone.name}`;
+            soloButton.addEventListener('click', () => mixer.setSolo(zone.id, !mixer.getChannel(zone.id).solo));
+            
+            const meter = document.createElement('div');
+            meter.className = 'mixer-meter';
+            const meterFill = document.createElement('div');
+            meterFill.className = 'mixer-meter-fill';
+            meter.appendChild(meterFill);
+            
+            [name, fader, gainLabel, pan, muteButton, soloButton, meter].forEach(element => row.appendChild(element));
+            container.appendChild(row);
+        });
+        this._updateMixerStrips();
+    }
+
+    /**
+     * Shows the mixer state on the existing strips without rebuilding them (keeps slider drags going)
+     * @private
+     */
+    _updateMixerStrips() {
+        const mixer = this.audioManager.mixer;
+        document.querySelectorAll('#mixer-strips .mixer-strip').forEach(row => {
+            const zoneId = row.dataset.zoneId;
+            const channel = mixer.getChannel(zoneId);
+            row.querySelector('.mixer-fader').value = channel.gain;
+            row.querySelector('.mixer-gain').textContent = Mixer.formatGain(channel.gain);
+            row.querySelector('.mixer-pan').value = channel.pan;
+            row.querySelector('.mixer-pan').title = channel.pan === 0
+                ? 'Center'
+                : `${Math.round(Math.abs(channel.pan) * 100)}% ${channel.pan < 0 ? 'left' : 'right'}`;
+            row.querySelector('.mixer-mute').classList.toggle('active', channel.mute);
+            row.querySelector('.mixer-solo').classList.toggle('active', channel.solo);
+            row.classList.toggle('silenced', !mixer.isAudible(zoneId));
+        });
+    }
+
+    /**
+     * Builds a new zone centered on the image with the kit's first sound
+     * @returns {Object}
+     * @private
+     */
+    _createEditorZone() {
+        let number = this.zoneManager.getAllZones().length + 1;
+        while (this.zoneManager.getZoneById(`zone-${number}`)) {
+            number++;
+        }
+        const soundName = Object.keys(this.kit.sounds)[0];
+        return {
+            id: `zone-${number}`,
+            name: `Zone ${number}`,
+            sound: soundName || null,
+            soundFile: soundName ? this.kit.sounds[soundName] : this.sounds[0],
+            volume: 1.0,
+            keyboardKey: [],
+            coordinates: { x: 40, y: 40, width: 20, height: 20 }
+        };
+    }
+
+    /**
+     * Loads sounds newly used by edited zones and releases unused ones
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _syncKitSounds() {
+        const soundFiles = [].concat(...this.zoneManager.getAllZones().map(zone => KitLoader.soundFilesForZone(zone)));
+        this.sounds = [...new Set(soundFiles)];
+        try {
+            await this.audioManager.setSounds(this.sounds);
+        } catch (error) {
+            this._handleError(error);
+        }
+    }
+
+    /**
+     * Shows the kit's image behind the zones
+     * @private
+     */
+    _applyKitImage(kit) {
+        const image = document.getElementById('cajon-image');
+        if (image && kit.image) {
+            image.style.display = '';
+            image.src = kit.image;
+            image.alt = `${kit.name} drum`;
+        }
+    }
+
+    /**
+     * Wires the kit selector and kit file import
+     * @private
+     */
+    _setupKitControls() {
+        const kitSelect = document.getElementById('kit-select');
+        const kitFileInput = document.getElementById('kit-file');
+        if (!kitSelect) {
+            return;
+        }
+        
+        const renderKitOptions = () => {
+            kitSelect.innerHTML = '';
+            this.kitIndex.kits.forEach(entry => {
+                const option = document.createElement('option');
+                option.value = entry.id;
+                option.textContent = entry.name || entry.id;
+                kitSelect.appendChild(option);
+            });
+            // Kits loaded from a file are not in the index
+            if (!this.kitIndex.kits.some(entry => entry.id === this.kit.id)) {
+                const option = document.createElement('option');
+                option.value = this.kit.id;
+                option.textContent = `${this.kit.name} (file)`;
+                kitSelect.appendChild(option);
+            }
+            kitSelect.value = this.kit.id;
+        };
+        renderKitOptions();
+        
+        kitSelect.addEventListener('change', async () => {
+            kitSelect.disabled = true;
+            try {
+                await this.switchKit(kitSelect.value);
+            } catch (error) {
+                this._handleError(error);
+            } finally {
+                kitSelect.disabled = false;
+                renderKitOptions();
+            }
+        });
+        
+        if (kitFileInput) {
+            kitFileInput.addEventListener('change', async () => {
+                const file = kitFileInput.files && kitFileInput.files[0];
+                kitFileInput.value = '';
+                if (!file) {
+                    return;
+                }
+                try {
+                    const manifest = JSON.parse(await file.text());
+                    await this.applyKit(KitLoader.parse(manifest, file.name));
+                } catch (error) {
+                    this._handleError(new Error(`Could not load kit ${file.name}: ${error.message}`));
+                } finally {
+                    renderKitOptions();
+                }
+            });
+        }
+    }
+
+    /**
+     * Wires the master effects bypass toggles and settings
+     * @private
+     */
+    _setupMasterBusControls() {
+        const masterBus = this.audioManager.masterBus;
+        const resetButton = document.getElementById('master-reset');
+        if (!resetButton) {
+            return;
+        }
+        const stageToggles = {
+            eq: document.getElementById('master-eq-enabled'),
+            reverb: document.getElementById('master-reverb-enabled'),
+            compressor: document.getElementById('master-compressor-enabled')
+        };
+        const eqSliders = {
+            low: document.getElementById('master-eq-low'),
+            mid: document.getElementById('master-eq-mid'),
+            high: document.getElementById('master-eq-high')
+        };
+        const mixSlider = document.getElementById('master-reverb-mix');
+        const decaySlider = document.getElementById('master-reverb-decay');
+        const thresholdSlider = document.getElementById('master-compressor-threshold');
+        
+        const renderSettings = (settings) => {
+            Object.keys(stageToggles).forEach(stage => {
+                stageToggles[stage].checked = settings[stage].enabled;
+            });
+            Object.keys(eqSliders).forEach(band => {
+                eqSliders[band].value = settings.eq[band];
+                eqSliders[band].disabled = !settings.eq.enabled;
+            });
+            mixSlider.value = settings.reverb.mix;
+            decaySlider.value = settings.reverb.decay;
+            mixSlider.disabled = decaySlider.disabled = !settings.reverb.enabled;
+            thresholdSlider.value = settings.compressor.threshold;
+            thresholdSlider.disabled = !settings.compressor.enabled;
+        };
+        
+        Object.keys(stageToggles).forEach(stage => {
+            stageToggles[stage].addEventListener('change', () => {
+                masterBus.setStageEnabled(stage, stageToggles[stage].checked);
+            });
+        });
+        Object.keys(eqSliders).forEach(band => {
+            eqSliders[band].addEventListener('input', () => {
+                masterBus.setEqGain(band, parseFloat(eqSliders[band].value));
+            });
+        });
+        mixSlider.addEventListener('input', () => masterBus.setReverbMix(parseFloat(mixSlider.value)));
+        // Regenerating the impulse response is costly, so wait until the slider is released
+        decaySlider.addEventListener('change', () => masterBus.setReverbDecay(parseFloat(decaySlider.value)));
+        thresholdSlider.addEventListener('input', () => {
+            masterBus.setCompressorThreshold(parseFloat(thresholdSlider.value));
+        });
+        resetButton.addEventListener('click', () => masterBus.reset());
+        
+        masterBus.on('change', renderSettings);
+        renderSettings(masterBus.getSettings());
+    }
+
+    /**
+     * Wires the tap-along latency calibration and the manual offset
+     * @private
+     */
+    _setupLatencyControls() {
+        const calibrateButton = document.getElementById('latency-calibrate');
+        if (!calibrateButton) {
+            return;
+        }
+        const offsetInput = document.getElementById('latency-offset');
+        const status = document.getElementById('latency-status');
+        const latencyMonitor = this.audioManager.latencyMonitor;
+        
+        calibrateButton.addEventListener('click', async () => {
+            if (latencyMonitor.isCalibrating) {
+                latencyMonitor.cancelCalibration();
+                return;
+            }
+            try {
+                await this.audioManager.unlockAudioContext({ fromGesture: true });
+                latencyMonitor.startCalibration();
+            } catch (error) {
+                this._handleError(error);
+            }
+        });
+        
+        offsetInput.value = Math.round(latencyMonitor.offset * 1000);
+        offsetInput.addEventListener('change', () => {
+            try {
+                latencyMonitor.setOffset(parseFloat(offsetInput.value) / 1000);
+            } catch (error) {
+                this._handleError(error);
+            }
+            offsetInput.value = Math.round(latencyMonitor.offset * 1000);
+        });
+        latencyMonitor.on('change', ({ offset }) => {
+            offsetInput.value = Math.round(offset * 1000);
+        });
+        
+        // Any played zone hit counts as a tap while calibrating (generated roll strokes do not)
+        this.inputHandler.on('hit', (hit) => {
+            if (latencyMonitor.isCalibrating && !hit.synthetic) {
+                latencyMonitor.recordTap(typeof hit.inputTime === 'number' ? latencyMonitor.toContextTime(hit.inputTime) : hit.time);
+            }
+        });
+        
+        latencyMonitor.on('calibration', (progress) => {
+            const calibrating = latencyMonitor.isCalibrating;
+            calibrateButton.classList.toggle('learning', calibrating);
+            calibrateButton.textContent = calibrating ? 'Cancel' : 'Calibrate Latency';
+            status.classList.toggle('warning', progress.step === 'failed');
+            if (progress.step === 'running') {
+                status.textContent = `Tap any zone on the high clicks (${progress.taps} taps)`;
+            } else if (progress.step === 'done') {
+                status.textContent = `Offset ${Math.round(progress.offset * 1000)} ms from ${progress.taps} taps`;
+            } else if (progress.step === 'failed') {
+                status.textContent = `Only ${progress.taps} taps were close to a click (${progress.needed} needed). Try again.`;
+            } else {
+                status.textContent = '';
+            }
+        });
+    }
+
+    /**
+     * Shows input-to-sound latency stats and a histogram in the debug panel
+     * @private
+     */
+    _setupLatencyDebug() {
+        const summary = document.getElementById('debug-latency-summary');
+        const histogram = document.getElementById('debug-latency-histogram');
+        if (!summary || !histogram) {
+            return;
+        }
+        const latencyMonitor = this.audioManager.latencyMonitor;
+        const formatMs = (value) => (value === null ? '–' : `${value.toFixed(1)} ms`);
+        let frameRequested = false;
+        const render = () => {
+            frameRequested = false;
+            const stats = latencyMonitor.getStats();
+            summary.textContent = `Input→start ${formatMs(stats.median)} median, ${formatMs(stats.p90)} p90 (n=${stats.count})` +
+                ` · base ${formatMs(stats.baseLatency)} · output ${formatMs(stats.outputLatency)}` +
+                ` · est. total ${formatMs(stats.estimatedTotal)} · offset ${Math.round(stats.offset * 1000)} ms`;
+            
+            const { bins, binSize } = stats.histogram;
+            const tallest = Math.max(1, ...bins);
+            histogram.innerHTML = '';
+            bins.forEach((count, index) => {
+                const bar = document.createElement('span');
+                bar.className = 'debug-latency-bar';
+                bar.style.height = `${(count / tallest) * 100}%`;
+                const isLast = index === bins.length - 1;
+                bar.title = `${index * binSize}${isLast ? '+' : `–${(index + 1) * binSize}`} ms: ${count}`;
+                histogram.appendChild(bar);
+            });
+        };
+        const scheduleRender = () => {
+            if (!frameRequested) {
+                frameRequested = true;
+                requestAnimationFrame(render);
+            }
+        };
+        latencyMonitor.on('sample', scheduleRender);
+        latencyMonitor.on('change', scheduleRender);
+        render();
+    }
+
+    /**
+     * Shows active voice counts in the debug panel
+     * @private
+     */
+    _setupVoiceDebug() {
+        const voiceStat = document.getElementById('debug-voices');
+        if (!voiceStat) {
+            return;
+        }
+        let frameRequested = false;
+        this.audioManager.voiceManager.on('change', () => {
+            // Voices change many times per frame during rolls; paint once per frame
+            if (frameRequested) {
+                return;
+            }
+            frameRequested = true;
+            requestAnimationFrame(() => {
+                frameRequested = false;
+                const counts = this.audioManager.voiceManager.getActiveCounts();
+                const zones = Object.keys(counts.byZone).map(zoneId => `${zoneId} ${counts.byZone[zoneId]}`);
+                voiceStat.textContent = `Voices ${counts.total}/${counts.max} · stolen ${counts.stolen}` +
+                    (zones.length > 0 ? ` · ${zones.join(', ')}` : '');
+            });
+        });
+    }
+
+    /**
+     * Builds a timestamped filename for exported takes
+     * @param {string} extension - File extension without the dot
+     * @returns {string}
+     * @private
+     */
+    _buildExportFilename(extension) {
+        const stamp = new Date().toISOString().replace(/[:T]/g, '-').replace(/\..+$/, '');
+        return `cajon-take-${stamp}.${extension}`;
+    }
+
+    /**
+     * Destroys the application and cleans up resources
+     */
+    destroy() {
+        if (this.zoneManager) {
+            this.zoneManager.setEditMode(false);
+        }
+        if (this.keyBindings) {
+            this.keyBindings.destroy();
+        }
+        if (this.userSamples) {
+            this.userSamples.detachDropTarget();
+        }
+        if (this.practiceTrainer) {
+            this.practiceTrainer.destroy();
+        }
+        if (this.sequencer) {
+            this.sequencer.stop();
+        }
+        if (this.midiInput) {
+            this.midiInput.disable();
+        }
+        if (this.gamepadInput) {
+            this.gamepadInput.disable();
+        }
+        if (this.loopStation) {
+            this.loopStation.destroy();
+        }
+        if (this.tempoTracker) {
+            this.tempoTracker.destroy();
+        }
+        if (this.metronome) {
+            this.metronome.stop();
+        }
+        if (this.midiPlayer) {
+            this.midiPlayer.stop();
+        }
+        if (this.recorder) {
+            this.recorder.destroy();
+        }
         if (this.inputHandler) {
             this.inputHandler.destroy();
         }
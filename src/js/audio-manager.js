@@ -18,6 +18,7 @@ class AudioManager {
         this._gestureUnlockHandler = null;
         this._gestureUnlockEvents = ['pointerdown', 'touchstart', 'touchend', 'mousedown', 'keydown'];
         this._scratchBuffer = null;
+        this.roundRobin = new Map(); // Map<zoneId:layerIndex, next variant index>
         
         this.listeners = {
             loading: [],
@@ -29,6 +30,28 @@ class AudioManager {
         // Initialize audio context (will be unlocked on first user interaction)
         this._initAudioContext();
         this._setupGestureUnlock();
+        
+        // Effects chain between the voices and the destination
+        this.masterBus = new MasterBus({
+            audioContext: this.audioContext
+        });
+        
+        // One channel strip per zone, feeding the master bus
+        this.mixer = new Mixer({
+            audioContext: this.audioContext,
+            destination: this.masterBus.input
+        });
+        
+        // Polyphony and choke groups for every hit
+        this.voiceManager = new VoiceManager({
+            audioContext: this.audioContext,
+            maxVoices: config.maxVoices
+        });
+        
+        // Input-to-sound measurements and the player's timing offset
+        this.latencyMonitor = new LatencyMonitor({
+            audioContext: this.audioContext
+        });
     }
 
     /**
@@ -237,11 +260,34 @@ class AudioManager {
         }
     }
 
+    /**
+     * Swaps the set of sounds (e.g., when switching kits)
+     * Buffers for sounds that are no longer used are released; sounds shared
+     * with the previous set stay decoded and are not fetched again.
+     * @param {Array<string>} sounds - Sound file paths
+     * @returns {Promise<void>}
+     */
+    async setSounds(sounds) {
+        const nextSounds = new Set(sounds || []);
+        this.sounds.forEach(soundPath => {
+            if (!nextSounds.has(soundPath)) {
+                this.removeSound(soundPath);
+            }
+        });
+        this.sounds = [...nextSounds];
+        this.loadErrors.clear();
+        await this.preloadAll();
+    }
+
     /**
      * Loads a single sound file and decodes it to AudioBuffer
      * @private
      */
     async _loadSound(soundPath) {
+        if (this.isSoundLoaded(soundPath)) {
+            this.emit('progress', this.getLoadingProgress());
+            return;
+        }
         try {
             if (window.DebugLogger) {
                 window.DebugLogger.log('loadSound: fetching', soundPath);
@@ -254,16 +300,9 @@ class AudioManager {
             
             // Decode audio data
             const arrayBuffer = await response.arrayBuffer();
-            const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
+            const audioBuffer = await this.decodeSound(soundPath, arrayBuffer);
             
-            // Store the buffer
-            this.audioBuffers.set(soundPath, audioBuffer);
-            this.loadedSounds.add(soundPath);
-            
-            this.emit('progress', {
-                loaded: this.loadedSounds.size,
-                total: this.sounds.length
-            });
+            this.emit('progress', this.getLoadingProgress());
             if (window.DebugLogger) {
                 window.DebugLogger.log('loadSound: decoded and stored', soundPath, 'duration=', audioBuffer && audioBuffer.duration);
             }
@@ -279,14 +318,47 @@ class AudioManager {
         }
     }
 
+    /**
+     * Decodes encoded audio bytes and stores the result under a sound key
+     * Used for bundled sounds and for user samples loaded from local files.
+     * Note: decodeAudioData detaches the ArrayBuffer, so pass a copy if the bytes are still needed.
+     * @param {string} soundPath - Key to store the decoded buffer under
+     * @param {ArrayBuffer} arrayBuffer - Encoded audio (mp3, wav, ogg, ...)
+     * @returns {Promise<AudioBuffer>}
+     */
+    async decodeSound(soundPath, arrayBuffer) {
+        const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
+        
+        // Store the buffer
+        this.audioBuffers.set(soundPath, audioBuffer);
+        this.loadedSounds.add(soundPath);
+        this.loadErrors.delete(soundPath);
+        return audioBuffer;
+    }
+
+    /**
+     * Forgets a decoded sound
+     * @param {string} soundPath - Sound key
+     */
+    removeSound(soundPath) {
+        this.audioBuffers.delete(soundPath);
+        this.loadedSounds.delete(soundPath);
+    }
+
     /**
      * Plays a sound from the specified path
      * Uses AudioBufferSourceNode for instant playback
      * @param {string} soundPath - Path to the sound file
      * @param {number} volume - Volume level (0.0 to 1.0, default: 1.0)
+     * @param {number} when - AudioContext time to start at (default: 0 = now)
+     * @param {Object} options
+     * @param {{type: string, frequency: number, Q: number}} options.filter - Optional filter for this hit
+     * @param {Object} options.zone - Zone the voice belongs to (for its mixer strip, voice limits and choke groups)
+     * @param {number} options.inputTime - performance.now() timestamp of the input event that caused
+     *     this hit, for latency measurement
      * @returns {Promise<void>}
      */
-    async playSound(soundPath, volume = 1.0) {
+    async playSound(soundPath, volume = 1.0, when = 0, options = {}) {
         if (!this.audioBuffers.has(soundPath)) {
             throw new Error(`Sound file not found: ${soundPath}`);
         }
@@ -306,30 +378,24 @@ class AudioManager {
         }
 
         const audioBuffer = this.audioBuffers.get(soundPath);
-        
-        // Create a new source node for this playback
-        const sourceNode = this.audioContext.createBufferSource();
-        sourceNode.buffer = audioBuffer;
-        
-        // Create gain node for volume control
-        const gainNode = this.audioContext.createGain();
-        gainNode.gain.setValueAtTime(volume, this.audioContext.currentTime);
-        
-        // Connect: source -> gain -> destination
-        sourceNode.connect(gainNode);
-        gainNode.connect(this.audioContext.destination);
-        
-        // Clean up source node when playback ends
-        sourceNode.onended = () => {
-            // Source node is automatically disconnected when ended
-        };
+        const zone = options.zone || null;
+        const voice = this.createVoice(audioBuffer, volume, {
+            filter: options.filter,
+            // Zone hits go through the zone's mixer strip
+            destination: zone ? this.mixer.getInput(zone.id) : null
+        });
         
         try {
-            // Start playback immediately (0 = now)
+            // Start playback at the requested time (0 = now)
             if (window.DebugLogger) {
-                window.DebugLogger.log('playSound: starting', soundPath, 'volume=', volume, 'ctxState=', this.audioContext.state, 'unlocked=', this.isContextUnlocked);
+                window.DebugLogger.log('playSound: starting', soundPath, 'volume=', volume, 'when=', when, 'ctxState=', this.audioContext.state, 'unlocked=', this.isContextUnlocked);
+            }
+            this.voiceManager.allocate(zone, when);
+            voice.sourceNode.start(when);
+            this.voiceManager.add(voice, zone, when);
+            if (typeof options.inputTime === 'number') {
+                this.latencyMonitor.recordProcessing(options.inputTime);
             }
-            sourceNode.start(0);
             if (window.DebugLogger) {
                 window.DebugLogger.log('playSound: started', soundPath);
             }
@@ -344,6 +410,153 @@ class AudioManager {
         }
     }
 
+    /**
+     * Plays a zone hit, choosing the sample from its velocity layers
+     * @param {Object} zone - Zone configuration
+     * @param {number} volume - Final hit volume (including zone.volume)
+     * @param {Object} options
+     * @param {number} options.when - AudioContext time to start at (default: 0 = now)
+     * @param {number} options.position - Hit position, 0 (center) to 1 (edge); default center
+     * @param {number} options.inputTime - performance.now() timestamp of the input event (live hits only)
+     * @returns {Promise<void>}
+     */
+    async playZone(zone, volume, options = {}) {
+        const voices = this.getZoneVoices(zone, volume, options.position);
+        await Promise.all(voices.map((voice, index) => this.playSound(voice.soundPath, voice.volume, options.when || 0, {
+            filter: voice.filter,
+            zone,
+            // One latency measurement per hit, however many voices it has
+            inputTime: index === 0 ? options.inputTime : undefined
+        })));
+    }
+
+    /**
+     * Works out the samples, gains and filter for one zone hit
+     * Applies the zone's tone model to the hit position:
+     * - filter: cutoff moves (exponentially) and Q moves (linearly) from the
+     *   center values to the edge values
+     * - crossfade: equal-power blend from the zone's sample to tone.edgeSoundFile
+     * Shared by live playback and offline rendering.
+     * @param {Object} zone - Zone configuration
+     * @param {number} volume - Final hit volume (including zone.volume)
+     * @param {number} position - 0 (center) to 1 (edge)
+     * @param {Map} roundRobin - Variant counters to advance (default: the live ones)
+     * @returns {Array<{soundPath: string, volume: number, filter: Object|null}>}
+     */
+    getZoneVoices(zone, volume, position = 0, roundRobin = this.roundRobin) {
+        const soundPath = this.selectZoneSound(zone, volume, roundRobin);
+        const tone = zone.tone;
+        const edge = Math.max(0, Math.min(1, position || 0));
+        
+        if (tone && tone.type === 'filter') {
+            const frequency = tone.centerCutoff * Math.pow(tone.edgeCutoff / tone.centerCutoff, edge);
+            const Q = tone.centerQ + (tone.edgeQ - tone.centerQ) * edge;
+            return [{ soundPath, volume, filter: { type: tone.filterType, frequency, Q } }];
+        }
+        
+        if (tone && tone.type === 'crossfade' && this.isSoundLoaded(tone.edgeSoundFile)) {
+            const centerGain = Math.cos(edge * Math.PI / 2);
+            const edgeGain = Math.sin(edge * Math.PI / 2);
+            const voices = [];
+            // Skip voices that would be inaudible
+            if (centerGain > 0.001) {
+                voices.push({ soundPath, volume: volume * centerGain, filter: null });
+            }
+            if (edgeGain > 0.001) {
+                voices.push({ soundPath: tone.edgeSoundFile, volume: volume * edgeGain, filter: null });
+            }
+            return voices;
+        }
+        
+        return [{ soundPath, volume, filter: null }];
+    }
+
+    /**
+     * Picks the sample for a zone hit
+     * Zones with velocity layers use the first layer whose maxVelocity covers the
+     * hit's intensity (volume relative to zone.volume) and rotate through that
+     * layer's round-robin variants on each call. Other zones use soundFile.
+     * Offline rendering passes its own counters so the live rotation is left alone.
+     * @param {Object} zone - Zone configuration
+     * @param {number} volume - Final hit volume (including zone.volume)
+     * @param {Map} roundRobin - Variant counters to advance (default: the live ones)
+     * @returns {string} Sound path
+     */
+    selectZoneSound(zone, volume, roundRobin = this.roundRobin) {
+        const layers = zone.layers;
+        if (!layers || layers.length === 0) {
+            return zone.soundFile;
+        }
+        const baseVolume = zone.volume > 0 ? zone.volume : 1.0;
+        const intensity = Math.max(0, Math.min(1, volume / baseVolume));
+        let layerIndex = layers.findIndex(layer => intensity <= layer.maxVelocity);
+        if (layerIndex === -1) {
+            layerIndex = layers.length - 1;
+        }
+        
+        // Variants that failed to load are skipped
+        const variants = layers[layerIndex].soundFiles.filter(soundPath => this.isSoundLoaded(soundPath));
+        if (variants.length === 0) {
+            return zone.soundFile;
+        }
+        const counterKey = `${zone.id}:${layerIndex}`;
+        const variantIndex = (roundRobin.get(counterKey) || 0) % variants.length;
+        roundRobin.set(counterKey, variantIndex + 1);
+        return variants[variantIndex];
+    }
+
+    /**
+     * Builds the node graph for one hit: source -> [filter] -> gain -> destination
+     * Zone hits pass their mixer strip as the destination.
+     * Shared by live playback and offline rendering so both apply gain identically.
+     * @param {AudioBuffer} audioBuffer - Decoded sound
+     * @param {number} volume - Gain applied to the hit
+     * @param {Object} options
+     * @param {BaseAudioContext} options.context - Context to build in (default: live AudioContext)
+     * @param {AudioNode} options.destination - Node to connect to (default: the master bus for the
+     *     live context, otherwise context.destination)
+     * @param {{type: string, frequency: number, Q: number}} options.filter - Optional BiquadFilter settings
+     * @returns {{sourceNode: AudioBufferSourceNode, gainNode: GainNode, filterNode: BiquadFilterNode|null}}
+     */
+    createVoice(audioBuffer, volume, options = {}) {
+        const context = options.context || this.audioContext;
+        const destination = options.destination ||
+            (context === this.audioContext && this.masterBus ? this.masterBus.input : context.destination);
+        
+        // Create a new source node for this playback
+        const sourceNode = context.createBufferSource();
+        sourceNode.buffer = audioBuffer;
+        
+        // Create gain node for volume control
+        const gainNode = context.createGain();
+        gainNode.gain.setValueAtTime(volume, context.currentTime);
+        
+        // Position-dependent tone shaping
+        let filterNode = null;
+        if (options.filter) {
+            filterNode = context.createBiquadFilter();
+            filterNode.type = options.filter.type || 'lowpass';
+            filterNode.frequency.setValueAtTime(options.filter.frequency, context.currentTime);
+            filterNode.Q.setValueAtTime(options.filter.Q, context.currentTime);
+        }
+        
+        // Connect: source -> [filter] -> gain -> destination
+        if (filterNode) {
+            sourceNode.connect(filterNode);
+            filterNode.connect(gainNode);
+        } else {
+            sourceNode.connect(gainNode);
+        }
+        gainNode.connect(destination);
+        
+        // Clean up source node when playback ends (live voices are tracked by VoiceManager)
+        sourceNode.onended = () => {
+            // Source node is automatically disconnected when ended
+        };
+        
+        return { sourceNode, gainNode, filterNode };
+    }
+
     /**
      * Checks if a sound file has finished loading
      * @param {string} soundPath - Path to the sound file
@@ -359,7 +572,7 @@ class AudioManager {
      */
     getLoadingProgress() {
         return {
-            loaded: this.loadedSounds.size,
+            loaded: this.sounds.filter(soundPath => this.loadedSounds.has(soundPath)).length,
             total: this.sounds.length
         };
     }
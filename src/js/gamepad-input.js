@@ -0,0 +1,421 @@
+/**
+ * GamepadInput - Triggers zones from game controllers and foot pedals via the Gamepad API
+ * The Gamepad API has no input events, so connected pads are polled once per
+ * animation frame. Buttons and axes are read as a depth from 0 to 1: digital
+ * buttons jump to 1, analog triggers report how far they are pressed and each
+ * axis direction counts as its own control (a pedal resting at -1 is bound as
+ * "axis:N+"). A press fires once the control stops moving further in, with its
+ * deepest reading as the hit intensity, and goes through InputHandler like any
+ * other hit. Controls are bound to zones with a learn mode and bindings persist
+ * per kit in SettingsStore; they apply to every connected pad.
+ *
+ * The gamepad source and the frame scheduler are injectable (config.getGamepads,
+ * config.requestAnimationFrame, config.cancelAnimationFrame) so fakes can stand
+ * in for navigator.getGamepads and the browser's frame loop.
+ */
+
+class GamepadInput {
+    constructor(config) {
+        this.inputHandler = config.inputHandler;
+        this.zoneManager = config.zoneManager;
+        this.getGamepads = config.getGamepads ||
+            (typeof navigator !== 'undefined' && navigator.getGamepads
+                ? navigator.getGamepads.bind(navigator)
+                : null);
+        this.requestFrame = config.requestAnimationFrame || window.requestAnimationFrame.bind(window);
+        this.cancelFrame = config.cancelAnimationFrame || window.cancelAnimationFrame.bind(window);
+        this.storagePrefix = config.storagePrefix || 'gamepad-bindings';
+        this.pressThreshold = config.pressThreshold || 0.15; // depth that starts a press
+        this.releaseThreshold = config.releaseThreshold || 0.08; // depth below which a press ends
+
+        this.kitId = null;
+        this.isEnabled = false;
+        this.frameId = null;
+        this.learningZoneId = null;
+        this.bindings = new Map(); // Map<controlId, zoneId>, e.g. 'button:6' -> 'kick'
+        this.controls = new Map(); // Map<`${padIndex}/${controlId}`, {active, fired, peak}>
+        this.padNames = [];
+
+        this.boundPoll = this.poll.bind(this);
+
+        this.listeners = {
+            statechange: [],
+            learned: []
+        };
+    }
+
+    /**
+     * Whether the Gamepad API (or an injected replacement) is available
+     * @returns {boolean}
+     */
+    get isSupported() {
+        return typeof this.getGamepads === 'function';
+    }
+
+    /**
+     * Starts polling the connected pads
+     */
+    enable() {
+        if (this.isEnabled) {
+            return;
+        }
+        if (!this.isSupported) {
+            throw new Error('The Gamepad API is not supported in this browser');
+        }
+        this.isEnabled = true;
+        this.controls.clear();
+        this.frameId = this.requestFrame(this.boundPoll);
+        if (window.DebugLogger) {
+            window.DebugLogger.log('GamepadInput: enabled');
+        }
+        this._emitStateChange();
+    }
+
+    /**
+     * Stops polling
+     */
+    disable() {
+        if (!this.isEnabled) {
+            return;
+        }
+        if (this.frameId !== null) {
+            this.cancelFrame(this.frameId);
+            this.frameId = null;
+        }
+        this.isEnabled = false;
+        this.learningZoneId = null;
+        this.padNames = [];
+        this._emitStateChange();
+    }
+
+    /**
+     * Reads every connected pad once and fires the presses that completed
+     * Runs on each animation frame while enabled; can be called directly in tests.
+     */
+    poll() {
+        if (!this.isEnabled) {
+            return;
+        }
+        const pads = Array.from(this.getGamepads() || []).filter(pad => pad && pad.connected !== false);
+
+        const padNames = pads.map(pad => pad.id || `Gamepad ${pad.index}`);
+        if (padNames.join('\n') !== this.padNames.join('\n')) {
+            this.padNames = padNames;
+            this._emitStateChange();
+        }
+
+        pads.forEach(pad => {
+            const inputTime = pad.timestamp > 0 ? pad.timestamp : performance.now();
+            GamepadInput.readControls(pad).forEach(({ controlId, depth }) => {
+                this._updateControl(`${pad.index}/${controlId}`, controlId, depth, inputTime);
+            });
+        });
+
+        this.frameId = this.requestFrame(this.boundPoll);
+    }
+
+    /**
+     * Gets the names of the connected pads (as of the last poll)
+     * @returns {Array<string>}
+     */
+    getPadNames() {
+        return this.padNames.slice();
+    }
+
+    /**
+     * Binds the next pressed control to a zone
+     * @param {string} zoneId
+     */
+    startLearn(zoneId) {
+        if (!this.zoneManager.getZoneById(zoneId)) {
+            throw new Error(`Unknown zone: ${zoneId}`);
+        }
+        this.learningZoneId = zoneId;
+        this._emitStateChange();
+    }
+
+    /**
+     * Leaves learn mode without binding anything
+     */
+    cancelLearn() {
+        this.learningZoneId = null;
+        this._emitStateChange();
+    }
+
+    /**
+     * Binds a control to a zone, replacing any previous binding for that control
+     * @param {string} controlId - 'button:N', 'axis:N+' or 'axis:N-'
+     * @param {string} zoneId
+     */
+    setBinding(controlId, zoneId) {
+        if (!GamepadInput.isControlId(controlId)) {
+            throw new Error(`Invalid gamepad control: ${controlId}`);
+        }
+        this.bindings.set(controlId, zoneId);
+        this._saveBindings();
+        this._emitStateChange();
+    }
+
+    /**
+     * Gets the controls bound to a zone
+     * @param {string} zoneId
+     * @returns {Array<string>}
+     */
+    getControlsForZone(zoneId) {
+        return [...this.bindings.entries()]
+            .filter(([, boundZoneId]) => boundZoneId === zoneId)
+            .map(([controlId]) => controlId)
+            .sort();
+    }
+
+    /**
+     * Loads the stored bindings for a kit
+     * Call after the kit's zones are in TriggerZoneManager.
+     * @param {string} kitId
+     */
+    load(kitId) {
+        this.learningZoneId = null;
+        this.kitId = kitId;
+        this._loadBindings();
+        this._emitStateChange();
+    }
+
+    /**
+     * Restores the default bindings (see _loadBindings)
+     */
+    resetBindings() {
+        SettingsStore.remove(this._storageKey());
+        this._loadBindings();
+        this._emitStateChange();
+    }
+
+    /**
+     * Reads a pad's buttons and axis directions as depths
+     * @param {Gamepad} pad
+     * @returns {Array<{controlId: string, depth: number}>} depth from 0 (released) to 1 (fully pressed)
+     */
+    static readControls(pad) {
+        const controls = [];
+        (pad.buttons || []).forEach((button, index) => {
+            // Older implementations report buttons as plain numbers
+            const value = typeof button === 'number' ? button : (button.value || (button.pressed ? 1 : 0));
+            controls.push({ controlId: `button:${index}`, depth: Math.max(0, Math.min(1, value)) });
+        });
+        (pad.axes || []).forEach((value, index) => {
+            controls.push({ controlId: `axis:${index}+`, depth: Math.max(0, Math.min(1, value)) });
+            controls.push({ controlId: `axis:${index}-`, depth: Math.max(0, Math.min(1, -value)) });
+        });
+        return controls;
+    }
+
+    /**
+     * Checks a control id: 'button:N', or 'axis:N+' / 'axis:N-'
+     * @param {string} controlId
+     * @returns {boolean}
+     */
+    static isControlId(controlId) {
+        const match = GamepadInput.CONTROL_PATTERN.exec(controlId);
+        return !!match && (match[1] === 'axis') === (match[3] !== '');
+    }
+
+    /**
+     * Formats a control for display, with standard-mapping button names
+     * @param {string} controlId
+     * @returns {string}
+     */
+    static formatControl(controlId) {
+        const match = GamepadInput.CONTROL_PATTERN.exec(controlId);
+        if (!match) {
+            return controlId;
+        }
+        const index = Number(match[2]);
+        if (match[1] === 'button') {
+            return GamepadInput.BUTTON_NAMES[index] || `Button ${index}`;
+        }
+        return `Axis ${index}${match[3]}`;
+    }
+
+    /**
+     * Tracks one control's press and fires it at its deepest point
+     * @param {string} key - Pad index and control id
+     * @param {string} controlId
+     * @param {number} depth - 0 to 1
+     * @param {number} inputTime - performance.now() timestamp of the reading
+     * @private
+     */
+    _updateControl(key, controlId, depth, inputTime) {
+        let state = this.controls.get(key);
+        if (!state) {
+            // Controls already in at the first reading (held buttons, pedals resting
+            // at one end of an axis) must be released before they can fire
+            const held = depth >= this.pressThreshold;
+            this.controls.set(key, { active: held, fired: held, peak: depth });
+            return;
+        }
+
+        if (!state.active) {
+            if (depth < this.pressThreshold) {
+                return;
+            }
+            state.active = true;
+            state.fired = false;
+            state.peak = depth;
+            // Digital buttons and slammed triggers are already as deep as they go
+            if (depth >= GamepadInput.FULL_DEPTH) {
+                this._fire(controlId, depth, inputTime);
+                state.fired = true;
+            }
+            return;
+        }
+
+        if (!state.fired) {
+            if (depth > state.peak && depth < GamepadInput.FULL_DEPTH) {
+                state.peak = depth; // Still going in
+            } else {
+                this._fire(controlId, Math.max(depth, state.peak), inputTime);
+                state.fired = true;
+            }
+        }
+        if (depth < this.releaseThreshold) {
+            state.active = false;
+        }
+    }
+
+    /**
+     * Hits the bound zone (learning the control first when in learn mode)
+     * @param {string} controlId
+     * @param {number} depth - Deepest reading of the press
+     * @param {number} inputTime
+     * @private
+     */
+    _fire(controlId, depth, inputTime) {
+        if (this.learningZoneId) {
+            const zoneId = this.learningZoneId;
+            this.learningZoneId = null;
+            this.setBinding(controlId, zoneId);
+            if (window.DebugLogger) {
+                window.DebugLogger.log('GamepadInput: learned', controlId, '->', zoneId);
+            }
+            this.emit('learned', { controlId, zoneId });
+        }
+
+        const zoneId = this.bindings.get(controlId);
+        const zone = zoneId ? this.zoneManager.getZoneById(zoneId) : null;
+        if (!zone) {
+            if (window.DebugLogger) {
+                window.DebugLogger.log('GamepadInput: no zone bound to', controlId);
+            }
+            return;
+        }
+        // The softest press that registers at all is the softest hit
+        const intensity = (depth - this.pressThreshold) / (1 - this.pressThreshold);
+        this.inputHandler.triggerZoneById(zone.id, Math.max(0, Math.min(1, intensity)), inputTime).catch(error => {
+            console.error(`GamepadInput: failed to trigger zone ${zone.id}:`, error);
+        });
+    }
+
+    /**
+     * Loads stored bindings, falling back to the face buttons and
+     * analog triggers on the kit's first zones
+     * @private
+     */
+    _loadBindings() {
+        this.bindings.clear();
+        const stored = SettingsStore.load(this._storageKey(), null);
+        if (stored && typeof stored === 'object') {
+            Object.keys(stored).forEach(controlId => {
+                if (GamepadInput.isControlId(controlId) && typeof stored[controlId] === 'string') {
+                    this.bindings.set(controlId, stored[controlId]);
+                }
+            });
+            return;
+        }
+        const zones = this.zoneManager.getAllZones();
+        GamepadInput.DEFAULT_CONTROLS.forEach((controlIds, zoneIndex) => {
+            if (zones[zoneIndex]) {
+                controlIds.forEach(controlId => this.bindings.set(controlId, zones[zoneIndex].id));
+            }
+        });
+    }
+
+    /**
+     * @private
+     */
+    _saveBindings() {
+        const stored = {};
+        this.bindings.forEach((zoneId, controlId) => {
+            stored[controlId] = zoneId;
+        });
+        SettingsStore.save(this._storageKey(), stored);
+    }
+
+    /**
+     * @private
+     */
+    _storageKey() {
+        return `${this.storagePrefix}:${this.kitId}`;
+    }
+
+    /**
+     * @private
+     */
+    _emitStateChange() {
+        this.emit('statechange', {
+            isEnabled: this.isEnabled,
+            pads: this.getPadNames(),
+            learningZoneId: this.learningZoneId
+        });
+    }
+
+    /**
+     * Event emitter methods
+     */
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
+
+    off(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+        }
+    }
+
+    emit(event, data) {
+        if (this.listeners[event]) {
+            this.listeners[event].forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`Error in ${event} listener:`, error);
+                }
+            });
+        }
+    }
+}
+
+GamepadInput.CONTROL_PATTERN = /^(button|axis):(\d+)([+-]?)$/;
+
+/**
+ * Depth from which a press is treated as fully in
+ */
+GamepadInput.FULL_DEPTH = 0.99;
+
+/**
+ * Button names in the W3C standard gamepad mapping
+ */
+GamepadInput.BUTTON_NAMES = [
+    'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'L3', 'R3', 'Up', 'Down', 'Left', 'Right', 'Home'
+];
+
+/**
+ * Default bindings by zone order: the first zone on A and the left trigger,
+ * the second on B and the right trigger, the third on X, the fourth on Y
+ */
+GamepadInput.DEFAULT_CONTROLS = [
+    ['button:0', 'button:6'],
+    ['button:1', 'button:7'],
+    ['button:2'],
+    ['button:3']
+];
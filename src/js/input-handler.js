@@ -2,6 +2,18 @@
  * InputHandler - Handles user input events (pointer, keyboard)
  * Coordinates with TriggerZoneManager and AudioManager
  * Optimized for mobile performance with immediate visual feedback
+ *
+ * Each pointer (finger, pen, mouse) is tracked on its own from press to
+ * release, so several fingers can play at once. Sliding a pointer into
+ * another zone hits that zone, and jittering a held pointer inside a zone
+ * plays a roll. Holding a zone key plays a roll at a subdivision of the
+ * current tempo (config.getTempo) instead of the OS key repeat, optionally
+ * getting louder or softer, until the key is released. Gesture settings
+ * persist in SettingsStore.
+ *
+ * Every input reports hit strength as an intensity from 0 to 1 (pointer
+ * position/pressure, 1 for keys, MIDI velocity / 127); _triggerZone maps it
+ * through the velocity curve and the zone volume.
  */
 
 class InputHandler {
@@ -10,15 +22,33 @@ class InputHandler {
         this.audioManager = config.audioManager;
         this.container = config.container || null; // Container element for event delegation
         this.onZoneActivated = config.onZoneActivated || null;
+        this.velocitySource = config.velocitySource || null; // Pressure/contact-size hit strength
+        this.velocityCurve = config.velocityCurve || null; // Intensity to volume mapping
+        this.getTempo = config.getTempo || (() => InputHandler.DEFAULT_TEMPO); // BPM that key rolls follow
         this.enabled = true;
         this.hasFocus = true;
         
         // Track if we've unlocked audio context
         this.audioUnlocked = false;
         
+        // Pressed pointers: Map<pointerId, {zoneId, lastX, lastY, travel, lastHitTime}>
+        this.pointers = new Map();
+        this.lastPointerHits = new Map(); // Map<zoneId, time of the last pointer hit (ms)>
+        this.gestureStorageKey = config.gestureStorageKey || 'gestures';
+        this.gestures = InputHandler._mergeGestures(SettingsStore.load(this.gestureStorageKey, null));
+        this.heldKeys = new Set(); // KeyboardEvent.code of zone keys that are down
+        this.keyRolls = new Map(); // Map<KeyboardEvent.code, {zone, startTime, elapsed, timerId}>
+        
+        this.listeners = {
+            hit: []
+        };
+        
         // Bound event handlers (for cleanup)
         this.boundHandlePointerDown = this.handlePointerDown.bind(this);
+        this.boundHandlePointerMove = this.handlePointerMove.bind(this);
+        this.boundHandlePointerUp = this.handlePointerUp.bind(this);
         this.boundHandleKeydown = this.handleKeydown.bind(this);
+        this.boundHandleKeyup = this.handleKeyup.bind(this);
         this.boundHandleFocus = this.handleFocus.bind(this);
         this.boundHandleBlur = this.handleBlur.bind(this);
     }
@@ -50,8 +80,14 @@ class InputHandler {
             keyboardHint.addEventListener('pointerdown', this.boundHandlePointerDown, { passive: false });
         }
         
+        // Moves and releases are followed on window so pointers that leave the container are still released
+        window.addEventListener('pointermove', this.boundHandlePointerMove, { passive: true });
+        window.addEventListener('pointerup', this.boundHandlePointerUp);
+        window.addEventListener('pointercancel', this.boundHandlePointerUp);
+        
         // Keyboard events - still on document for global keyboard support
         document.addEventListener('keydown', this.boundHandleKeydown);
+        document.addEventListener('keyup', this.boundHandleKeyup);
         
         // Focus/blur events for keyboard input
         window.addEventListener('focus', this.boundHandleFocus);
@@ -69,7 +105,13 @@ class InputHandler {
         if (keyboardHint) {
             keyboardHint.removeEventListener('pointerdown', this.boundHandlePointerDown);
         }
+        window.removeEventListener('pointermove', this.boundHandlePointerMove);
+        window.removeEventListener('pointerup', this.boundHandlePointerUp);
+        window.removeEventListener('pointercancel', this.boundHandlePointerUp);
+        this.pointers.clear();
+        this._stopKeyRolls();
         document.removeEventListener('keydown', this.boundHandleKeydown);
+        document.removeEventListener('keyup', this.boundHandleKeyup);
         window.removeEventListener('focus', this.boundHandleFocus);
         window.removeEventListener('blur', this.boundHandleBlur);
     }
@@ -86,6 +128,57 @@ class InputHandler {
      */
     disable() {
         this.enabled = false;
+        this.pointers.clear();
+        this._stopKeyRolls();
+    }
+
+    /**
+     * Changes the pointer gesture settings and saves them
+     * @param {Object} changes
+     * @param {boolean} changes.slideRetrigger - Sliding into another zone hits it
+     * @param {boolean} changes.roll - Jittering a held pointer inside a zone plays a roll
+     * @param {number} changes.rollThreshold - Pointer travel (px) that makes one roll stroke
+     * @param {number} changes.rollInterval - Shortest time between roll strokes (ms)
+     * @param {number} changes.minRetriggerInterval - Pointer hits on a zone closer together
+     *     than this (ms) are dropped as accidental double hits
+     * @param {boolean} changes.keyRoll - Holding a zone key plays a roll
+     * @param {number} changes.keyRollSubdivision - Roll strokes per beat of the current tempo
+     * @param {string} changes.keyRollDynamics - 'steady', 'crescendo' or 'decrescendo'
+     * @param {number} changes.keyRollRamp - Beats a crescendo or decrescendo takes
+     * @param {number} changes.keyRollDelay - How long a key must be held before the roll starts (ms)
+     */
+    setGestureOptions(changes) {
+        const limits = InputHandler.GESTURE_LIMITS;
+        Object.keys(changes).forEach(key => {
+            const value = changes[key];
+            if (typeof InputHandler.DEFAULT_GESTURES[key] === 'boolean') {
+                this.gestures[key] = !!value;
+            } else if (key === 'keyRollDynamics') {
+                if (!InputHandler.KEY_ROLL_DYNAMICS.includes(value)) {
+                    throw new Error(`Invalid ${key}: ${value}`);
+                }
+                this.gestures[key] = value;
+            } else if (limits[key]) {
+                if (typeof value !== 'number' || !isFinite(value)) {
+                    throw new Error(`Invalid ${key}: ${value}`);
+                }
+                this.gestures[key] = Math.max(limits[key][0], Math.min(limits[key][1], value));
+            } else {
+                throw new Error(`Unknown gesture option: ${key}`);
+            }
+        });
+        SettingsStore.save(this.gestureStorageKey, this.gestures);
+    }
+
+    /**
+     * Gets a copy of the gesture settings
+     * @returns {{slideRetrigger: boolean, roll: boolean, rollThreshold: number,
+     *            rollInterval: number, minRetriggerInterval: number, keyRoll: boolean,
+     *            keyRollSubdivision: number, keyRollDynamics: string, keyRollRamp: number,
+     *            keyRollDelay: number}}
+     */
+    getGestureOptions() {
+        return { ...this.gestures };
     }
 
     /**
@@ -149,15 +242,30 @@ class InputHandler {
             zoneElement = this.zoneManager.zoneElements.get(zone.id);
         }
         
-        // Calculate volume based on click position within zone
-        // For keyboard-key-item clicks, use center volume (1.0) since click is not on zone element
-        let volume = zone.volume !== undefined ? zone.volume : 1.0;
+        // Hit strength from where (or how hard) the zone was hit
+        // Keyboard-key-item clicks are not on the zone element and count as center hits
+        let intensity = 1;
+        // Hit position for the zone's tone model: 0 = center, 1 = edge
+        let position = null;
         if (zoneElement && !isKeyboardKeyItem) {
-            volume = this._calculateVolumeFromClickPosition(event, zoneElement, zone);
-        } else if (isKeyboardKeyItem) {
-            // For keyboard-key-item clicks, use center volume (1.0) multiplied by zone base volume
-            const baseVolume = zone.volume !== undefined ? zone.volume : 1.0;
-            volume = 1.0 * baseVolume;
+            ({ intensity, position } = this._getPointerHit(event, zone, zoneElement));
+        }
+        
+        // Follow pointers pressed on the drum for slides and rolls
+        let accepted = true;
+        if (!isKeyboardKeyItem) {
+            const pointer = {
+                zoneId: zone.id,
+                lastX: event.clientX,
+                lastY: event.clientY,
+                travel: 0,
+                lastHitTime: 0
+            };
+            this.pointers.set(event.pointerId, pointer);
+            accepted = this._acceptPointerHit(zone.id, pointer);
+            if (this.velocitySource && this.velocitySource.isCalibrating) {
+                this.velocitySource.recordCalibrationHit(event);
+            }
         }
         
         // CRITICAL: Unlock audio context BEFORE playing sound, but within the same gesture handler
@@ -184,11 +292,55 @@ class InputHandler {
         }
         
         // Now trigger zone - unlock is complete, so playSound should work
-        if (zone) {
-            await this._triggerZone(zone, volume);
+        if (zone && accepted) {
+            await this._triggerZone(zone, intensity, position, event.timeStamp);
         }
     }
 
+    /**
+     * Handles pointer moves of pressed pointers: slides into other zones and rolls
+     * @param {PointerEvent} event
+     */
+    handlePointerMove(event) {
+        const pointer = this.pointers.get(event.pointerId);
+        if (!this.enabled || !pointer) return;
+        
+        // Touch pointers stay captured by the element they pressed, so look up what is under the pointer now
+        const element = document.elementFromPoint(event.clientX, event.clientY);
+        const zone = element && this.container.contains(element) ? this.zoneManager.getZoneByElement(element) : null;
+        const travel = Math.hypot(event.clientX - pointer.lastX, event.clientY - pointer.lastY);
+        pointer.lastX = event.clientX;
+        pointer.lastY = event.clientY;
+        
+        if ((zone ? zone.id : null) !== pointer.zoneId) {
+            pointer.zoneId = zone ? zone.id : null;
+            pointer.travel = 0;
+            if (zone && this.gestures.slideRetrigger) {
+                if (window.DebugLogger) {
+                    window.DebugLogger.log('handlePointerMove: slid into zone', zone.id, 'pointer=', event.pointerId);
+                }
+                this._triggerPointerHit(event, zone, pointer);
+            }
+            return;
+        }
+        
+        if (!zone || !this.gestures.roll) return;
+        pointer.travel += travel;
+        const now = performance.now();
+        if (pointer.travel >= this.gestures.rollThreshold && now - pointer.lastHitTime >= this.gestures.rollInterval) {
+            pointer.travel = 0;
+            this._triggerPointerHit(event, zone, pointer);
+        }
+    }
+
+    /**
+     * Stops following a released or cancelled pointer
+     * @param {PointerEvent} event
+     */
+    handlePointerUp(event) {
+        this.pointers.delete(event.pointerId);
+    }
+
     /**
      * Handles keyboard keydown events
      * @param {KeyboardEvent} event
@@ -196,19 +348,12 @@ class InputHandler {
     async handleKeydown(event) {
         if (!this.enabled || !this.hasFocus) return;
         
-        // Check if shift keys are being used as primary keys (not modifiers)
-        const isShiftKey = event.code === 'ShiftLeft' || event.code === 'ShiftRight';
-        let keyToCheck;
+        // Let form fields in the control panel receive their own keystrokes
+        if (this._isEditableTarget(event.target)) return;
         
-        if (isShiftKey) {
-            // Map shift key codes to our key names
-            keyToCheck = event.code === 'ShiftLeft' ? 'leftshift' : 'rightshift';
-        } else {
-            // Ignore modifier keys when used as modifiers (not primary keys)
-            if (event.ctrlKey || event.altKey || event.metaKey || event.shiftKey) {
-                return;
-            }
-            keyToCheck = event.key.toLowerCase();
+        const keyToCheck = InputHandler.normalizeKey(event);
+        if (!keyToCheck) {
+            return;
         }
         const zone = this.zoneManager.getZoneByKey(keyToCheck);
         
@@ -221,6 +366,12 @@ class InputHandler {
         
         event.preventDefault();
         event.stopPropagation();
+        // Held keys roll on the tempo grid (see _startKeyRoll), not at the OS repeat rate
+        if (event.repeat || this.heldKeys.has(event.code)) {
+            return;
+        }
+        // Marked before the unlock await, so a keyup during it is not missed
+        this.heldKeys.add(event.code);
         if (window.DebugLogger) {
             window.DebugLogger.log('handleKeydown: zone found', zone.id, 'for key', keyToCheck);
         }
@@ -244,7 +395,71 @@ class InputHandler {
         }
         
         // Now trigger zone - unlock is complete, so playSound should work
-        await this._triggerZone(zone);
+        const hit = this._triggerZone(zone, 1, null, event.timeStamp);
+        if (this.gestures.keyRoll && this.heldKeys.has(event.code)) {
+            this._startKeyRoll(event.code, zone, event.timeStamp);
+        }
+        await hit;
+    }
+
+    /**
+     * Handles keyboard keyup events: releasing a key ends its roll
+     * @param {KeyboardEvent} event
+     */
+    handleKeyup(event) {
+        this._stopKeyRoll(event.code);
+    }
+
+    /**
+     * Converts a keyboard event to the key name used in zone bindings
+     * Shift keys on their own map to 'leftshift'/'rightshift'; other keys are
+     * lowercased. Returns null for key combinations with a modifier.
+     * @param {KeyboardEvent} event
+     * @returns {string|null}
+     */
+    static normalizeKey(event) {
+        // Check if shift keys are being used as primary keys (not modifiers)
+        if (event.code === 'ShiftLeft' || event.code === 'ShiftRight') {
+            return event.code === 'ShiftLeft' ? 'leftshift' : 'rightshift';
+        }
+        // Ignore modifier keys when used as modifiers (not primary keys)
+        if (event.ctrlKey || event.altKey || event.metaKey || event.shiftKey) {
+            return null;
+        }
+        return event.key ? event.key.toLowerCase() : null;
+    }
+
+    /**
+     * Checks whether a key event target is a text entry control
+     * @param {EventTarget} target
+     * @returns {boolean}
+     * @private
+     */
+    _isEditableTarget(target) {
+        if (!target || !target.tagName) {
+            return false;
+        }
+        const tagName = target.tagName.toLowerCase();
+        return tagName === 'input' || tagName === 'select' || tagName === 'textarea' || target.isContentEditable === true;
+    }
+
+    /**
+     * Triggers a zone from an external input source (MIDI controller, gamepad, ...)
+     * Uses the same path (and velocity curve) as pointer and keyboard hits.
+     * @param {string} zoneId - Zone identifier
+     * @param {number} intensity - Hit strength, 0 (softest) to 1 (hardest; default)
+     * @param {number} inputTime - performance.now() timestamp of the input event, if known
+     * @returns {Promise<boolean>} Whether a zone was triggered
+     */
+    async triggerZoneById(zoneId, intensity = 1, inputTime = null) {
+        if (!this.enabled) return false;
+        
+        const zone = this.zoneManager.getZoneById(zoneId);
+        if (!zone) {
+            return false;
+        }
+        await this._triggerZone(zone, intensity, null, inputTime);
+        return true;
     }
 
     /**
@@ -259,22 +474,104 @@ class InputHandler {
      */
     handleBlur() {
         this.hasFocus = false;
+        // Releases may happen outside the window
+        this.pointers.clear();
+        this._stopKeyRolls();
     }
 
     /**
-     * Calculates volume based on click position within zone
-     * Center = 100% volume, Edge = 40% volume, linear interpolation
-     * @param {PointerEvent} event - The pointer event
+     * Plays a slide or roll hit for a tracked pointer
+     * @param {PointerEvent} event
+     * @param {Object} zone - Zone under the pointer
+     * @param {Object} pointer - Tracked pointer state
+     * @private
+     */
+    _triggerPointerHit(event, zone, pointer) {
+        if (!this._acceptPointerHit(zone.id, pointer)) {
+            return;
+        }
+        const { intensity, position } = this._getPointerHit(event, zone, this.zoneManager.zoneElements.get(zone.id));
+        this._triggerZone(zone, intensity, position, event.timeStamp);
+    }
+
+    /**
+     * Applies the minimum retrigger interval to a pointer hit and records it
+     * @param {string} zoneId
+     * @param {Object} pointer - Tracked pointer state
+     * @returns {boolean} Whether the hit should play
+     * @private
+     */
+    _acceptPointerHit(zoneId, pointer) {
+        const now = performance.now();
+        const lastHit = this.lastPointerHits.get(zoneId);
+        if (lastHit !== undefined && now - lastHit < this.gestures.minRetriggerInterval) {
+            if (window.DebugLogger) {
+                window.DebugLogger.log('InputHandler: dropped double hit on', zoneId, 'after', (now - lastHit).toFixed(1), 'ms');
+            }
+            return false;
+        }
+        this.lastPointerHits.set(zoneId, now);
+        pointer.lastHitTime = now;
+        return true;
+    }
+
+    /**
+     * Works out a pointer hit's intensity and tone position from where it landed
+     * @param {PointerEvent} event
+     * @param {Object} zone - Zone configuration
      * @param {HTMLElement} zoneElement - The zone DOM element
-     * @param {Object} zone - The zone configuration
-     * @returns {number} Volume multiplier (0.4 to 1.0)
+     * @returns {{intensity: number, position: number|null}}
      * @private
      */
-    _calculateVolumeFromClickPosition(event, zoneElement, zone) {
+    _getPointerHit(event, zone, zoneElement) {
         if (!zoneElement) {
-            return zone.volume !== undefined ? zone.volume : 1.0;
+            return { intensity: 1, position: null };
+        }
+        const ratio = Math.min(1, this._calculateEdgeRatio(event, zoneElement));
+        return {
+            intensity: this._calculateIntensityFromClickPosition(event, ratio, zone),
+            position: ratio
+        };
+    }
+
+    /**
+     * Calculates hit intensity from the click position within the zone
+     * Center = 1, edge = 0, linear in between; the velocity curve's floor keeps
+     * edge hits audible (40% by default). With a velocity source, pressure or
+     * contact size can take the place of the position.
+     * @param {PointerEvent} event - The pointer event
+     * @param {number} ratio - Distance from the center, 0 (center) to 1 (edge)
+     * @param {Object} zone - The zone configuration
+     * @returns {number} Intensity (0 to 1)
+     * @private
+     */
+    _calculateIntensityFromClickPosition(event, ratio, zone) {
+        const positionIntensity = 1 - ratio;
+        const intensity = this.velocitySource
+            ? this.velocitySource.getIntensity(event, positionIntensity)
+            : positionIntensity;
+        
+        if (window.DebugLogger) {
+            window.DebugLogger.log('_calculateIntensityFromClickPosition:', {
+                zoneId: zone.id,
+                ratio: ratio.toFixed(2),
+                intensity: intensity.toFixed(2)
+            });
         }
         
+        return intensity;
+    }
+
+    /**
+     * Calculates how far from the zone center a pointer event landed
+     * Uses the larger of the horizontal and vertical distances, relative to the
+     * zone's half-width and half-height.
+     * @param {PointerEvent} event - The pointer event
+     * @param {HTMLElement} zoneElement - The zone DOM element
+     * @returns {number} 0 at the center, 1 at the edge
+     * @private
+     */
+    _calculateEdgeRatio(event, zoneElement) {
         // Get zone element's bounding rectangle
         const rect = zoneElement.getBoundingClientRect();
         
@@ -287,45 +584,22 @@ class InputHandler {
         const centerY = rect.height / 2;
         
         // Calculate distance from click to center
-        const dx = clickX - centerX;
-        const dy = clickY - centerY;
-        
-        const xRatio = Math.abs(dx / centerX);
-        const yRatio = Math.abs(dy / centerY);
-        const ratio = Math.max(xRatio, yRatio);
-        const volume = 1 - ratio;
-        
-        // Apply zone's base volume multiplier if specified
-        const baseVolume = zone.volume !== undefined ? zone.volume : 1.0;
-        const finalVolume = volume * baseVolume;
-        
-        if (window.DebugLogger) {
-            window.DebugLogger.log('_calculateVolumeFromClickPosition:', {
-                zoneId: zone.id,
-                clickX: clickX.toFixed(1),
-                clickY: clickY.toFixed(1),
-                centerX: centerX.toFixed(1),
-                centerY: centerY.toFixed(1),
-                xRatio: xRatio.toFixed(2),
-                yRatio: yRatio.toFixed(2),
-                ratio: ratio.toFixed(2),
-                volume: volume.toFixed(2),
-                baseVolume: baseVolume,
-                finalVolume: finalVolume.toFixed(2)
-            });
-        }
-        
-        return finalVolume;
+        const xRatio = Math.abs((clickX - centerX) / centerX);
+        const yRatio = Math.abs((clickY - centerY) / centerY);
+        return Math.max(xRatio, yRatio);
     }
 
     /**
      * Triggers a zone (plays sound and activates visual feedback)
      * Visual feedback is triggered IMMEDIATELY, audio plays after unlock completes
      * @param {Object} zone - Zone configuration
-     * @param {number} volume - Volume multiplier (optional, defaults to zone.volume or 1.0)
+     * @param {number} intensity - Hit strength, 0 (softest) to 1 (hardest; default)
+     * @param {number} position - Hit position, 0 (center) to 1 (edge), or null when unknown
+     * @param {number} inputTime - performance.now() timestamp of the input event (event.timeStamp), if known
+     * @param {boolean} synthetic - Whether the hit was generated (roll strokes) rather than played
      * @private
      */
-    async _triggerZone(zone, volume = null) {
+    async _triggerZone(zone, intensity = 1, position = null, inputTime = null, synthetic = false) {
         // Activate visual feedback IMMEDIATELY (before audio)
         this.zoneManager.activateZone(zone.id);
         
@@ -334,13 +608,27 @@ class InputHandler {
             this.onZoneActivated(zone.id);
         }
         
-        // Use provided volume, or fall back to zone volume, or default to 1.0
-        const finalVolume = volume !== null ? volume : (zone.volume !== undefined ? zone.volume : 1.0);
+        // Shape the intensity with the velocity curve, then apply the zone's base volume
+        const baseVolume = zone.volume !== undefined ? zone.volume : 1.0;
+        const curvedVolume = this.velocityCurve ? this.velocityCurve.map(intensity) : intensity;
+        const finalVolume = curvedVolume * baseVolume;
+        
+        // Publish the hit so recorders and other listeners can follow along
+        const audioContext = this.audioManager && this.audioManager.audioContext;
+        this.emit('hit', {
+            zoneId: zone.id,
+            volume: finalVolume,
+            position,
+            time: audioContext ? audioContext.currentTime : 0,
+            inputTime,
+            synthetic
+        });
+        
         if (window.DebugLogger) {
-            window.DebugLogger.log('_triggerZone: play', zone.id, '->', zone.soundFile, 'volume=', finalVolume);
+            window.DebugLogger.log('_triggerZone: play', zone.id, 'volume=', finalVolume, 'position=', position);
         }
         try {
-            await this.audioManager.playSound(zone.soundFile, finalVolume);
+            await this.audioManager.playZone(zone, finalVolume, { position, inputTime });
         } catch (error) {
             console.error(`Failed to play sound for zone ${zone.id}:`, error);
             if (window.DebugLogger) {
@@ -349,4 +637,178 @@ class InputHandler {
             // Don't block UI - allow retry on next interaction
         }
     }
+
+    /**
+     * Starts retriggering a zone while its key is held
+     * Strokes fall on the subdivision grid from the first hit; the tempo is
+     * read for every stroke, so the roll follows tempo changes.
+     * @param {string} code - KeyboardEvent.code of the held key
+     * @param {Object} zone
+     * @param {number} startTime - performance.now() timestamp of the first hit (ms)
+     * @private
+     */
+    _startKeyRoll(code, zone, startTime) {
+        // Short taps must not roll: the first stroke is the first grid point after the hold delay
+        const interval = this._getKeyRollInterval();
+        const skipped = Math.max(1, Math.ceil(this.gestures.keyRollDelay / interval)) - 1;
+        const roll = { zone, startTime, elapsed: skipped * interval, timerId: null };
+        this.keyRolls.set(code, roll);
+        this._scheduleKeyRollStroke(code, roll);
+    }
+
+    /**
+     * Plays the next stroke one interval after the previous one
+     * @private
+     */
+    _scheduleKeyRollStroke(code, roll) {
+        const interval = this._getKeyRollInterval();
+        const due = roll.startTime + roll.elapsed + interval;
+        roll.timerId = setTimeout(() => {
+            if (this.keyRolls.get(code) !== roll) {
+                return;
+            }
+            roll.elapsed += interval;
+            const beats = roll.elapsed / (60000 / this.getTempo());
+            // No input event behind a stroke, so it must not count towards latency or timing
+            this._triggerZone(roll.zone, this._getKeyRollIntensity(beats), null, null, true);
+            this._scheduleKeyRollStroke(code, roll);
+        }, Math.max(0, due - performance.now()));
+    }
+
+    /**
+     * Time between roll strokes at the current tempo
+     * @returns {number} ms
+     * @private
+     */
+    _getKeyRollInterval() {
+        const bpm = Math.max(20, Math.min(400, Number(this.getTempo()) || InputHandler.DEFAULT_TEMPO));
+        return 60000 / bpm / this.gestures.keyRollSubdivision;
+    }
+
+    /**
+     * Stroke strength along the crescendo or decrescendo
+     * @param {number} beats - Time since the first hit, in beats
+     * @returns {number} 0-1
+     * @private
+     */
+    _getKeyRollIntensity(beats) {
+        const { keyRollDynamics, keyRollRamp } = this.gestures;
+        const progress = Math.min(1, beats / keyRollRamp);
+        const quiet = InputHandler.KEY_ROLL_QUIET;
+        if (keyRollDynamics === 'crescendo') {
+            return quiet + (1 - quiet) * progress;
+        }
+        if (keyRollDynamics === 'decrescendo') {
+            return 1 - (1 - quiet) * progress;
+        }
+        return 1;
+    }
+
+    /**
+     * @private
+     */
+    _stopKeyRoll(code) {
+        this.heldKeys.delete(code);
+        const roll = this.keyRolls.get(code);
+        if (roll) {
+            clearTimeout(roll.timerId);
+            this.keyRolls.delete(code);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _stopKeyRolls() {
+        [...this.heldKeys, ...this.keyRolls.keys()].forEach(code => this._stopKeyRoll(code));
+    }
+
+    /**
+     * Fills in defaults for missing or invalid stored gesture settings
+     * @private
+     */
+    static _mergeGestures(stored) {
+        const gestures = { ...InputHandler.DEFAULT_GESTURES };
+        if (!stored || typeof stored !== 'object') {
+            return gestures;
+        }
+        Object.keys(gestures).forEach(key => {
+            if (typeof stored[key] !== typeof gestures[key]) {
+                return;
+            }
+            if (key === 'keyRollDynamics' && !InputHandler.KEY_ROLL_DYNAMICS.includes(stored[key])) {
+                return;
+            }
+            const limits = InputHandler.GESTURE_LIMITS[key];
+            gestures[key] = limits ? Math.max(limits[0], Math.min(limits[1], stored[key])) : stored[key];
+        });
+        return gestures;
+    }
+
+    /**
+     * Event emitter methods
+     */
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
+
+    off(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+        }
+    }
+
+    emit(event, data) {
+        if (this.listeners[event]) {
+            this.listeners[event].forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`Error in ${event} listener:`, error);
+                }
+            });
+        }
+    }
 }
+
+/**
+ * Default pointer gestures: slides and rolls on, double hits within 35 ms dropped
+ */
+InputHandler.DEFAULT_GESTURES = {
+    slideRetrigger: true,
+    roll: true,
+    rollThreshold: 12, // px
+    rollInterval: 60, // ms
+    minRetriggerInterval: 35, // ms
+    keyRoll: true,
+    keyRollSubdivision: 4, // 16ths
+    keyRollDynamics: 'steady',
+    keyRollRamp: 4, // beats
+    keyRollDelay: 150 // ms
+};
+
+/**
+ * Allowed ranges of the numeric gesture settings: [min, max]
+ */
+InputHandler.GESTURE_LIMITS = {
+    rollThreshold: [2, 100],
+    rollInterval: [20, 500],
+    minRetriggerInterval: [0, 200],
+    keyRollSubdivision: [1, 8],
+    keyRollRamp: [1, 16],
+    keyRollDelay: [0, 1000]
+};
+
+InputHandler.KEY_ROLL_DYNAMICS = ['steady', 'crescendo', 'decrescendo'];
+
+/**
+ * Strength at the quiet end of a crescendo or decrescendo
+ */
+InputHandler.KEY_ROLL_QUIET = 0.2;
+
+/**
+ * Tempo key rolls follow when no tempo source is given
+ */
+InputHandler.DEFAULT_TEMPO = 120;
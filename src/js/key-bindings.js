@@ -0,0 +1,291 @@
+/**
+ * KeyBindings - User remapping of zone keyboard keys
+ * Captures the next key press for a zone (normalized like InputHandler does),
+ * warns before taking a key that is already bound to another zone, and keeps
+ * the mappings per kit in SettingsStore. The kit's own keys are the defaults.
+ */
+
+class KeyBindings {
+    constructor(config) {
+        this.zoneManager = config.zoneManager;
+        this.storagePrefix = config.storagePrefix || 'key-bindings';
+
+        this.kitId = null;
+        this.defaults = new Map(); // Map<zoneId, Array<key>>
+        this.capturingZoneId = null;
+        this.pendingBinding = null; // {zoneId, key, conflictZoneIds} awaiting confirmation
+
+        this.boundHandleKeydown = this._handleKeydown.bind(this);
+
+        this.listeners = {
+            statechange: [],
+            conflict: []
+        };
+    }
+
+    /**
+     * Loads the stored mappings for a kit
+     * Call after the kit's zones are in TriggerZoneManager; their keys become the defaults.
+     * @param {string} kitId
+     */
+    load(kitId) {
+        this.cancelCapture();
+        this.kitId = kitId;
+        this.defaults.clear();
+        this.zoneManager.getAllZones().forEach(zone => {
+            this.defaults.set(zone.id, KeyBindings._keysOf(zone));
+        });
+
+        const stored = SettingsStore.load(this._storageKey(), null);
+        if (stored && typeof stored === 'object') {
+            this.zoneManager.getAllZones().forEach(zone => {
+                if (Array.isArray(stored[zone.id])) {
+                    this.zoneManager.updateZone(zone.id, { keyboardKey: stored[zone.id].slice() });
+                }
+            });
+        }
+        this._emitStateChange();
+    }
+
+    /**
+     * Gets the keys bound to a zone
+     * @param {string} zoneId
+     * @returns {Array<string>}
+     */
+    getKeys(zoneId) {
+        const zone = this.zoneManager.getZoneById(zoneId);
+        return zone ? KeyBindings._keysOf(zone) : [];
+    }
+
+    /**
+     * Waits for the next key press and binds it to a zone
+     * Escape cancels.
+     * @param {string} zoneId
+     */
+    startCapture(zoneId) {
+        if (!this.zoneManager.getZoneById(zoneId)) {
+            throw new Error(`Unknown zone: ${zoneId}`);
+        }
+        this.pendingBinding = null;
+        this.capturingZoneId = zoneId;
+        // Capture phase on window runs before InputHandler, so the key does not play
+        window.addEventListener('keydown', this.boundHandleKeydown, true);
+        this._emitStateChange();
+    }
+
+    /**
+     * Stops capturing and drops any binding waiting for confirmation
+     */
+    cancelCapture() {
+        const wasActive = this.capturingZoneId !== null || this.pendingBinding !== null;
+        this.capturingZoneId = null;
+        this.pendingBinding = null;
+        window.removeEventListener('keydown', this.boundHandleKeydown, true);
+        if (wasActive) {
+            this._emitStateChange();
+        }
+    }
+
+    /**
+     * Binds a key to a zone
+     * A key already bound to other zones is not taken from them unless replace is set;
+     * instead the binding is held as pending and a 'conflict' event is emitted.
+     * @param {string} zoneId
+     * @param {string} key - Normalized key name (see InputHandler.normalizeKey)
+     * @param {{replace: boolean}} options
+     * @returns {boolean} Whether the key was bound
+     */
+    bindKey(zoneId, key, options = {}) {
+        const zone = this.zoneManager.getZoneById(zoneId);
+        if (!zone) {
+            throw new Error(`Unknown zone: ${zoneId}`);
+        }
+        const normalizedKey = key.toLowerCase();
+        const conflictZoneIds = this.zoneManager.getZonesForKey(normalizedKey)
+            .map(other => other.id)
+            .filter(otherId => otherId !== zoneId);
+
+        if (conflictZoneIds.length > 0 && !options.replace) {
+            this.pendingBinding = { zoneId, key: normalizedKey, conflictZoneIds };
+            this.emit('conflict', { ...this.pendingBinding });
+            this._emitStateChange();
+            return false;
+        }
+
+        conflictZoneIds.forEach(otherId => {
+            const otherKeys = this.getKeys(otherId).filter(otherKey => otherKey.toLowerCase() !== normalizedKey);
+            this.zoneManager.updateZone(otherId, { keyboardKey: otherKeys });
+        });
+        const keys = this.getKeys(zoneId);
+        if (!keys.some(zoneKey => zoneKey.toLowerCase() === normalizedKey)) {
+            keys.push(normalizedKey);
+            this.zoneManager.updateZone(zoneId, { keyboardKey: keys });
+        }
+        this.pendingBinding = null;
+        this._save();
+        if (window.DebugLogger) {
+            window.DebugLogger.log('KeyBindings: bound', normalizedKey, '->', zoneId, 'replaced', conflictZoneIds);
+        }
+        this._emitStateChange();
+        return true;
+    }
+
+    /**
+     * Confirms the pending binding, moving the key away from the other zones
+     * @returns {boolean} Whether a pending binding was applied
+     */
+    confirmPending() {
+        if (!this.pendingBinding) {
+            return false;
+        }
+        const { zoneId, key } = this.pendingBinding;
+        return this.bindKey(zoneId, key, { replace: true });
+    }
+
+    /**
+     * Removes a key from a zone
+     * @param {string} zoneId
+     * @param {string} key
+     */
+    unbindKey(zoneId, key) {
+        const keys = this.getKeys(zoneId).filter(zoneKey => zoneKey.toLowerCase() !== key.toLowerCase());
+        this.zoneManager.updateZone(zoneId, { keyboardKey: keys });
+        this._save();
+        this._emitStateChange();
+    }
+
+    /**
+     * Restores the kit's own keys for every zone and forgets the stored mappings
+     */
+    resetToDefaults() {
+        this.cancelCapture();
+        this.zoneManager.getAllZones().forEach(zone => {
+            const defaults = this.defaults.get(zone.id) || [];
+            this.zoneManager.updateZone(zone.id, { keyboardKey: defaults.slice() });
+        });
+        SettingsStore.remove(this._storageKey());
+        this._emitStateChange();
+    }
+
+    /**
+     * Stops listening for key capture
+     */
+    destroy() {
+        this.cancelCapture();
+    }
+
+    /**
+     * Formats a key name for display
+     * @param {string} key
+     * @returns {string}
+     */
+    static formatKey(key) {
+        const names = {
+            ' ': 'Space',
+            'leftshift': 'Left Shift',
+            'rightshift': 'Right Shift',
+            'arrowup': '↑',
+            'arrowdown': '↓',
+            'arrowleft': '←',
+            'arrowright': '→',
+            'enter': 'Enter'
+        };
+        const normalizedKey = key.toLowerCase();
+        if (names[normalizedKey]) {
+            return names[normalizedKey];
+        }
+        return key.length === 1 ? key.toUpperCase() : key.charAt(0).toUpperCase() + key.slice(1);
+    }
+
+    /**
+     * Takes the captured key press
+     * @private
+     */
+    _handleKeydown(event) {
+        if (!this.capturingZoneId) {
+            return;
+        }
+        event.preventDefault();
+        event.stopImmediatePropagation();
+        if (event.repeat) {
+            return;
+        }
+        if (event.key === 'Escape') {
+            this.cancelCapture();
+            return;
+        }
+        const key = InputHandler.normalizeKey(event);
+        if (!key) {
+            // Modifier combinations cannot be zone keys; keep waiting
+            return;
+        }
+        const zoneId = this.capturingZoneId;
+        this.capturingZoneId = null;
+        window.removeEventListener('keydown', this.boundHandleKeydown, true);
+        this.bindKey(zoneId, key);
+    }
+
+    /**
+     * Stores every zone's keys for the current kit
+     * @private
+     */
+    _save() {
+        const stored = {};
+        this.zoneManager.getAllZones().forEach(zone => {
+            stored[zone.id] = KeyBindings._keysOf(zone);
+        });
+        SettingsStore.save(this._storageKey(), stored);
+    }
+
+    /**
+     * @private
+     */
+    _storageKey() {
+        return `${this.storagePrefix}:${this.kitId}`;
+    }
+
+    /**
+     * @private
+     */
+    static _keysOf(zone) {
+        const keys = zone.keyboardKey;
+        return Array.isArray(keys) ? keys.slice() : (keys ? [keys] : []);
+    }
+
+    /**
+     * @private
+     */
+    _emitStateChange() {
+        this.emit('statechange', {
+            capturingZoneId: this.capturingZoneId,
+            pendingBinding: this.pendingBinding ? { ...this.pendingBinding } : null
+        });
+    }
+
+    /**
+     * Event emitter methods
+     */
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
+
+    off(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+        }
+    }
+
+    emit(event, data) {
+        if (this.listeners[event]) {
+            this.listeners[event].forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`Error in ${event} listener:`, error);
+                }
+            });
+        }
+    }
+}
@@ -0,0 +1,352 @@
+/**
+ * KitLoader - Loads kit manifests (JSON) and turns them into zone configurations
+ * Zones are normalized to the ZoneConfig shape used by TriggerZoneManager and
+ * AudioManager; invalid zones are logged and skipped. Kits can also be written
+ * back out as manifests. The manifest format is described in the README.
+ */
+
+class KitLoader {
+    /**
+     * Fetches the list of available kits
+     * @param {string} indexUrl - URL of the kit index JSON
+     * @returns {Promise<{kits: Array<{id: string, name: string, url: string}>, defaultKit: string}>}
+     */
+    static async loadIndex(indexUrl) {
+        const index = await KitLoader._fetchJson(indexUrl);
+        if (!index || !Array.isArray(index.kits) || index.kits.length === 0) {
+            throw new Error(`Kit index ${indexUrl} does not list any kits`);
+        }
+        return {
+            kits: index.kits.filter(entry => entry && entry.id && entry.url),
+            defaultKit: index.defaultKit || index.kits[0].id
+        };
+    }
+
+    /**
+     * Fetches and parses a kit manifest
+     * @param {string} url - URL of the kit manifest JSON
+     * @returns {Promise<Object>} Normalized kit (see parse)
+     */
+    static async load(url) {
+        const manifest = await KitLoader._fetchJson(url);
+        return KitLoader.parse(manifest, url);
+    }
+
+    /**
+     * Validates and normalizes a kit manifest
+     * @param {Object} manifest - Parsed manifest JSON
+     * @param {string} source - Where the manifest came from (for error messages)
+     * @returns {{id: string, name: string, image: string|null, sounds: Object<string, string>,
+     *            zones: Array<Object>, soundFiles: Array<string>, manifest: Object}}
+     */
+    static parse(manifest, source = 'kit manifest') {
+        if (!manifest || typeof manifest !== 'object') {
+            throw new Error(`Invalid kit: ${source} is not a JSON object`);
+        }
+        if (!manifest.id || typeof manifest.id !== 'string') {
+            throw new Error(`Invalid kit: ${source} has no id`);
+        }
+        if (!Array.isArray(manifest.zones) || manifest.zones.length === 0) {
+            throw new Error(`Invalid kit: ${source} has no zones`);
+        }
+        const sounds = manifest.sounds && typeof manifest.sounds === 'object' ? manifest.sounds : {};
+
+        const seenIds = new Set();
+        const zones = [];
+        manifest.zones.forEach((zoneManifest, index) => {
+            try {
+                const zone = KitLoader._parseZone(zoneManifest, sounds);
+                if (seenIds.has(zone.id)) {
+                    throw new Error(`duplicate zone id "${zone.id}"`);
+                }
+                seenIds.add(zone.id);
+                zones.push(zone);
+            } catch (error) {
+                console.error(`KitLoader: skipping zone ${index} in ${source}:`, error.message);
+                if (window.DebugLogger) {
+                    window.DebugLogger.error('KitLoader: skipping zone', index, 'in', source, error.message);
+                }
+            }
+        });
+
+        if (zones.length === 0) {
+            throw new Error(`Invalid kit: ${source} has no valid zones`);
+        }
+
+        return {
+            id: manifest.id,
+            name: manifest.name || manifest.id,
+            image: manifest.image || null,
+            sounds: { ...sounds },
+            zones,
+            soundFiles: [...new Set([].concat(...zones.map(zone => KitLoader.soundFilesForZone(zone))))],
+            manifest
+        };
+    }
+
+    /**
+     * Lists every sample a zone can play (its soundFile and all layer variants)
+     * @param {Object} zone - Normalized zone
+     * @returns {Array<string>}
+     */
+    static soundFilesForZone(zone) {
+        // User samples live on this device only, so the zone's own sounds are listed
+        const soundFiles = [zone.defaultSoundFile || zone.soundFile];
+        (zone.layers || zone.defaultLayers || []).forEach(layer => {
+            layer.soundFiles.forEach(soundFile => {
+                if (!soundFiles.includes(soundFile)) {
+                    soundFiles.push(soundFile);
+                }
+            });
+        });
+        const tone = zone.tone || zone.defaultTone;
+        if (tone && tone.edgeSoundFile && !soundFiles.includes(tone.edgeSoundFile)) {
+            soundFiles.push(tone.edgeSoundFile);
+        }
+        return soundFiles;
+    }
+
+    /**
+     * Builds a manifest from a kit and its (possibly edited) zones
+     * The result can be saved as JSON and loaded again with parse.
+     * @param {Object} kit - Kit from parse/load
+     * @param {Array<Object>} zones - Current zone configurations
+     * @param {Object<string, Object>} mixerState - Channel settings by zone id (see Mixer.getState);
+     *     zones without an entry keep their own "mixer"
+     * @returns {Object} Manifest JSON object
+     */
+    static toManifest(kit, zones, mixerState = {}) {
+        const sounds = { ...kit.sounds };
+        const soundNameFor = (soundFile) => {
+            const existing = Object.keys(sounds).find(name => sounds[name] === soundFile);
+            if (existing) {
+                return existing;
+            }
+            const baseName = soundFile.split('/').pop().replace(/\.[^.]+$/, '') || 'sound';
+            let name = baseName;
+            for (let suffix = 2; sounds[name]; suffix++) {
+                name = `${baseName}-${suffix}`;
+            }
+            sounds[name] = soundFile;
+            return name;
+        };
+
+        const manifestZones = zones.map(zone => {
+            // User samples live on this device only, so kits keep the zone's own sound
+            const soundFile = zone.defaultSoundFile || zone.soundFile;
+            const entry = {
+                id: zone.id,
+                name: zone.name,
+                sound: zone.sound && sounds[zone.sound] === soundFile ? zone.sound : soundNameFor(soundFile),
+                volume: zone.volume !== undefined ? zone.volume : 1.0
+            };
+            const layers = zone.layers || zone.defaultLayers;
+            if (layers && layers.length > 0) {
+                entry.layers = layers.map(layer => ({
+                    maxVelocity: layer.maxVelocity,
+                    sounds: layer.soundFiles.map(soundNameFor)
+                }));
+            }
+            const tone = zone.tone || zone.defaultTone;
+            if (tone && tone.type === 'crossfade') {
+                entry.tone = { type: 'crossfade', edgeSound: soundNameFor(tone.edgeSoundFile) };
+            } else if (tone) {
+                entry.tone = { ...tone };
+            }
+            if (zone.maxVoices) {
+                entry.maxVoices = zone.maxVoices;
+            }
+            if (zone.chokeGroup) {
+                entry.chokeGroup = zone.chokeGroup;
+            }
+            const mixer = mixerState[zone.id] || zone.mixer;
+            // Unity, centered and unmuted channels are the default and are left out
+            if (mixer && (mixer.gain !== 1 || mixer.pan !== 0 || mixer.mute || mixer.solo)) {
+                entry.mixer = { gain: mixer.gain, pan: mixer.pan, mute: !!mixer.mute, solo: !!mixer.solo };
+            }
+            if (typeof zone.midiNote === 'number') {
+                entry.midiNote = zone.midiNote;
+            }
+            const keys = zone.keyboardKey;
+            entry.keys = Array.isArray(keys) ? keys.slice() : (keys ? [keys] : []);
+            entry.coordinates = {
+                x: zone.coordinates.x,
+                y: zone.coordinates.y,
+                width: zone.coordinates.width,
+                height: zone.coordinates.height
+            };
+            return entry;
+        });
+
+        const manifest = {
+            id: kit.id,
+            name: kit.name
+        };
+        if (kit.image) {
+            manifest.image = kit.image;
+        }
+        manifest.sounds = sounds;
+        manifest.zones = manifestZones;
+        return manifest;
+    }
+
+    /**
+     * Normalizes one zone entry
+     * "sound" names an entry in the kit's "sounds" and "coordinates" are
+     * percentages of the drum image. "maxVoices" limits how many hits of the
+     * zone ring at once, zones sharing a "chokeGroup" cut each other off and
+     * "mixer" is the zone's channel strip (gain, pan, mute, solo).
+     * @private
+     */
+    static _parseZone(zoneManifest, sounds) {
+        if (!zoneManifest || typeof zoneManifest !== 'object') {
+            throw new Error('zone is not an object');
+        }
+        if (!zoneManifest.id) {
+            throw new Error('zone has no id');
+        }
+        const layers = zoneManifest.layers !== undefined
+            ? KitLoader._parseLayers(zoneManifest, sounds)
+            : null;
+        // A zone names an entry in "sounds", or gives a path directly; layered
+        // zones fall back to the first sample of their loudest layer
+        const soundFile = sounds[zoneManifest.sound] || zoneManifest.soundFile ||
+            (layers ? layers[layers.length - 1].soundFiles[0] : null);
+        if (!soundFile) {
+            throw new Error(`zone "${zoneManifest.id}" has no sound (unknown sound "${zoneManifest.sound}")`);
+        }
+        const coordinates = zoneManifest.coordinates;
+        const isNumber = (value) => typeof value === 'number' && isFinite(value) && value >= 0;
+        if (!coordinates || !isNumber(coordinates.x) || !isNumber(coordinates.y) ||
+            !(coordinates.width > 0) || !(coordinates.height > 0)) {
+            throw new Error(`zone "${zoneManifest.id}" has invalid coordinates`);
+        }
+        const keys = zoneManifest.keys !== undefined ? zoneManifest.keys : zoneManifest.keyboardKey;
+
+        const zone = {
+            id: String(zoneManifest.id),
+            name: zoneManifest.name || String(zoneManifest.id),
+            sound: zoneManifest.sound || null,
+            soundFile,
+            volume: typeof zoneManifest.volume === 'number' ? zoneManifest.volume : 1.0,
+            keyboardKey: Array.isArray(keys) ? keys.slice() : (keys ? [keys] : []),
+            coordinates: {
+                x: coordinates.x,
+                y: coordinates.y,
+                width: coordinates.width,
+                height: coordinates.height
+            }
+        };
+        if (layers) {
+            zone.layers = layers;
+        }
+        if (zoneManifest.tone !== undefined) {
+            zone.tone = KitLoader._parseTone(zoneManifest, sounds);
+        }
+        if (Number.isInteger(zoneManifest.maxVoices) && zoneManifest.maxVoices > 0) {
+            zone.maxVoices = zoneManifest.maxVoices;
+        }
+        if (zoneManifest.chokeGroup) {
+            zone.chokeGroup = String(zoneManifest.chokeGroup);
+        }
+        if (zoneManifest.mixer !== undefined) {
+            if (!zoneManifest.mixer || typeof zoneManifest.mixer !== 'object') {
+                throw new Error(`zone "${zoneManifest.id}" has an invalid mixer`);
+            }
+            zone.mixer = Mixer.normalizeChannel(zoneManifest.mixer);
+        }
+        if (typeof zoneManifest.midiNote === 'number') {
+            zone.midiNote = zoneManifest.midiNote;
+        }
+        return zone;
+    }
+
+    /**
+     * Normalizes a zone's position-dependent tone model
+     * "filter" moves the cutoff and Q from the center values to the edge values;
+     * "crossfade" blends from the zone's sound to "edgeSound".
+     * @private
+     */
+    static _parseTone(zoneManifest, sounds) {
+        const tone = zoneManifest.tone;
+        if (!tone || typeof tone !== 'object') {
+            throw new Error(`zone "${zoneManifest.id}" has an invalid tone`);
+        }
+        if (tone.type === 'crossfade') {
+            if (!sounds[tone.edgeSound]) {
+                throw new Error(`zone "${zoneManifest.id}" tone uses unknown edge sound "${tone.edgeSound}"`);
+            }
+            return { type: 'crossfade', edgeSoundFile: sounds[tone.edgeSound] };
+        }
+        if (tone.type === 'filter') {
+            const frequency = (value, fallback) => {
+                const number = value !== undefined ? value : fallback;
+                if (!(number >= 10 && number <= 22050)) {
+                    throw new Error(`zone "${zoneManifest.id}" tone cutoff out of range: ${value}`);
+                }
+                return number;
+            };
+            const q = (value, fallback) => (typeof value === 'number' && value > 0 ? value : fallback);
+            return {
+                type: 'filter',
+                filterType: tone.filterType || 'lowpass',
+                centerCutoff: frequency(tone.centerCutoff, 1500),
+                edgeCutoff: frequency(tone.edgeCutoff, 12000),
+                centerQ: q(tone.centerQ, 0.7),
+                edgeQ: q(tone.edgeQ, 0.7)
+            };
+        }
+        throw new Error(`zone "${zoneManifest.id}" has unknown tone type "${tone.type}"`);
+    }
+
+    /**
+     * Normalizes a zone's velocity layers, sorted from soft to loud
+     * Each layer plays for hits up to its "maxVelocity" (0-1, relative to the
+     * zone volume) and rotates through its "sounds" as round-robin variants.
+     * @private
+     */
+    static _parseLayers(zoneManifest, sounds) {
+        const layers = zoneManifest.layers;
+        if (!Array.isArray(layers) || layers.length === 0) {
+            throw new Error(`zone "${zoneManifest.id}" has empty layers`);
+        }
+        const parsed = layers.map((layer, index) => {
+            const names = layer && Array.isArray(layer.sounds) ? layer.sounds : [];
+            if (names.length === 0) {
+                throw new Error(`zone "${zoneManifest.id}" layer ${index} has no sounds`);
+            }
+            const soundFiles = names.map(name => {
+                if (!sounds[name]) {
+                    throw new Error(`zone "${zoneManifest.id}" layer ${index} uses unknown sound "${name}"`);
+                }
+                return sounds[name];
+            });
+            // Layers without a threshold split the range evenly
+            const maxVelocity = typeof layer.maxVelocity === 'number'
+                ? Math.max(0, Math.min(1, layer.maxVelocity))
+                : (index + 1) / layers.length;
+            return { maxVelocity, soundFiles };
+        });
+        parsed.sort((a, b) => a.maxVelocity - b.maxVelocity);
+        // The loudest layer always covers full-intensity hits
+        parsed[parsed.length - 1].maxVelocity = 1;
+        return parsed;
+    }
+
+    /**
+     * @private
+     */
+    static async _fetchJson(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to fetch ${url} (${response.status})`);
+        }
+        try {
+            return await response.json();
+        } catch (error) {
+            const parseError = new Error(`${url} is not valid JSON`);
+            parseError.originalError = error;
+            throw parseError;
+        }
+    }
+}
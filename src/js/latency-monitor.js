@@ -0,0 +1,312 @@
+/**
+ * LatencyMonitor - Measures input-to-sound latency and calibrates a timing offset
+ *
+ * Processing latency is the time from the input event (pointerdown, keydown,
+ * MIDI message) to sourceNode.start in AudioManager.playSound. On top of that
+ * the audio hardware adds AudioContext.baseLatency and outputLatency, which
+ * are reported as-is where the browser exposes them.
+ *
+ * The tap-along calibration plays clicks and compares the player's taps with
+ * them. Because players tap along to what they hear, the median difference is
+ * everything between the click being scheduled and the tap arriving: output
+ * latency, reaction habit and input latency. Recordings and practice scoring
+ * subtract this offset from hit times. The offset persists in SettingsStore.
+ */
+
+class LatencyMonitor {
+    constructor(config) {
+        this.audioContext = config.audioContext;
+        this.maxSamples = config.maxSamples || 200;
+        this.storageKey = config.storageKey || 'latency-offset';
+        this.binSize = config.binSize || 5; // ms per histogram bin
+        this.binCount = config.binCount || 20; // the last bin collects everything slower
+
+        this.samples = []; // Processing latencies in ms, oldest first
+        const storedOffset = SettingsStore.load(this.storageKey, 0);
+        this.offset = typeof storedOffset === 'number' && isFinite(storedOffset) ? storedOffset : 0; // seconds
+
+        this.calibration = null; // {clickTimes, taps, timer, oscillators} while calibrating
+
+        this.listeners = {
+            sample: [],
+            change: [],
+            calibration: []
+        };
+    }
+
+    /**
+     * Records one input-to-start measurement
+     * @param {number} inputTime - performance.now() timestamp of the input event (ms)
+     * @param {number} startTime - performance.now() timestamp right after sourceNode.start (ms)
+     */
+    recordProcessing(inputTime, startTime = performance.now()) {
+        const latency = startTime - inputTime;
+        // Ignore timestamps from another clock (e.g., legacy epoch-based event.timeStamp)
+        if (!isFinite(latency) || latency < 0 || latency > 5000) {
+            return;
+        }
+        this.samples.push(latency);
+        if (this.samples.length > this.maxSamples) {
+            this.samples.shift();
+        }
+        this.emit('sample', { latency });
+    }
+
+    /**
+     * Gets the hardware latencies reported by the AudioContext
+     * @returns {{baseLatency: number|null, outputLatency: number|null}} Seconds (null when not reported)
+     */
+    getOutputLatency() {
+        const context = this.audioContext;
+        const read = (value) => (typeof value === 'number' && isFinite(value) ? value : null);
+        return {
+            baseLatency: read(context.baseLatency),
+            outputLatency: read(context.outputLatency)
+        };
+    }
+
+    /**
+     * Summarizes the measurements
+     * @returns {{count: number, median: number|null, p90: number|null, min: number|null, max: number|null,
+     *            baseLatency: number|null, outputLatency: number|null, estimatedTotal: number|null,
+     *            offset: number, histogram: {binSize: number, bins: Array<number>}}}
+     *     Latencies in ms; offset in seconds
+     */
+    getStats() {
+        const sorted = this.samples.slice().sort((a, b) => a - b);
+        const percentile = (fraction) => (sorted.length > 0
+            ? sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))]
+            : null);
+        const { baseLatency, outputLatency } = this.getOutputLatency();
+        const median = percentile(0.5);
+        const bins = new Array(this.binCount).fill(0);
+        this.samples.forEach(latency => {
+            bins[Math.min(this.binCount - 1, Math.floor(latency / this.binSize))]++;
+        });
+        return {
+            count: sorted.length,
+            median,
+            p90: percentile(0.9),
+            min: sorted.length > 0 ? sorted[0] : null,
+            max: sorted.length > 0 ? sorted[sorted.length - 1] : null,
+            baseLatency: baseLatency !== null ? baseLatency * 1000 : null,
+            outputLatency: outputLatency !== null ? outputLatency * 1000 : null,
+            estimatedTotal: median !== null ? median + ((baseLatency || 0) + (outputLatency || 0)) * 1000 : null,
+            offset: this.offset,
+            histogram: { binSize: this.binSize, bins }
+        };
+    }
+
+    /**
+     * Forgets the measurements
+     */
+    clearSamples() {
+        this.samples = [];
+        this.emit('sample', { latency: null });
+    }
+
+    /**
+     * Converts a performance.now() timestamp to AudioContext time
+     * @param {number} performanceTime - ms
+     * @returns {number} Seconds on the AudioContext clock
+     */
+    toContextTime(performanceTime) {
+        const context = this.audioContext;
+        if (typeof context.getOutputTimestamp === 'function') {
+            const stamp = context.getOutputTimestamp();
+            if (stamp && stamp.performanceTime > 0) {
+                return stamp.contextTime + (performanceTime - stamp.performanceTime) / 1000;
+            }
+        }
+        return context.currentTime - (performance.now() - performanceTime) / 1000;
+    }
+
+    /**
+     * Gets a live hit's time with the calibrated offset removed
+     * Uses the input event time when the hit carries one.
+     * @param {{time: number, inputTime: number|null}} hit - InputHandler 'hit' event
+     * @returns {number} AudioContext time the player meant to hit at
+     */
+    getCompensatedTime(hit) {
+        const time = typeof hit.inputTime === 'number' ? this.toContextTime(hit.inputTime) : hit.time;
+        return time - this.offset;
+    }
+
+    /**
+     * Sets the timing offset by hand
+     * @param {number} offset - Seconds (-0.5 to 0.5)
+     */
+    setOffset(offset) {
+        const value = Number(offset);
+        if (!isFinite(value)) {
+            throw new Error(`Invalid latency offset: ${offset}`);
+        }
+        this.offset = Math.max(-0.5, Math.min(0.5, value));
+        SettingsStore.save(this.storageKey, this.offset);
+        this.emit('change', { offset: this.offset });
+    }
+
+    /**
+     * Plays a run of clicks to tap along with; taps are fed with recordTap
+     * The first clicks are a count-in and are not scored.
+     * @param {Object} options
+     * @param {number} options.bpm - Click tempo (default 100)
+     * @param {number} options.clicks - Number of clicks (default 16)
+     * @param {number} options.countIn - Clicks to ignore at the start (default 4)
+     */
+    startCalibration(options = {}) {
+        const { bpm = 100, clicks = 16, countIn = 4 } = options;
+        this.cancelCalibration();
+        const context = this.audioContext;
+        const interval = 60 / bpm;
+        const startTime = context.currentTime + 0.3;
+        const clickTimes = [];
+        const oscillators = [];
+        for (let i = 0; i < clicks; i++) {
+            const when = startTime + i * interval;
+            clickTimes.push(when);
+            oscillators.push(this._scheduleClick(when, i < countIn));
+        }
+        this.calibration = {
+            clickTimes,
+            countIn,
+            interval,
+            taps: [],
+            oscillators,
+            // Finish one beat after the last click
+            timer: setTimeout(() => this._finishCalibration(), (startTime - context.currentTime + clicks * interval) * 1000)
+        };
+        this._emitCalibration('running');
+    }
+
+    /**
+     * Stops calibrating without changing the offset
+     */
+    cancelCalibration() {
+        if (!this.calibration) {
+            return;
+        }
+        clearTimeout(this.calibration.timer);
+        this.calibration.oscillators.forEach(oscillator => {
+            try {
+                oscillator.stop();
+            } catch (error) {
+                // Already stopped
+            }
+        });
+        this.calibration = null;
+        this._emitCalibration('cancelled');
+    }
+
+    /**
+     * Whether the tap-along calibration is running
+     * @returns {boolean}
+     */
+    get isCalibrating() {
+        return this.calibration !== null;
+    }
+
+    /**
+     * Feeds a tap to the running calibration
+     * @param {number} contextTime - AudioContext time of the tap's input event
+     */
+    recordTap(contextTime) {
+        if (!this.calibration) {
+            return;
+        }
+        this.calibration.taps.push(contextTime);
+        this._emitCalibration('running');
+    }
+
+    /**
+     * Sets the offset from the median distance between taps and their nearest scored click
+     * @private
+     */
+    _finishCalibration() {
+        const { clickTimes, countIn, interval, taps } = this.calibration;
+        this.calibration = null;
+        const scoredClicks = clickTimes.slice(countIn);
+        const deltas = [];
+        taps.forEach(tap => {
+            const nearest = scoredClicks.reduce((best, click) =>
+                (Math.abs(tap - click) < Math.abs(tap - best) ? click : best), scoredClicks[0]);
+            const delta = tap - nearest;
+            // Taps more than a third of a beat away are misses, not latency
+            if (Math.abs(delta) < interval / 3) {
+                deltas.push(delta);
+            }
+        });
+        const needed = Math.ceil(scoredClicks.length / 2);
+        if (deltas.length < needed) {
+            this.emit('calibration', { step: 'failed', taps: deltas.length, needed });
+            return;
+        }
+        deltas.sort((a, b) => a - b);
+        const middle = Math.floor(deltas.length / 2);
+        const median = deltas.length % 2 ? deltas[middle] : (deltas[middle - 1] + deltas[middle]) / 2;
+        this.setOffset(median);
+        if (window.DebugLogger) {
+            window.DebugLogger.log('LatencyMonitor: calibrated offset', (median * 1000).toFixed(1), 'ms from', deltas.length, 'taps');
+        }
+        this.emit('calibration', { step: 'done', offset: this.offset, taps: deltas.length });
+    }
+
+    /**
+     * Schedules one short calibration click straight to the output
+     * @private
+     */
+    _scheduleClick(when, isCountIn) {
+        const context = this.audioContext;
+        const oscillator = context.createOscillator();
+        const gain = context.createGain();
+        oscillator.frequency.value = isCountIn ? 880 : 1320;
+        gain.gain.setValueAtTime(0, when);
+        gain.gain.linearRampToValueAtTime(0.6, when + 0.001);
+        gain.gain.exponentialRampToValueAtTime(0.001, when + 0.05);
+        oscillator.connect(gain);
+        gain.connect(context.destination);
+        oscillator.start(when);
+        oscillator.stop(when + 0.06);
+        oscillator.onended = () => gain.disconnect();
+        return oscillator;
+    }
+
+    /**
+     * @private
+     */
+    _emitCalibration(step) {
+        const calibration = this.calibration;
+        this.emit('calibration', {
+            step,
+            taps: calibration ? calibration.taps.length : 0,
+            clicks: calibration ? calibration.clickTimes.length - calibration.countIn : 0
+        });
+    }
+
+    /**
+     * Event emitter methods
+     */
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
+
+    off(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+        }
+    }
+
+    emit(event, data) {
+        if (this.listeners[event]) {
+            this.listeners[event].forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`Error in ${event} listener:`, error);
+                }
+            });
+        }
+    }
+}
@@ -0,0 +1,65 @@
+/**
+ * LookaheadScheduler - Drives sample-accurate scheduling against the AudioContext clock
+ * A coarse JavaScript timer wakes up periodically and asks its owner to schedule
+ * everything that falls inside the upcoming lookahead window. The actual start
+ * times are always expressed in AudioContext time, so timer jitter never leaks
+ * into the audio.
+ */
+
+class LookaheadScheduler {
+    constructor(config) {
+        this.audioContext = config.audioContext;
+        this.onSchedule = config.onSchedule || null;
+        this.lookahead = config.lookahead !== undefined ? config.lookahead : 0.1; // seconds
+        this.interval = config.interval !== undefined ? config.interval : 25; // milliseconds
+        this.timerId = null;
+    }
+
+    /**
+     * Whether the scheduler timer is running
+     * @returns {boolean}
+     */
+    get isRunning() {
+        return this.timerId !== null;
+    }
+
+    /**
+     * Starts the scheduler. The first window is scheduled synchronously.
+     */
+    start() {
+        if (this.isRunning) {
+            return;
+        }
+        this.timerId = setInterval(() => this._tick(), this.interval);
+        this._tick();
+    }
+
+    /**
+     * Stops the scheduler. Anything already handed to the AudioContext keeps playing.
+     */
+    stop() {
+        if (this.timerId !== null) {
+            clearInterval(this.timerId);
+            this.timerId = null;
+        }
+    }
+
+    /**
+     * Asks the owner to schedule everything up to the end of the lookahead window
+     * @private
+     */
+    _tick() {
+        if (!this.onSchedule || !this.audioContext) {
+            return;
+        }
+        const scheduleUntil = this.audioContext.currentTime + this.lookahead;
+        try {
+            this.onSchedule(scheduleUntil);
+        } catch (error) {
+            console.error('LookaheadScheduler: schedule callback failed', error);
+            if (window.DebugLogger) {
+                window.DebugLogger.error('LookaheadScheduler: schedule callback failed', error && (error.message || error));
+            }
+        }
+    }
+}
@@ -0,0 +1,324 @@
+/**
+ * LoopStation - Bar-length looper with overdub layers
+ * Records the hit stream from InputHandler into layers that repeat every loop
+ * cycle. Loop length is a whole number of bars at a given tempo, and playback
+ * is scheduled on AudioContext time with LookaheadScheduler so it never drifts.
+ */
+
+class LoopStation {
+    constructor(config) {
+        this.audioManager = config.audioManager;
+        this.zoneManager = config.zoneManager;
+        this.inputHandler = config.inputHandler;
+        this.latencyMonitor = config.latencyMonitor || null; // Removes the player's calibrated offset
+
+        // Loop length settings
+        this.bpm = config.bpm || 120;
+        this.beatsPerBar = config.beatsPerBar || 4;
+        this.bars = config.bars || 2;
+
+        // Layers: Array<{id: number, hits: Array<{zoneId, volume, position, offset}>, muted: boolean}>
+        // `offset` is the time of the hit within the loop, in seconds; `position` is
+        // where the zone was struck (see InputHandler)
+        this.layers = [];
+        this.nextLayerId = 1;
+        this.recordingLayer = null;
+
+        // Transport state
+        this.isRunning = false;
+        this.loopStartTime = 0; // AudioContext time of the first cycle
+        this.scheduledUntil = 0;
+        this.activationTimers = [];
+        this.scheduler = new LookaheadScheduler({
+            audioContext: this.audioManager.audioContext,
+            onSchedule: (scheduleUntil) => this._scheduleLayers(scheduleUntil)
+        });
+
+        this.listeners = {
+            statechange: []
+        };
+
+        this.boundHandleHit = this._handleHit.bind(this);
+        this.inputHandler.on('hit', this.boundHandleHit);
+    }
+
+    /**
+     * Loop length in seconds
+     * @returns {number}
+     */
+    get loopDuration() {
+        return (60 / this.bpm) * this.beatsPerBar * this.bars;
+    }
+
+    /**
+     * Whether overdub is on
+     * @returns {boolean}
+     */
+    get isOverdubbing() {
+        return this.recordingLayer !== null;
+    }
+
+    /**
+     * Sets the tempo and bar length. Only allowed while the loop is empty,
+     * since existing layers were recorded against the old length.
+     * @param {number} bpm
+     * @param {number} beatsPerBar
+     */
+    setTempo(bpm, beatsPerBar = this.beatsPerBar) {
+        if (this.layers.length > 0) {
+            throw new Error('Clear the loop before changing its tempo');
+        }
+        if (!(bpm > 0) || !(beatsPerBar > 0)) {
+            throw new Error(`Invalid loop tempo: ${bpm} BPM, ${beatsPerBar} beats per bar`);
+        }
+        this.bpm = bpm;
+        this.beatsPerBar = beatsPerBar;
+        this._emitStateChange();
+    }
+
+    /**
+     * Sets the loop length in bars. Only allowed while the loop is empty.
+     * @param {number} bars
+     */
+    setBars(bars) {
+        if (this.layers.length > 0) {
+            throw new Error('Clear the loop before changing its length');
+        }
+        if (!Number.isInteger(bars) || bars < 1) {
+            throw new Error(`Invalid loop length: ${bars} bars`);
+        }
+        this.bars = bars;
+        this._emitStateChange();
+    }
+
+    /**
+     * Starts the loop transport
+     * @param {number|null} startTime - AudioContext time of the first cycle (e.g., the metronome's next bar)
+     * @returns {Promise<void>}
+     */
+    async start(startTime = null) {
+        if (this.isRunning) {
+            return;
+        }
+        if (!this.audioManager.isContextUnlocked) {
+            await this.audioManager.unlockAudioContext({ fromGesture: true });
+        }
+        const now = this.audioManager.audioContext.currentTime;
+        this.loopStartTime = startTime !== null && startTime > now ? startTime : now + 0.05;
+        this.scheduledUntil = this.loopStartTime;
+        this.isRunning = true;
+        this.scheduler.start();
+        if (window.DebugLogger) {
+            window.DebugLogger.log('LoopStation: started. duration=', this.loopDuration.toFixed(3), 'layers=', this.layers.length);
+        }
+        this._emitStateChange();
+    }
+
+    /**
+     * Stops the loop transport and ends any overdub
+     */
+    stop() {
+        if (this.isOverdubbing) {
+            this.setOverdub(false);
+        }
+        if (!this.isRunning) {
+            return;
+        }
+        this.scheduler.stop();
+        this.activationTimers.forEach(timerId => clearTimeout(timerId));
+        this.activationTimers = [];
+        this.isRunning = false;
+        this._emitStateChange();
+    }
+
+    /**
+     * Turns overdub on (new layer) or off (commit the layer, dropping it if empty)
+     * Turning overdub on while stopped also starts the transport.
+     * @param {boolean} enabled
+     * @param {number|null} startTime - Passed to start() when the transport is stopped
+     * @returns {Promise<void>}
+     */
+    async setOverdub(enabled, startTime = null) {
+        if (enabled && !this.recordingLayer) {
+            this.recordingLayer = { id: this.nextLayerId++, hits: [], muted: false };
+            this.layers.push(this.recordingLayer);
+            if (!this.isRunning) {
+                await this.start(startTime);
+            }
+        } else if (!enabled && this.recordingLayer) {
+            if (this.recordingLayer.hits.length === 0) {
+                this.layers = this.layers.filter(layer => layer !== this.recordingLayer);
+            }
+            this.recordingLayer = null;
+        }
+        this._emitStateChange();
+    }
+
+    /**
+     * Removes the most recent layer (including the one being overdubbed)
+     */
+    undo() {
+        const removed = this.layers.pop();
+        if (removed && removed === this.recordingLayer) {
+            this.recordingLayer = null;
+        }
+        this._emitStateChange();
+    }
+
+    /**
+     * Removes all layers and stops the transport
+     */
+    clear() {
+        this.recordingLayer = null;
+        this.layers = [];
+        this.stop();
+        this._emitStateChange();
+    }
+
+    /**
+     * Mutes or unmutes a layer
+     * @param {number} layerId
+     * @param {boolean} muted
+     */
+    setLayerMuted(layerId, muted) {
+        const layer = this.layers.find(candidate => candidate.id === layerId);
+        if (layer) {
+            layer.muted = !!muted;
+            this._emitStateChange();
+        }
+    }
+
+    /**
+     * Removes listeners and stops the transport
+     */
+    destroy() {
+        this.stop();
+        this.inputHandler.off('hit', this.boundHandleHit);
+    }
+
+    /**
+     * Adds a live hit to the layer being overdubbed
+     * The hit was already heard live, so it first repeats on the next cycle.
+     * @private
+     */
+    _handleHit(hit) {
+        if (!this.recordingLayer || !this.isRunning) {
+            return;
+        }
+        const duration = this.loopDuration;
+        const time = this.latencyMonitor ? this.latencyMonitor.getCompensatedTime(hit) : hit.time;
+        const loopPosition = (time - this.loopStartTime) % duration;
+        this.recordingLayer.hits.push({
+            zoneId: hit.zoneId,
+            volume: hit.volume,
+            position: hit.position,
+            offset: (loopPosition + duration) % duration
+        });
+        this._emitStateChange();
+    }
+
+    /**
+     * Schedules every unmuted layer hit between the last window and scheduleUntil
+     * @param {number} scheduleUntil - AudioContext time
+     * @private
+     */
+    _scheduleLayers(scheduleUntil) {
+        const windowStart = this.scheduledUntil;
+        if (scheduleUntil <= windowStart) {
+            return;
+        }
+        const duration = this.loopDuration;
+        const firstCycle = Math.floor((windowStart - this.loopStartTime) / duration);
+        const lastCycle = Math.floor((scheduleUntil - this.loopStartTime) / duration);
+
+        for (let cycle = Math.max(0, firstCycle); cycle <= lastCycle; cycle++) {
+            const cycleStart = this.loopStartTime + cycle * duration;
+            this.layers.forEach(layer => {
+                if (layer.muted) {
+                    return;
+                }
+                layer.hits.forEach(hit => {
+                    const when = cycleStart + hit.offset;
+                    if (when >= windowStart && when < scheduleUntil) {
+                        this._scheduleHit(hit, when);
+                    }
+                });
+            });
+        }
+        this.scheduledUntil = scheduleUntil;
+    }
+
+    /**
+     * @private
+     */
+    _scheduleHit(hit, when) {
+        const zone = this.zoneManager.getZoneById(hit.zoneId);
+        if (!zone) {
+            return;
+        }
+        this.audioManager.playZone(zone, hit.volume, { when, position: hit.position }).catch(error => {
+            console.error(`LoopStation: failed to play hit for zone ${zone.id}:`, error);
+        });
+        const delayMs = (when - this.audioManager.audioContext.currentTime) * 1000;
+        const timerId = this.zoneManager.scheduleActivation(zone.id, delayMs);
+        this.activationTimers.push(timerId);
+        // Keep the timer list bounded while the loop runs indefinitely
+        if (this.activationTimers.length > 256) {
+            this.activationTimers.splice(0, this.activationTimers.length - 256);
+        }
+    }
+
+    /**
+     * Gets a snapshot of the transport and layers for display
+     * @returns {{isRunning: boolean, isOverdubbing: boolean, bars: number, bpm: number,
+     *            layers: Array<{id: number, hitCount: number, muted: boolean, recording: boolean}>}}
+     */
+    getState() {
+        return {
+            isRunning: this.isRunning,
+            isOverdubbing: this.isOverdubbing,
+            bars: this.bars,
+            bpm: this.bpm,
+            layers: this.layers.map(layer => ({
+                id: layer.id,
+                hitCount: layer.hits.length,
+                muted: layer.muted,
+                recording: layer === this.recordingLayer
+            }))
+        };
+    }
+
+    /**
+     * @private
+     */
+    _emitStateChange() {
+        this.emit('statechange', this.getState());
+    }
+
+    /**
+     * Event emitter methods
+     */
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
+
+    off(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+        }
+    }
+
+    emit(event, data) {
+        if (this.listeners[event]) {
+            this.listeners[event].forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`Error in ${event} listener:`, error);
+                }
+            });
+        }
+    }
+}
@@ -0,0 +1,309 @@
+/**
+ * MasterBus - Master effects chain between the zone voices and the destination
+ * input -> 3-band EQ -> reverb (dry + convolver) -> compressor/limiter -> output
+ *
+ * The reverb's impulse response is generated in code (decaying stereo noise),
+ * so no assets are needed. Each stage can be bypassed; bypassed stages are
+ * left out of the graph. Settings persist in SettingsStore unless storageKey
+ * is null (e.g., for the copy built in an OfflineAudioContext).
+ */
+
+class MasterBus {
+    constructor(config) {
+        this.audioContext = config.audioContext;
+        this.destination = config.destination || this.audioContext.destination;
+        this.storageKey = config.storageKey !== undefined ? config.storageKey : 'master-bus';
+
+        this.settings = MasterBus._mergeSettings(
+            config.settings || (this.storageKey ? SettingsStore.load(this.storageKey, null) : null)
+        );
+
+        this.listeners = {
+            change: []
+        };
+
+        this._createNodes();
+        this._applySettings();
+        this._connectChain();
+    }
+
+    /**
+     * Node that voices connect to
+     * @returns {AudioNode}
+     */
+    get input() {
+        return this.inputNode;
+    }
+
+    /**
+     * Gets a copy of the current settings
+     * @returns {Object}
+     */
+    getSettings() {
+        return JSON.parse(JSON.stringify(this.settings));
+    }
+
+    /**
+     * Turns a stage on or off
+     * @param {string} stage - 'eq', 'reverb' or 'compressor'
+     * @param {boolean} enabled
+     */
+    setStageEnabled(stage, enabled) {
+        if (!this.settings[stage]) {
+            throw new Error(`Unknown master bus stage: ${stage}`);
+        }
+        this.settings[stage].enabled = !!enabled;
+        this._connectChain();
+        this._saveAndNotify();
+    }
+
+    /**
+     * Sets an EQ band's gain
+     * @param {string} band - 'low', 'mid' or 'high'
+     * @param {number} gainDb - -12 to 12 dB
+     */
+    setEqGain(band, gainDb) {
+        if (!this.eqNodes[band]) {
+            throw new Error(`Unknown EQ band: ${band}`);
+        }
+        this.settings.eq[band] = MasterBus._clamp(gainDb, -12, 12);
+        this.eqNodes[band].gain.setValueAtTime(this.settings.eq[band], this.audioContext.currentTime);
+        this._saveAndNotify();
+    }
+
+    /**
+     * Sets the reverb wet/dry mix
+     * @param {number} mix - 0 (dry) to 1 (wet)
+     */
+    setReverbMix(mix) {
+        this.settings.reverb.mix = MasterBus._clamp(mix, 0, 1);
+        this._applyReverbMix();
+        this._saveAndNotify();
+    }
+
+    /**
+     * Sets the reverb decay time and regenerates the impulse response
+     * @param {number} seconds - 0.2 to 6
+     */
+    setReverbDecay(seconds) {
+        this.settings.reverb.decay = MasterBus._clamp(seconds, 0.2, 6);
+        this.convolver.buffer = MasterBus.createImpulseResponse(this.audioContext, this.settings.reverb.decay);
+        this._saveAndNotify();
+    }
+
+    /**
+     * Sets the compressor threshold
+     * @param {number} thresholdDb - -60 to 0 dB
+     */
+    setCompressorThreshold(thresholdDb) {
+        this.settings.compressor.threshold = MasterBus._clamp(thresholdDb, -60, 0);
+        this.compressor.threshold.setValueAtTime(this.settings.compressor.threshold, this.audioContext.currentTime);
+        this._saveAndNotify();
+    }
+
+    /**
+     * Restores the default settings
+     */
+    reset() {
+        this.settings = MasterBus._mergeSettings(null);
+        this._applySettings();
+        this._connectChain();
+        this._saveAndNotify();
+    }
+
+    /**
+     * Generates a stereo reverb impulse response: noise with an exponential decay
+     * @param {BaseAudioContext} context
+     * @param {number} decay - Length in seconds
+     * @returns {AudioBuffer}
+     */
+    static createImpulseResponse(context, decay) {
+        const sampleRate = context.sampleRate;
+        const length = Math.max(1, Math.floor(sampleRate * decay));
+        const impulse = context.createBuffer(2, length, sampleRate);
+        for (let channel = 0; channel < 2; channel++) {
+            const data = impulse.getChannelData(channel);
+            for (let i = 0; i < length; i++) {
+                // Reaches about -60 dB at the end of the decay
+                const envelope = Math.pow(0.001, i / length);
+                data[i] = (Math.random() * 2 - 1) * envelope;
+            }
+        }
+        return impulse;
+    }
+
+    /**
+     * @private
+     */
+    _createNodes() {
+        const context = this.audioContext;
+        this.inputNode = context.createGain();
+
+        this.eqNodes = {
+            low: context.createBiquadFilter(),
+            mid: context.createBiquadFilter(),
+            high: context.createBiquadFilter()
+        };
+        this.eqNodes.low.type = 'lowshelf';
+        this.eqNodes.low.frequency.value = 250;
+        this.eqNodes.mid.type = 'peaking';
+        this.eqNodes.mid.frequency.value = 1000;
+        this.eqNodes.mid.Q.value = 0.8;
+        this.eqNodes.high.type = 'highshelf';
+        this.eqNodes.high.frequency.value = 4000;
+        this.eqNodes.low.connect(this.eqNodes.mid);
+        this.eqNodes.mid.connect(this.eqNodes.high);
+
+        // Reverb: the dry and wet paths meet in reverbOutput
+        this.reverbInput = context.createGain();
+        this.dryGain = context.createGain();
+        this.wetGain = context.createGain();
+        this.convolver = context.createConvolver();
+        this.reverbOutput = context.createGain();
+        this.reverbInput.connect(this.dryGain);
+        this.reverbInput.connect(this.convolver);
+        this.convolver.connect(this.wetGain);
+        this.dryGain.connect(this.reverbOutput);
+        this.wetGain.connect(this.reverbOutput);
+
+        this.compressor = context.createDynamicsCompressor();
+        this.outputNode = context.createGain();
+        this.outputNode.connect(this.destination);
+    }
+
+    /**
+     * @private
+     */
+    _applySettings() {
+        const time = this.audioContext.currentTime;
+        const { eq, reverb, compressor } = this.settings;
+        ['low', 'mid', 'high'].forEach(band => {
+            this.eqNodes[band].gain.setValueAtTime(eq[band], time);
+        });
+        this.convolver.buffer = MasterBus.createImpulseResponse(this.audioContext, reverb.decay);
+        this._applyReverbMix();
+        this.compressor.threshold.setValueAtTime(compressor.threshold, time);
+        this.compressor.knee.setValueAtTime(compressor.knee, time);
+        this.compressor.ratio.setValueAtTime(compressor.ratio, time);
+        this.compressor.attack.setValueAtTime(compressor.attack, time);
+        this.compressor.release.setValueAtTime(compressor.release, time);
+    }
+
+    /**
+     * Equal-power wet/dry balance
+     * @private
+     */
+    _applyReverbMix() {
+        const time = this.audioContext.currentTime;
+        const mix = this.settings.reverb.mix;
+        this.dryGain.gain.setValueAtTime(Math.cos(mix * Math.PI / 2), time);
+        this.wetGain.gain.setValueAtTime(Math.sin(mix * Math.PI / 2), time);
+    }
+
+    /**
+     * Connects input to output through the enabled stages
+     * @private
+     */
+    _connectChain() {
+        [this.inputNode, this.eqNodes.high, this.reverbOutput, this.compressor].forEach(node => node.disconnect());
+
+        const stages = [];
+        if (this.settings.eq.enabled) {
+            stages.push({ input: this.eqNodes.low, output: this.eqNodes.high });
+        }
+        if (this.settings.reverb.enabled) {
+            stages.push({ input: this.reverbInput, output: this.reverbOutput });
+        }
+        if (this.settings.compressor.enabled) {
+            stages.push({ input: this.compressor, output: this.compressor });
+        }
+
+        let previous = this.inputNode;
+        stages.forEach(stage => {
+            previous.connect(stage.input);
+            previous = stage.output;
+        });
+        previous.connect(this.outputNode);
+    }
+
+    /**
+     * @private
+     */
+    _saveAndNotify() {
+        if (this.storageKey) {
+            SettingsStore.save(this.storageKey, this.settings);
+        }
+        this.emit('change', this.getSettings());
+    }
+
+    /**
+     * Fills in defaults for missing or invalid stored settings
+     * @private
+     */
+    static _mergeSettings(stored) {
+        const defaults = MasterBus.DEFAULT_SETTINGS;
+        const settings = JSON.parse(JSON.stringify(defaults));
+        if (!stored || typeof stored !== 'object') {
+            return settings;
+        }
+        Object.keys(defaults).forEach(stage => {
+            const storedStage = stored[stage];
+            if (!storedStage || typeof storedStage !== 'object') {
+                return;
+            }
+            Object.keys(defaults[stage]).forEach(key => {
+                if (typeof storedStage[key] === typeof defaults[stage][key]) {
+                    settings[stage][key] = storedStage[key];
+                }
+            });
+        });
+        return settings;
+    }
+
+    /**
+     * @private
+     */
+    static _clamp(value, min, max) {
+        const number = Number(value);
+        if (!isFinite(number)) {
+            throw new Error(`Invalid value: ${value}`);
+        }
+        return Math.max(min, Math.min(max, number));
+    }
+
+    /**
+     * Event emitter methods
+     */
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
+
+    off(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+        }
+    }
+
+    emit(event, data) {
+        if (this.listeners[event]) {
+            this.listeners[event].forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`Error in ${event} listener:`, error);
+                }
+            });
+        }
+    }
+}
+
+/**
+ * Default settings: a gentle room and a limiter that catches boosted zone volumes
+ */
+MasterBus.DEFAULT_SETTINGS = {
+    eq: { enabled: true, low: 0, mid: 0, high: 0 },
+    reverb: { enabled: true, mix: 0.15, decay: 1.2 },
+    compressor: { enabled: true, threshold: -6, knee: 6, ratio: 12, attack: 0.003, release: 0.25 }
+};
@@ -0,0 +1,297 @@
+/**
+ * Metronome - Sample-accurate click track on the shared AudioContext
+ * Clicks are synthesized with an oscillator and envelope (no asset files) and
+ * scheduled ahead of time with LookaheadScheduler. The metronome has its own
+ * output gain so its level is independent of the zone sounds.
+ */
+
+class Metronome {
+    constructor(config) {
+        this.audioManager = config.audioManager;
+        this.audioContext = this.audioManager.audioContext;
+
+        // Settings
+        this.bpm = config.bpm || 120;
+        this.beatsPerBar = config.beatsPerBar || 4;
+        this.beatUnit = config.beatUnit || 4;
+        this.subdivision = config.subdivision || 1; // Clicks per beat
+        this.accentFirstBeat = config.accentFirstBeat !== undefined ? config.accentFirstBeat : true;
+        this.volume = config.volume !== undefined ? config.volume : 0.5;
+
+        // Own output so metronome level is independent of zone volumes
+        this.outputNode = this.audioContext.createGain();
+        this.outputNode.gain.setValueAtTime(this.volume, this.audioContext.currentTime);
+        this.outputNode.connect(this.audioContext.destination);
+
+        // Scheduling state
+        this.isRunning = false;
+        this.startTime = 0; // AudioContext time of the first downbeat
+        this.nextClickTime = 0;
+        this.clickIndex = 0; // Position within the bar, in subdivisions
+        this.barIndex = 0;
+        this.lastDownbeatTime = 0; // Most recently scheduled beat one
+        this.beatTimers = [];
+        this.scheduler = new LookaheadScheduler({
+            audioContext: this.audioContext,
+            onSchedule: (scheduleUntil) => this._scheduleClicks(scheduleUntil)
+        });
+
+        this.listeners = {
+            beat: [],
+            statechange: []
+        };
+    }
+
+    /**
+     * Duration of one beat in seconds
+     * @returns {number}
+     */
+    get secondsPerBeat() {
+        return 60 / this.bpm;
+    }
+
+    /**
+     * Duration of one bar in seconds
+     * @returns {number}
+     */
+    get secondsPerBar() {
+        return this.secondsPerBeat * this.beatsPerBar;
+    }
+
+    /**
+     * Gets the AudioContext time of the next beat one, for starting things in sync
+     * @returns {number|null} null when the metronome is not running
+     */
+    getNextBarTime() {
+        if (!this.isRunning) {
+            return null;
+        }
+        let barTime = this.lastDownbeatTime;
+        while (barTime < this.audioContext.currentTime) {
+            barTime += this.secondsPerBar;
+        }
+        return barTime;
+    }
+
+    /**
+     * Starts the click on the next scheduling window
+     * @returns {Promise<void>}
+     */
+    async start() {
+        if (this.isRunning) {
+            return;
+        }
+        if (!this.audioManager.isContextUnlocked) {
+            await this.audioManager.unlockAudioContext({ fromGesture: true });
+        }
+        this.startTime = this.audioContext.currentTime + 0.05;
+        this.nextClickTime = this.startTime;
+        this.lastDownbeatTime = this.startTime;
+        this.clickIndex = 0;
+        this.barIndex = 0;
+        this.isRunning = true;
+        this.scheduler.start();
+        if (window.DebugLogger) {
+            window.DebugLogger.log('Metronome: started. bpm=', this.bpm, 'signature=', `${this.beatsPerBar}/${this.beatUnit}`, 'subdivision=', this.subdivision);
+        }
+        this._emitStateChange();
+    }
+
+    /**
+     * Stops the click. Clicks already scheduled in the lookahead window still sound.
+     */
+    stop() {
+        if (!this.isRunning) {
+            return;
+        }
+        this.scheduler.stop();
+        this.beatTimers.forEach(timerId => clearTimeout(timerId));
+        this.beatTimers = [];
+        this.isRunning = false;
+        this._emitStateChange();
+    }
+
+    /**
+     * Sets the tempo; takes effect from the next click
+     * @param {number} bpm
+     */
+    setBpm(bpm) {
+        if (!(bpm >= 20 && bpm <= 400)) {
+            throw new Error(`Tempo out of range: ${bpm}`);
+        }
+        this.bpm = bpm;
+        this._emitStateChange();
+    }
+
+    /**
+     * Sets the time signature; restarts counting from beat one
+     * @param {number} beatsPerBar - Numerator
+     * @param {number} beatUnit - Denominator
+     */
+    setTimeSignature(beatsPerBar, beatUnit) {
+        if (!Number.isInteger(beatsPerBar) || beatsPerBar < 1 || beatsPerBar > 16) {
+            throw new Error(`Invalid beats per bar: ${beatsPerBar}`);
+        }
+        if ([1, 2, 4, 8, 16].indexOf(beatUnit) === -1) {
+            throw new Error(`Invalid beat unit: ${beatUnit}`);
+        }
+        this.beatsPerBar = beatsPerBar;
+        this.beatUnit = beatUnit;
+        this.clickIndex = 0;
+        this._emitStateChange();
+    }
+
+    /**
+     * Sets how many clicks sound per beat (1 = beats only)
+     * @param {number} subdivision
+     */
+    setSubdivision(subdivision) {
+        if (!Number.isInteger(subdivision) || subdivision < 1 || subdivision > 8) {
+            throw new Error(`Invalid subdivision: ${subdivision}`);
+        }
+        // Keep the current beat position, restart at its first subdivision
+        const beat = Math.floor(this.clickIndex / this.subdivision);
+        this.subdivision = subdivision;
+        this.clickIndex = beat * subdivision;
+        this._emitStateChange();
+    }
+
+    /**
+     * Enables or disables the accent on beat one
+     * @param {boolean} enabled
+     */
+    setAccent(enabled) {
+        this.accentFirstBeat = !!enabled;
+    }
+
+    /**
+     * Sets the metronome output level
+     * @param {number} volume - 0.0 to 1.0
+     */
+    setVolume(volume) {
+        this.volume = Math.max(0, Math.min(1, volume));
+        this.outputNode.gain.setTargetAtTime(this.volume, this.audioContext.currentTime, 0.01);
+    }
+
+    /**
+     * Schedules every click that falls before scheduleUntil
+     * @param {number} scheduleUntil - AudioContext time
+     * @private
+     */
+    _scheduleClicks(scheduleUntil) {
+        while (this.nextClickTime < scheduleUntil) {
+            const beat = Math.floor(this.clickIndex / this.subdivision);
+            const isBeat = this.clickIndex % this.subdivision === 0;
+            const isAccent = this.accentFirstBeat && this.clickIndex === 0;
+            const kind = isAccent ? 'accent' : (isBeat ? 'beat' : 'subdivision');
+            if (this.clickIndex === 0) {
+                this.lastDownbeatTime = this.nextClickTime;
+            }
+
+            this._scheduleClick(this.nextClickTime, kind);
+            this._scheduleBeatEvent({
+                bar: this.barIndex,
+                beat,
+                isBeat,
+                accent: isAccent,
+                time: this.nextClickTime
+            });
+
+            this.nextClickTime += this.secondsPerBeat / this.subdivision;
+            this.clickIndex++;
+            if (this.clickIndex >= this.beatsPerBar * this.subdivision) {
+                this.clickIndex = 0;
+                this.barIndex++;
+            }
+        }
+    }
+
+    /**
+     * Synthesizes a single click: a short sine burst with a fast decay
+     * @param {number} time - AudioContext time
+     * @param {string} kind - 'accent' | 'beat' | 'subdivision'
+     * @private
+     */
+    _scheduleClick(time, kind) {
+        const settings = Metronome.CLICK_SOUNDS[kind];
+        const oscillator = this.audioContext.createOscillator();
+        const envelope = this.audioContext.createGain();
+
+        oscillator.type = 'sine';
+        oscillator.frequency.setValueAtTime(settings.frequency, time);
+        envelope.gain.setValueAtTime(0, time);
+        envelope.gain.linearRampToValueAtTime(settings.level, time + 0.001);
+        envelope.gain.exponentialRampToValueAtTime(0.0001, time + settings.decay);
+
+        oscillator.connect(envelope);
+        envelope.connect(this.outputNode);
+        oscillator.start(time);
+        oscillator.stop(time + settings.decay + 0.01);
+        oscillator.onended = () => {
+            oscillator.disconnect();
+            envelope.disconnect();
+        };
+    }
+
+    /**
+     * Emits a beat event when the click actually sounds (for visual indicators)
+     * @private
+     */
+    _scheduleBeatEvent(beatInfo) {
+        const delayMs = Math.max(0, (beatInfo.time - this.audioContext.currentTime) * 1000);
+        const timerId = setTimeout(() => {
+            this.beatTimers = this.beatTimers.filter(id => id !== timerId);
+            this.emit('beat', beatInfo);
+        }, delayMs);
+        this.beatTimers.push(timerId);
+    }
+
+    /**
+     * @private
+     */
+    _emitStateChange() {
+        this.emit('statechange', {
+            isRunning: this.isRunning,
+            bpm: this.bpm,
+            beatsPerBar: this.beatsPerBar,
+            beatUnit: this.beatUnit,
+            subdivision: this.subdivision
+        });
+    }
+
+    /**
+     * Event emitter methods
+     */
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
+
+    off(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+        }
+    }
+
+    emit(event, data) {
+        if (this.listeners[event]) {
+            this.listeners[event].forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`Error in ${event} listener:`, error);
+                }
+            });
+        }
+    }
+}
+
+/**
+ * Synthesized click voices: pitch, peak level and decay time in seconds
+ */
+Metronome.CLICK_SOUNDS = {
+    accent: { frequency: 1760, level: 1.0, decay: 0.06 },
+    beat: { frequency: 1320, level: 0.7, decay: 0.05 },
+    subdivision: { frequency: 880, level: 0.4, decay: 0.03 }
+};
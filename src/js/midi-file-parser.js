@@ -0,0 +1,229 @@
+/**
+ * MidiFileParser - Parses Standard MIDI Files (types 0 and 1) into timed notes
+ * Tempo changes from every track are merged into a single tempo map so note
+ * times come out in seconds.
+ */
+
+class MidiFileParser {
+    /**
+     * Parses SMF bytes
+     * @param {ArrayBuffer|Uint8Array} data - Raw file contents
+     * @returns {{format: number, ppq: number|null, trackCount: number, duration: number,
+     *            notes: Array<{time: number, tick: number, note: number, velocity: number, channel: number, track: number}>}}
+     */
+    static parse(data) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        const reader = new MidiByteReader(bytes);
+
+        if (reader.readString(4) !== 'MThd') {
+            throw new Error('Not a Standard MIDI File (missing MThd header)');
+        }
+        const headerLength = reader.readUint32();
+        if (headerLength < 6) {
+            throw new Error('Invalid MIDI header length');
+        }
+        const format = reader.readUint16();
+        const trackCount = reader.readUint16();
+        const division = reader.readUint16();
+        reader.skip(headerLength - 6);
+
+        if (format !== 0 && format !== 1) {
+            throw new Error(`Unsupported MIDI file format: ${format} (only types 0 and 1 are supported)`);
+        }
+
+        // Division: ticks per quarter note, or SMPTE frames/ticks per frame when the top bit is set
+        let ppq = null;
+        let ticksPerSecond = null;
+        if (division & 0x8000) {
+            const framesPerSecond = 256 - (division >> 8);
+            const ticksPerFrame = division & 0xFF;
+            ticksPerSecond = (framesPerSecond === 29 ? 29.97 : framesPerSecond) * ticksPerFrame;
+        } else {
+            ppq = division;
+            if (ppq === 0) {
+                throw new Error('Invalid MIDI division: 0 ticks per quarter note');
+            }
+        }
+
+        const noteEvents = [];
+        const tempoEvents = [];
+        for (let track = 0; track < trackCount && !reader.isAtEnd(); track++) {
+            const chunkType = reader.readString(4);
+            const chunkLength = reader.readUint32();
+            if (chunkType !== 'MTrk') {
+                // Unknown chunks must be skipped per the SMF spec
+                reader.skip(chunkLength);
+                track--;
+                continue;
+            }
+            const trackEnd = reader.position + chunkLength;
+            if (trackEnd > bytes.length) {
+                throw new Error(`MIDI track ${track} is truncated`);
+            }
+            MidiFileParser._parseTrack(reader, trackEnd, track, noteEvents, tempoEvents);
+            reader.position = trackEnd;
+        }
+
+        const toSeconds = MidiFileParser._buildTickConverter(tempoEvents, ppq, ticksPerSecond);
+        const notes = noteEvents
+            .sort((a, b) => a.tick - b.tick)
+            .map(event => ({ ...event, time: toSeconds(event.tick) }));
+        const duration = notes.length > 0 ? notes[notes.length - 1].time : 0;
+
+        return { format, ppq, trackCount, duration, notes };
+    }
+
+    /**
+     * Reads the events of one MTrk chunk
+     * @private
+     */
+    static _parseTrack(reader, trackEnd, track, noteEvents, tempoEvents) {
+        let tick = 0;
+        let runningStatus = null;
+
+        while (reader.position < trackEnd) {
+            tick += reader.readVariableLength();
+            let status = reader.peekUint8();
+
+            if (status & 0x80) {
+                reader.skip(1);
+            } else if (runningStatus !== null) {
+                status = runningStatus;
+            } else {
+                throw new Error(`MIDI track ${track}: data byte without running status`);
+            }
+
+            if (status === 0xFF) {
+                // Meta event
+                const type = reader.readUint8();
+                const length = reader.readVariableLength();
+                if (type === 0x51 && length === 3) {
+                    const microsecondsPerQuarter = (reader.readUint8() << 16) | (reader.readUint8() << 8) | reader.readUint8();
+                    tempoEvents.push({ tick, microsecondsPerQuarter });
+                } else {
+                    reader.skip(length);
+                }
+                if (type === 0x2F) {
+                    break; // End of track
+                }
+                continue;
+            }
+
+            if (status === 0xF0 || status === 0xF7) {
+                // SysEx: skip payload, cancels running status
+                reader.skip(reader.readVariableLength());
+                runningStatus = null;
+                continue;
+            }
+
+            runningStatus = status;
+            const type = status & 0xF0;
+            const channel = status & 0x0F;
+            const data1 = reader.readUint8();
+            // Program change and channel pressure carry a single data byte
+            const data2 = (type === 0xC0 || type === 0xD0) ? 0 : reader.readUint8();
+
+            // Note-on with velocity 0 is a note-off; drums only need the onsets
+            if (type === 0x90 && data2 > 0) {
+                noteEvents.push({ tick, note: data1, velocity: data2, channel, track });
+            }
+        }
+    }
+
+    /**
+     * Builds a function that converts absolute ticks to seconds using the tempo map
+     * @private
+     */
+    static _buildTickConverter(tempoEvents, ppq, ticksPerSecond) {
+        if (ticksPerSecond) {
+            return (tick) => tick / ticksPerSecond;
+        }
+
+        // Tempo segments: each starts at a tick with a known time in seconds
+        const segments = [{ tick: 0, seconds: 0, secondsPerTick: 0.5 / ppq }]; // Default 120 BPM
+        tempoEvents
+            .sort((a, b) => a.tick - b.tick)
+            .forEach(event => {
+                const previous = segments[segments.length - 1];
+                const seconds = previous.seconds + (event.tick - previous.tick) * previous.secondsPerTick;
+                const secondsPerTick = event.microsecondsPerQuarter / 1000000 / ppq;
+                if (event.tick === previous.tick) {
+                    previous.secondsPerTick = secondsPerTick;
+                } else {
+                    segments.push({ tick: event.tick, seconds, secondsPerTick });
+                }
+            });
+
+        return (tick) => {
+            let segment = segments[0];
+            for (let i = 1; i < segments.length && segments[i].tick <= tick; i++) {
+                segment = segments[i];
+            }
+            return segment.seconds + (tick - segment.tick) * segment.secondsPerTick;
+        };
+    }
+}
+
+/**
+ * MidiByteReader - Big-endian cursor over MIDI file bytes
+ * @private
+ */
+class MidiByteReader {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.position = 0;
+    }
+
+    isAtEnd() {
+        return this.position >= this.bytes.length;
+    }
+
+    _ensure(count) {
+        if (this.position + count > this.bytes.length) {
+            throw new Error('Unexpected end of MIDI data');
+        }
+    }
+
+    skip(count) {
+        this._ensure(count);
+        this.position += count;
+    }
+
+    peekUint8() {
+        this._ensure(1);
+        return this.bytes[this.position];
+    }
+
+    readUint8() {
+        this._ensure(1);
+        return this.bytes[this.position++];
+    }
+
+    readUint16() {
+        return (this.readUint8() << 8) | this.readUint8();
+    }
+
+    readUint32() {
+        return ((this.readUint8() << 24) | (this.readUint8() << 16) | (this.readUint8() << 8) | this.readUint8()) >>> 0;
+    }
+
+    readString(length) {
+        let text = '';
+        for (let i = 0; i < length; i++) {
+            text += String.fromCharCode(this.readUint8());
+        }
+        return text;
+    }
+
+    readVariableLength() {
+        let value = 0;
+        for (let i = 0; i < 4; i++) {
+            const byte = this.readUint8();
+            value = (value << 7) | (byte & 0x7F);
+            if (!(byte & 0x80)) {
+                return value;
+            }
+        }
+        throw new Error('Invalid variable-length quantity in MIDI data');
+    }
+}
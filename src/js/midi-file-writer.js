@@ -0,0 +1,173 @@
+/**
+ * MidiFileWriter - Writes timed zone hits as a type-0 Standard MIDI File
+ * Each zone maps to a General MIDI drum note (zone.midiNote, overridable per zone)
+ * and hit volume maps to note velocity.
+ */
+
+class MidiFileWriter {
+    constructor(config = {}) {
+        this.zoneManager = config.zoneManager;
+        this.bpm = config.bpm || 120;
+        this.ppq = config.ppq || 480; // Pulses (ticks) per quarter note
+        this.channel = config.channel !== undefined ? config.channel : 9; // GM percussion (channel 10)
+        this.noteMap = { ...(config.noteMap || {}) }; // { [zoneId]: midiNote } overrides
+        this.trackName = config.trackName || 'Cajon';
+    }
+
+    /**
+     * Sets the tempo used to convert seconds to ticks
+     * @param {number} bpm
+     */
+    setTempo(bpm) {
+        if (!(bpm > 0)) {
+            throw new Error(`Invalid tempo: ${bpm}`);
+        }
+        this.bpm = bpm;
+    }
+
+    /**
+     * Sets the file resolution in ticks per quarter note
+     * @param {number} ppq
+     */
+    setPpq(ppq) {
+        if (!Number.isInteger(ppq) || ppq <= 0 || ppq > 0x7FFF) {
+            throw new Error(`Invalid PPQ: ${ppq}`);
+        }
+        this.ppq = ppq;
+    }
+
+    /**
+     * Overrides the MIDI note written for a zone
+     * @param {string} zoneId
+     * @param {number} note - MIDI note number (0-127)
+     */
+    setZoneNote(zoneId, note) {
+        this.noteMap[zoneId] = note;
+    }
+
+    /**
+     * Gets the MIDI note for a zone (override, then zone.midiNote)
+     * @param {Object} zone - Zone configuration
+     * @returns {number|null}
+     */
+    getNoteForZone(zone) {
+        if (this.noteMap[zone.id] !== undefined) {
+            return this.noteMap[zone.id];
+        }
+        return zone.midiNote !== undefined ? zone.midiNote : null;
+    }
+
+    /**
+     * Maps a hit volume to MIDI velocity
+     * The zone's base volume is divided out so a full-strength hit is velocity 127.
+     * @param {number} volume - Hit volume as passed to AudioManager
+     * @param {Object} zone - Zone configuration
+     * @returns {number} Velocity (1-127)
+     */
+    static volumeToVelocity(volume, zone) {
+        const baseVolume = zone && zone.volume !== undefined ? zone.volume : 1.0;
+        const intensity = baseVolume > 0 ? volume / baseVolume : volume;
+        return Math.max(1, Math.min(127, Math.round(intensity * 127)));
+    }
+
+    /**
+     * Writes hits to Standard MIDI File bytes
+     * @param {Array<{zoneId: string, volume: number, time: number}>} hits - Hit times in seconds from the start
+     * @returns {Uint8Array}
+     */
+    write(hits) {
+        const ticksPerSecond = (this.bpm / 60) * this.ppq;
+        const noteLength = Math.max(1, Math.round(this.ppq / 8)); // 32nd note; drums ignore note-off
+        const statusOn = 0x90 | this.channel;
+        const statusOff = 0x80 | this.channel;
+        const events = [];
+
+        (hits || []).forEach(hit => {
+            const zone = this.zoneManager.getZoneById(hit.zoneId);
+            if (!zone) {
+                return;
+            }
+            const note = this.getNoteForZone(zone);
+            if (note === null) {
+                if (window.DebugLogger) {
+                    window.DebugLogger.log('MidiFileWriter: zone has no MIDI note, skipping', zone.id);
+                }
+                return;
+            }
+            const volume = hit.volume !== undefined && hit.volume !== null
+                ? hit.volume
+                : (zone.volume !== undefined ? zone.volume : 1.0);
+            const tick = Math.max(0, Math.round(hit.time * ticksPerSecond));
+            const velocity = MidiFileWriter.volumeToVelocity(volume, zone);
+            // Note-offs sort before note-ons on the same tick so repeated notes retrigger
+            events.push({ tick, order: 1, bytes: [statusOn, note, velocity] });
+            events.push({ tick: tick + noteLength, order: 0, bytes: [statusOff, note, 0] });
+        });
+
+        events.sort((a, b) => (a.tick - b.tick) || (a.order - b.order));
+
+        const microsecondsPerQuarter = Math.round(60000000 / this.bpm);
+        const nameBytes = Array.from(this.trackName, ch => ch.charCodeAt(0) & 0x7F);
+        const track = [];
+
+        // Track name, tempo and 4/4 time signature at tick 0
+        track.push(0x00, 0xFF, 0x03, ...MidiFileWriter._encodeVariableLength(nameBytes.length), ...nameBytes);
+        track.push(0x00, 0xFF, 0x51, 0x03,
+            (microsecondsPerQuarter >> 16) & 0xFF,
+            (microsecondsPerQuarter >> 8) & 0xFF,
+            microsecondsPerQuarter & 0xFF);
+        track.push(0x00, 0xFF, 0x58, 0x04, 0x04, 0x02, 0x18, 0x08);
+
+        let lastTick = 0;
+        events.forEach(event => {
+            track.push(...MidiFileWriter._encodeVariableLength(event.tick - lastTick), ...event.bytes);
+            lastTick = event.tick;
+        });
+
+        // End of track
+        track.push(0x00, 0xFF, 0x2F, 0x00);
+
+        const header = [
+            0x4D, 0x54, 0x68, 0x64, // "MThd"
+            0x00, 0x00, 0x00, 0x06, // Header length
+            0x00, 0x00, // Format 0
+            0x00, 0x01, // One track
+            (this.ppq >> 8) & 0x7F, this.ppq & 0xFF
+        ];
+        const trackHeader = [
+            0x4D, 0x54, 0x72, 0x6B, // "MTrk"
+            (track.length >>> 24) & 0xFF,
+            (track.length >>> 16) & 0xFF,
+            (track.length >>> 8) & 0xFF,
+            track.length & 0xFF
+        ];
+
+        return new Uint8Array([...header, ...trackHeader, ...track]);
+    }
+
+    /**
+     * Writes hits and wraps the result in a Blob for download
+     * @param {Array<{zoneId: string, volume: number, time: number}>} hits
+     * @returns {Blob}
+     */
+    toBlob(hits) {
+        return new Blob([this.write(hits)], { type: 'audio/midi' });
+    }
+
+    /**
+     * Encodes a number as a MIDI variable-length quantity
+     * @param {number} value
+     * @returns {Array<number>}
+     * @private
+     */
+    static _encodeVariableLength(value) {
+        let remaining = value >>> 0;
+        const bytes = [remaining & 0x7F];
+        remaining >>>= 7;
+        while (remaining > 0) {
+            bytes.unshift((remaining & 0x7F) | 0x80);
+            remaining >>>= 7;
+        }
+        return bytes;
+    }
+}
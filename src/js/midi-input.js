@@ -0,0 +1,313 @@
+/**
+ * MidiInput - Triggers zones from hardware MIDI controllers via Web MIDI
+ * Note-on messages go through InputHandler like any other hit, with velocity
+ * as the hit intensity (shaped by the velocity curve). Pads are bound to
+ * zones with a learn mode and bindings persist per kit in SettingsStore.
+ * Zones without a learned note fall back to the kit's midiNote.
+ *
+ * The MIDIAccess source is injectable (config.requestMIDIAccess) so a fake can
+ * stand in for navigator.requestMIDIAccess.
+ */
+
+class MidiInput {
+    constructor(config) {
+        this.inputHandler = config.inputHandler;
+        this.zoneManager = config.zoneManager;
+        this.requestMIDIAccess = config.requestMIDIAccess ||
+            (typeof navigator !== 'undefined' && navigator.requestMIDIAccess
+                ? navigator.requestMIDIAccess.bind(navigator)
+                : null);
+        this.storagePrefix = config.storagePrefix || 'midi-input-bindings';
+
+        this.kitId = null;
+        this.midiAccess = null;
+        this.isEnabled = false;
+        this.learningZoneId = null;
+        this.bindings = new Map(); // Map<midiNote, zoneId>
+
+        this.boundHandleMessage = this._handleMessage.bind(this);
+        this.boundHandleStateChange = this._handleStateChange.bind(this);
+
+        this.listeners = {
+            statechange: [],
+            learned: []
+        };
+    }
+
+    /**
+     * Whether Web MIDI (or an injected replacement) is available
+     * @returns {boolean}
+     */
+    get isSupported() {
+        return typeof this.requestMIDIAccess === 'function';
+    }
+
+    /**
+     * Requests MIDI access and starts listening to every input port
+     * @returns {Promise<void>}
+     */
+    async enable() {
+        if (this.isEnabled) {
+            return;
+        }
+        if (!this.isSupported) {
+            throw new Error('Web MIDI is not supported in this browser');
+        }
+        try {
+            this.midiAccess = await this.requestMIDIAccess({ sysex: false });
+        } catch (error) {
+            const accessError = new Error('MIDI access was denied');
+            accessError.originalError = error;
+            throw accessError;
+        }
+        this.midiAccess.onstatechange = this.boundHandleStateChange;
+        this._attachInputs();
+        this.isEnabled = true;
+        if (window.DebugLogger) {
+            window.DebugLogger.log('MidiInput: enabled. inputs=', this.getInputNames());
+        }
+        this._emitStateChange();
+    }
+
+    /**
+     * Stops listening to MIDI input
+     */
+    disable() {
+        if (!this.isEnabled) {
+            return;
+        }
+        this._forEachInput(input => {
+            input.onmidimessage = null;
+        });
+        this.midiAccess.onstatechange = null;
+        this.midiAccess = null;
+        this.isEnabled = false;
+        this.learningZoneId = null;
+        this._emitStateChange();
+    }
+
+    /**
+     * Gets the names of the connected input ports
+     * @returns {Array<string>}
+     */
+    getInputNames() {
+        const names = [];
+        this._forEachInput(input => {
+            if (input.state !== 'disconnected') {
+                names.push(input.name || input.id);
+            }
+        });
+        return names;
+    }
+
+    /**
+     * Binds the next incoming note to a zone
+     * @param {string} zoneId
+     */
+    startLearn(zoneId) {
+        if (!this.zoneManager.getZoneById(zoneId)) {
+            throw new Error(`Unknown zone: ${zoneId}`);
+        }
+        this.learningZoneId = zoneId;
+        this._emitStateChange();
+    }
+
+    /**
+     * Leaves learn mode without binding anything
+     */
+    cancelLearn() {
+        this.learningZoneId = null;
+        this._emitStateChange();
+    }
+
+    /**
+     * Binds a note to a zone, replacing any previous binding for that note
+     * @param {number} note - MIDI note number
+     * @param {string} zoneId
+     */
+    setBinding(note, zoneId) {
+        this.bindings.set(note, zoneId);
+        this._saveBindings();
+        this._emitStateChange();
+    }
+
+    /**
+     * Gets the notes bound to a zone
+     * @param {string} zoneId
+     * @returns {Array<number>}
+     */
+    getNotesForZone(zoneId) {
+        return [...this.bindings.entries()]
+            .filter(([, boundZoneId]) => boundZoneId === zoneId)
+            .map(([note]) => note)
+            .sort((a, b) => a - b);
+    }
+
+    /**
+     * Loads the stored bindings for a kit
+     * Call after the kit's zones are in TriggerZoneManager.
+     * @param {string} kitId
+     */
+    load(kitId) {
+        this.learningZoneId = null;
+        this.kitId = kitId;
+        this._loadBindings();
+        this._emitStateChange();
+    }
+
+    /**
+     * Restores the default bindings (each zone's midiNote)
+     */
+    resetBindings() {
+        SettingsStore.remove(this._storageKey());
+        this._loadBindings();
+        this._emitStateChange();
+    }
+
+    /**
+     * Handles a raw MIDI message
+     * @param {{data: Uint8Array}} event
+     * @private
+     */
+    _handleMessage(event) {
+        const data = event && event.data;
+        if (!data || data.length < 3) {
+            return;
+        }
+        const type = data[0] & 0xF0;
+        const note = data[1];
+        const velocity = data[2];
+
+        // Only note-on with non-zero velocity is a hit
+        if (type !== 0x90 || velocity === 0) {
+            return;
+        }
+
+        if (this.learningZoneId) {
+            const zoneId = this.learningZoneId;
+            this.learningZoneId = null;
+            this.setBinding(note, zoneId);
+            if (window.DebugLogger) {
+                window.DebugLogger.log('MidiInput: learned note', note, '->', zoneId);
+            }
+            this.emit('learned', { note, zoneId });
+        }
+
+        const zoneId = this.bindings.get(note);
+        const zone = zoneId ? this.zoneManager.getZoneById(zoneId) : null;
+        if (!zone) {
+            if (window.DebugLogger) {
+                window.DebugLogger.log('MidiInput: no zone bound to note', note);
+            }
+            return;
+        }
+        this.inputHandler.triggerZoneById(zone.id, velocity / 127, typeof event.timeStamp === 'number' ? event.timeStamp : null);
+    }
+
+    /**
+     * Re-attaches inputs when devices are plugged in or removed
+     * @private
+     */
+    _handleStateChange() {
+        this._attachInputs();
+        this._emitStateChange();
+    }
+
+    /**
+     * @private
+     */
+    _attachInputs() {
+        this._forEachInput(input => {
+            input.onmidimessage = this.boundHandleMessage;
+        });
+    }
+
+    /**
+     * @private
+     */
+    _forEachInput(callback) {
+        if (!this.midiAccess || !this.midiAccess.inputs) {
+            return;
+        }
+        this.midiAccess.inputs.forEach(input => callback(input));
+    }
+
+    /**
+     * Loads stored bindings, falling back to each zone's midiNote
+     * @private
+     */
+    _loadBindings() {
+        this.bindings.clear();
+        const stored = SettingsStore.load(this._storageKey(), null);
+        if (stored && typeof stored === 'object') {
+            Object.keys(stored).forEach(note => {
+                // Bindings to zones the kit no longer has would only block their notes
+                if (this.zoneManager.getZoneById(stored[note])) {
+                    this.bindings.set(Number(note), stored[note]);
+                }
+            });
+        }
+        this.zoneManager.getAllZones().forEach(zone => {
+            if (zone.midiNote !== undefined && !this.bindings.has(zone.midiNote)
+                && this.getNotesForZone(zone.id).length === 0) {
+                this.bindings.set(zone.midiNote, zone.id);
+            }
+        });
+    }
+
+    /**
+     * @private
+     */
+    _saveBindings() {
+        const stored = {};
+        this.bindings.forEach((zoneId, note) => {
+            stored[note] = zoneId;
+        });
+        SettingsStore.save(this._storageKey(), stored);
+    }
+
+    /**
+     * @private
+     */
+    _storageKey() {
+        return `${this.storagePrefix}:${this.kitId}`;
+    }
+
+    /**
+     * @private
+     */
+    _emitStateChange() {
+        this.emit('statechange', {
+            isEnabled: this.isEnabled,
+            inputs: this.getInputNames(),
+            learningZoneId: this.learningZoneId
+        });
+    }
+
+    /**
+     * Event emitter methods
+     */
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
+
+    off(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+        }
+    }
+
+    emit(event, data) {
+        if (this.listeners[event]) {
+            this.listeners[event].forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`Error in ${event} listener:`, error);
+                }
+            });
+        }
+    }
+}
@@ -0,0 +1,252 @@
+/**
+ * MidiPlayer - Plays parsed MIDI drum notes on the cajon zones
+ * Notes are mapped to zones through an editable note map (seeded from each
+ * zone's midiNote), scheduled through AudioManager and flashed on the zones.
+ * Notes without a mapped zone are reported instead of being dropped silently.
+ */
+
+class MidiPlayer {
+    constructor(config) {
+        this.audioManager = config.audioManager;
+        this.zoneManager = config.zoneManager;
+
+        this.noteMap = new Map(); // Map<midiNote, zoneId>
+        this.resetNoteMap();
+
+        // Loaded file
+        this.midiData = null;
+        this.fileName = null;
+
+        // Playback state
+        this.isPlaying = false;
+        this.playbackStartTime = 0;
+        this.playbackIndex = 0;
+        this.activationTimers = [];
+        this.scheduler = new LookaheadScheduler({
+            audioContext: this.audioManager.audioContext,
+            onSchedule: (scheduleUntil) => this._schedulePlayback(scheduleUntil)
+        });
+
+        this.listeners = {
+            loaded: [],
+            statechange: []
+        };
+    }
+
+    /**
+     * Rebuilds the note map from the zones' midiNote fields
+     */
+    resetNoteMap() {
+        this.noteMap.clear();
+        this.zoneManager.getAllZones().forEach(zone => {
+            if (zone.midiNote !== undefined && !this.noteMap.has(zone.midiNote)) {
+                this.noteMap.set(zone.midiNote, zone.id);
+            }
+        });
+    }
+
+    /**
+     * Maps a MIDI note to a zone, or unmaps it when zoneId is empty
+     * @param {number} note - MIDI note number
+     * @param {string|null} zoneId - Zone identifier
+     */
+    setNoteMapping(note, zoneId) {
+        if (zoneId && this.zoneManager.getZoneById(zoneId)) {
+            this.noteMap.set(note, zoneId);
+        } else {
+            this.noteMap.delete(note);
+        }
+    }
+
+    /**
+     * Gets the zone a MIDI note plays, if any
+     * @param {number} note
+     * @returns {Object|null}
+     */
+    getZoneForNote(note) {
+        const zoneId = this.noteMap.get(note);
+        return zoneId ? this.zoneManager.getZoneById(zoneId) : null;
+    }
+
+    /**
+     * Parses and loads a MIDI file
+     * @param {ArrayBuffer} arrayBuffer - File contents
+     * @param {string} fileName - Name shown to the user
+     * @returns {{notes: number, unmapped: Array<{note: number, count: number}>}}
+     */
+    load(arrayBuffer, fileName = null) {
+        this.stop();
+        this.midiData = MidiFileParser.parse(arrayBuffer);
+        this.fileName = fileName;
+        const summary = {
+            notes: this.midiData.notes.length,
+            unmapped: this.getUnmappedNotes()
+        };
+        if (window.DebugLogger) {
+            window.DebugLogger.log('MidiPlayer: loaded', fileName, 'format=', this.midiData.format, 'notes=', summary.notes, 'unmapped=', summary.unmapped.length);
+        }
+        this.emit('loaded', summary);
+        return summary;
+    }
+
+    /**
+     * Lists every distinct note in the loaded file with its count and mapping
+     * @returns {Array<{note: number, count: number, zoneId: string|null}>}
+     */
+    getNoteSummary() {
+        if (!this.midiData) {
+            return [];
+        }
+        const counts = new Map();
+        this.midiData.notes.forEach(event => {
+            counts.set(event.note, (counts.get(event.note) || 0) + 1);
+        });
+        return [...counts.entries()]
+            .sort((a, b) => a[0] - b[0])
+            .map(([note, count]) => ({ note, count, zoneId: this.noteMap.get(note) || null }));
+    }
+
+    /**
+     * Lists the notes in the loaded file that have no zone
+     * @returns {Array<{note: number, count: number}>}
+     */
+    getUnmappedNotes() {
+        return this.getNoteSummary()
+            .filter(entry => !entry.zoneId)
+            .map(({ note, count }) => ({ note, count }));
+    }
+
+    /**
+     * Plays the loaded file from the start
+     * @returns {Promise<void>}
+     */
+    async play() {
+        if (!this.midiData || this.midiData.notes.length === 0 || this.isPlaying) {
+            return;
+        }
+        if (!this.audioManager.isContextUnlocked) {
+            await this.audioManager.unlockAudioContext({ fromGesture: true });
+        }
+        this.playbackStartTime = this.audioManager.audioContext.currentTime + 0.05;
+        this.playbackIndex = 0;
+        this.isPlaying = true;
+        this.scheduler.start();
+        this._emitStateChange();
+    }
+
+    /**
+     * Stops playback
+     */
+    stop() {
+        if (!this.isPlaying) {
+            return;
+        }
+        this.scheduler.stop();
+        this.activationTimers.forEach(timerId => clearTimeout(timerId));
+        this.activationTimers = [];
+        this.isPlaying = false;
+        this._emitStateChange();
+    }
+
+    /**
+     * Converts MIDI velocity to a hit volume for a zone
+     * @param {number} velocity - 1-127
+     * @param {Object} zone - Zone configuration
+     * @returns {number}
+     */
+    static velocityToVolume(velocity, zone) {
+        const baseVolume = zone && zone.volume !== undefined ? zone.volume : 1.0;
+        return (velocity / 127) * baseVolume;
+    }
+
+    /**
+     * Schedules every note that falls before scheduleUntil
+     * @param {number} scheduleUntil - AudioContext time
+     * @private
+     */
+    _schedulePlayback(scheduleUntil) {
+        const notes = this.midiData.notes;
+        while (this.playbackIndex < notes.length) {
+            const event = notes[this.playbackIndex];
+            const when = this.playbackStartTime + event.time;
+            if (when >= scheduleUntil) {
+                break;
+            }
+            this._scheduleNote(event, when);
+            this.playbackIndex++;
+        }
+
+        if (this.playbackIndex >= notes.length &&
+            this.audioManager.audioContext.currentTime >= this.playbackStartTime + this.midiData.duration) {
+            this.stop();
+        }
+    }
+
+    /**
+     * @private
+     */
+    _scheduleNote(event, when) {
+        const zone = this.getZoneForNote(event.note);
+        if (!zone) {
+            return;
+        }
+        const volume = MidiPlayer.velocityToVolume(event.velocity, zone);
+        this.audioManager.playZone(zone, volume, { when }).catch(error => {
+            console.error(`MidiPlayer: failed to play note ${event.note} on zone ${zone.id}:`, error);
+        });
+        const delayMs = (when - this.audioManager.audioContext.currentTime) * 1000;
+        this.activationTimers.push(this.zoneManager.scheduleActivation(zone.id, delayMs));
+    }
+
+    /**
+     * @private
+     */
+    _emitStateChange() {
+        this.emit('statechange', { isPlaying: this.isPlaying });
+    }
+
+    /**
+     * Event emitter methods
+     */
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
+
+    off(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+        }
+    }
+
+    emit(event, data) {
+        if (this.listeners[event]) {
+            this.listeners[event].forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`Error in ${event} listener:`, error);
+                }
+            });
+        }
+    }
+}
+
+/**
+ * General MIDI percussion key map (channel 10), used to label notes for the user
+ */
+MidiPlayer.GM_DRUM_NAMES = {
+    35: 'Acoustic Bass Drum', 36: 'Bass Drum 1', 37: 'Side Stick', 38: 'Acoustic Snare',
+    39: 'Hand Clap', 40: 'Electric Snare', 41: 'Low Floor Tom', 42: 'Closed Hi-Hat',
+    43: 'High Floor Tom', 44: 'Pedal Hi-Hat', 45: 'Low Tom', 46: 'Open Hi-Hat',
+    47: 'Low-Mid Tom', 48: 'Hi-Mid Tom', 49: 'Crash Cymbal 1', 50: 'High Tom',
+    51: 'Ride Cymbal 1', 52: 'Chinese Cymbal', 53: 'Ride Bell', 54: 'Tambourine',
+    55: 'Splash Cymbal', 56: 'Cowbell', 57: 'Crash Cymbal 2', 58: 'Vibraslap',
+    59: 'Ride Cymbal 2', 60: 'Hi Bongo', 61: 'Low Bongo', 62: 'Mute Hi Conga',
+    63: 'Open Hi Conga', 64: 'Low Conga', 65: 'High Timbale', 66: 'Low Timbale',
+    67: 'High Agogo', 68: 'Low Agogo', 69: 'Cabasa', 70: 'Maracas',
+    71: 'Short Whistle', 72: 'Long Whistle', 73: 'Short Guiro', 74: 'Long Guiro',
+    75: 'Claves', 76: 'Hi Wood Block', 77: 'Low Wood Block', 78: 'Mute Cuica',
+    79: 'Open Cuica', 80: 'Mute Triangle', 81: 'Open Triangle'
+};
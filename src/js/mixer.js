@@ -0,0 +1,334 @@
+/**
+ * Mixer - One channel strip per zone between the voices and the master bus
+ * strip input -> fader (gain, mute/solo) -> stereo panner -> destination
+ *                                                  \-> analyser (level meter)
+ *
+ * The fader scales the whole zone after its velocity layer was chosen, so the
+ * kit can be balanced without changing how hard hits sound. A kit's own
+ * balance comes from each zone's "mixer" entry; changes are kept per kit in
+ * SettingsStore unless storagePrefix is null (e.g., for the copy built in an
+ * OfflineAudioContext).
+ */
+
+class Mixer {
+    constructor(config) {
+        this.audioContext = config.audioContext;
+        this.destination = config.destination || this.audioContext.destination;
+        this.storagePrefix = config.storagePrefix !== undefined ? config.storagePrefix : 'mixer';
+
+        this.kitId = null;
+        this.defaults = new Map(); // Map<zoneId, channel> from the kit
+        this.channels = new Map(); // Map<zoneId, {gain, pan, mute, solo}>
+        this.strips = new Map(); // Map<zoneId, {input, fader, panner, analyser}>
+        this._meterData = null;
+
+        if (config.state) {
+            Object.keys(config.state).forEach(zoneId => {
+                this.channels.set(zoneId, Mixer.normalizeChannel(config.state[zoneId]));
+            });
+        }
+
+        this.listeners = {
+            change: []
+        };
+    }
+
+    /**
+     * Loads a kit's mixer settings: each zone's "mixer" entry, overridden by stored changes
+     * @param {string} kitId
+     * @param {Array<Object>} zones - The kit's zones
+     */
+    load(kitId, zones) {
+        this.kitId = kitId;
+        this.defaults.clear();
+        this.channels.clear();
+        this.strips.forEach(strip => strip.panner.disconnect());
+        this.strips.clear();
+
+        const stored = this.storagePrefix ? SettingsStore.load(this._storageKey(), null) : null;
+        zones.forEach(zone => {
+            const defaults = Mixer.normalizeChannel(zone.mixer);
+            this.defaults.set(zone.id, defaults);
+            const storedChannel = stored && typeof stored === 'object' ? stored[zone.id] : null;
+            this.channels.set(zone.id, storedChannel ? Mixer.normalizeChannel(storedChannel) : { ...defaults });
+        });
+        this.emit('change', { zoneId: null });
+    }
+
+    /**
+     * Node a zone's voices connect to (the strip is created on first use)
+     * @param {string} zoneId
+     * @returns {AudioNode}
+     */
+    getInput(zoneId) {
+        return this._getStrip(zoneId).input;
+    }
+
+    /**
+     * Gets a zone's channel settings
+     * @param {string} zoneId
+     * @returns {{gain: number, pan: number, mute: boolean, solo: boolean}}
+     */
+    getChannel(zoneId) {
+        return { ...this._getChannel(zoneId) };
+    }
+
+    /**
+     * Gets every zone's channel settings
+     * @returns {Object<string, {gain: number, pan: number, mute: boolean, solo: boolean}>}
+     */
+    getState() {
+        const state = {};
+        this.channels.forEach((channel, zoneId) => {
+            state[zoneId] = { ...channel };
+        });
+        return state;
+    }
+
+    /**
+     * Sets a zone's fader
+     * @param {string} zoneId
+     * @param {number} gain - 0 to 2 (1 = unchanged)
+     */
+    setGain(zoneId, gain) {
+        this._update(zoneId, { gain: Mixer._clamp(gain, 0, 2) });
+    }
+
+    /**
+     * Sets a zone's stereo position
+     * @param {string} zoneId
+     * @param {number} pan - -1 (left) to 1 (right)
+     */
+    setPan(zoneId, pan) {
+        this._update(zoneId, { pan: Mixer._clamp(pan, -1, 1) });
+    }
+
+    /**
+     * Mutes or unmutes a zone
+     * @param {string} zoneId
+     * @param {boolean} mute
+     */
+    setMute(zoneId, mute) {
+        this._update(zoneId, { mute: !!mute });
+    }
+
+    /**
+     * Solos a zone; while any zone is soloed only soloed zones are heard
+     * @param {string} zoneId
+     * @param {boolean} solo
+     */
+    setSolo(zoneId, solo) {
+        this._update(zoneId, { solo: !!solo });
+    }
+
+    /**
+     * Whether a zone can currently be heard (not muted and not silenced by a solo)
+     * @param {string} zoneId
+     * @returns {boolean}
+     */
+    isAudible(zoneId) {
+        const channel = this._getChannel(zoneId);
+        if (channel.mute) {
+            return false;
+        }
+        const anySolo = [...this.channels.values()].some(other => other.solo);
+        return !anySolo || channel.solo;
+    }
+
+    /**
+     * Gets a zone's current peak level
+     * @param {string} zoneId
+     * @returns {number} 0 to 1 (can exceed 1 when the strip clips)
+     */
+    getLevel(zoneId) {
+        const strip = this.strips.get(zoneId);
+        if (!strip || !strip.analyser) {
+            return 0;
+        }
+        if (!this._meterData || this._meterData.length !== strip.analyser.fftSize) {
+            this._meterData = new Float32Array(strip.analyser.fftSize);
+        }
+        strip.analyser.getFloatTimeDomainData(this._meterData);
+        let peak = 0;
+        for (let i = 0; i < this._meterData.length; i++) {
+            peak = Math.max(peak, Math.abs(this._meterData[i]));
+        }
+        return peak;
+    }
+
+    /**
+     * Restores the kit's own mixer settings and forgets the stored changes
+     */
+    reset() {
+        this.channels.forEach((channel, zoneId) => {
+            this.channels.set(zoneId, { ...(this.defaults.get(zoneId) || Mixer.normalizeChannel(null)) });
+        });
+        this.strips.forEach((strip, zoneId) => this._applyChannel(zoneId));
+        if (this.storagePrefix && this.kitId) {
+            SettingsStore.remove(this._storageKey());
+        }
+        this.emit('change', { zoneId: null });
+    }
+
+    /**
+     * Fills in defaults for a missing or partial channel
+     * @param {Object} channel
+     * @returns {{gain: number, pan: number, mute: boolean, solo: boolean}}
+     */
+    static normalizeChannel(channel) {
+        const source = channel && typeof channel === 'object' ? channel : {};
+        const number = (value, fallback, min, max) =>
+            (typeof value === 'number' && isFinite(value) ? Math.max(min, Math.min(max, value)) : fallback);
+        return {
+            gain: number(source.gain, 1, 0, 2),
+            pan: number(source.pan, 0, -1, 1),
+            mute: source.mute === true,
+            solo: source.solo === true
+        };
+    }
+
+    /**
+     * Formats a fader gain in dB
+     * @param {number} gain
+     * @returns {string}
+     */
+    static formatGain(gain) {
+        if (gain <= 0) {
+            return '-∞ dB';
+        }
+        const db = 20 * Math.log10(gain);
+        return `${db > 0 ? '+' : ''}${db.toFixed(1)} dB`;
+    }
+
+    /**
+     * @private
+     */
+    _update(zoneId, changes) {
+        const channel = this._getChannel(zoneId);
+        Object.assign(channel, changes);
+        if (changes.solo !== undefined) {
+            // A solo changes which of the other strips are heard
+            this.strips.forEach((strip, stripZoneId) => this._applyChannel(stripZoneId));
+        } else if (this.strips.has(zoneId)) {
+            this._applyChannel(zoneId);
+        }
+        this._save();
+        this.emit('change', { zoneId });
+    }
+
+    /**
+     * @private
+     */
+    _getChannel(zoneId) {
+        if (!this.channels.has(zoneId)) {
+            this.channels.set(zoneId, Mixer.normalizeChannel(null));
+        }
+        return this.channels.get(zoneId);
+    }
+
+    /**
+     * @private
+     */
+    _getStrip(zoneId) {
+        let strip = this.strips.get(zoneId);
+        if (strip) {
+            return strip;
+        }
+        const context = this.audioContext;
+        const input = context.createGain();
+        const fader = context.createGain();
+        // StereoPannerNode is missing in some older browsers; those strips stay centered
+        const panner = typeof context.createStereoPanner === 'function' ? context.createStereoPanner() : context.createGain();
+        const analyser = typeof context.createAnalyser === 'function' ? context.createAnalyser() : null;
+        input.connect(fader);
+        fader.connect(panner);
+        panner.connect(this.destination);
+        if (analyser) {
+            analyser.fftSize = 512;
+            panner.connect(analyser);
+        }
+        strip = { input, fader, panner, analyser };
+        this.strips.set(zoneId, strip);
+        this._applyChannel(zoneId, true);
+        return strip;
+    }
+
+    /**
+     * Sets a strip's fader and panner from its channel settings
+     * @param {string} zoneId
+     * @param {boolean} immediate - Jump to the values (new strips) instead of gliding
+     * @private
+     */
+    _applyChannel(zoneId, immediate = false) {
+        const strip = this.strips.get(zoneId);
+        const channel = this._getChannel(zoneId);
+        const time = this.audioContext.currentTime;
+        const gain = this.isAudible(zoneId) ? channel.gain : 0;
+        const params = [[strip.fader.gain, gain]];
+        if (strip.panner.pan) {
+            params.push([strip.panner.pan, channel.pan]);
+        }
+        params.forEach(([param, value]) => {
+            if (immediate) {
+                param.setValueAtTime(value, time);
+            } else {
+                // Short glides avoid clicks while dragging the fader or toggling mute
+                param.setTargetAtTime(value, time, 0.01);
+            }
+        });
+    }
+
+    /**
+     * @private
+     */
+    _save() {
+        if (this.storagePrefix && this.kitId) {
+            SettingsStore.save(this._storageKey(), this.getState());
+        }
+    }
+
+    /**
+     * @private
+     */
+    _storageKey() {
+        return `${this.storagePrefix}:${this.kitId}`;
+    }
+
+    /**
+     * @private
+     */
+    static _clamp(value, min, max) {
+        const number = Number(value);
+        if (!isFinite(number)) {
+            throw new Error(`Invalid value: ${value}`);
+        }
+        return Math.max(min, Math.min(max, number));
+    }
+
+    /**
+     * Event emitter methods
+     */
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
+
+    off(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+        }
+    }
+
+    emit(event, data) {
+        if (this.listeners[event]) {
+            this.listeners[event].forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`Error in ${event} listener:`, error);
+                }
+            });
+        }
+    }
+}
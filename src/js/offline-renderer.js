@@ -0,0 +1,210 @@
+/**
+ * OfflineRenderer - Bounces timed zone hits to audio with OfflineAudioContext
+ * Uses the buffers already decoded by AudioManager, renders through copies of
+ * the zone mixer and the master bus with a VoiceManager of its own (same
+ * polyphony cap, voice stealing and choke groups as playback) and encodes the
+ * result as 16-bit PCM WAV for download.
+ */
+
+class OfflineRenderer {
+    constructor(config) {
+        this.audioManager = config.audioManager;
+        this.zoneManager = config.zoneManager;
+        this.channels = config.channels || 2;
+        this.tail = config.tail !== undefined ? config.tail : 0.5; // seconds of silence after the last sound
+    }
+
+    /**
+     * Renders hits to an AudioBuffer
+     * @param {Array<{zoneId: string, volume: number, time: number, position: number}>} hits - Hit times in seconds from the start
+     * @param {Object} options
+     * @param {number} options.duration - Minimum length in seconds (e.g., the length of the take)
+     * @returns {Promise<AudioBuffer>}
+     */
+    async render(hits, options = {}) {
+        const OfflineContextClass = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        if (!OfflineContextClass) {
+            throw new Error('OfflineAudioContext not supported');
+        }
+        if (!hits || hits.length === 0) {
+            throw new Error('Nothing to render');
+        }
+
+        const sampleRate = this.audioManager.audioContext.sampleRate || 44100;
+        const voices = [];
+        const roundRobin = new Map(); // Every bounce starts each variant rotation from the top
+        let endTime = options.duration || 0;
+
+        hits.forEach(hit => {
+            const zone = this.zoneManager.getZoneById(hit.zoneId);
+            if (!zone) {
+                return;
+            }
+            // Same fallback as InputHandler._triggerZone when no volume was captured
+            const volume = hit.volume !== undefined && hit.volume !== null
+                ? hit.volume
+                : (zone.volume !== undefined ? zone.volume : 1.0);
+            const time = Math.max(0, hit.time);
+            this.audioManager.getZoneVoices(zone, volume, hit.position, roundRobin).forEach(voice => {
+                const audioBuffer = this.audioManager.audioBuffers.get(voice.soundPath);
+                if (!audioBuffer) {
+                    if (window.DebugLogger) {
+                        window.DebugLogger.log('OfflineRenderer: no buffer for', voice.soundPath, 'in zone', zone.id, '- skipping');
+                    }
+                    return;
+                }
+                voices.push({ audioBuffer, volume: voice.volume, filter: voice.filter, time, zone, zoneId: zone.id });
+                endTime = Math.max(endTime, time + audioBuffer.duration);
+            });
+        });
+
+        if (voices.length === 0) {
+            throw new Error('None of the hits have a loaded sound');
+        }
+
+        // Leave room for the reverb to ring out
+        const busSettings = this.audioManager.masterBus.getSettings();
+        const tail = busSettings.reverb.enabled ? Math.max(this.tail, busSettings.reverb.decay) : this.tail;
+        const length = Math.ceil((endTime + tail) * sampleRate);
+        const offlineContext = new OfflineContextClass(this.channels, length, sampleRate);
+
+        // Bounce through copies of the live mixer and master bus so the file sounds like playback
+        const masterBus = new MasterBus({
+            audioContext: offlineContext,
+            settings: busSettings,
+            storageKey: null
+        });
+        const mixer = new Mixer({
+            audioContext: offlineContext,
+            destination: masterBus.input,
+            state: this.audioManager.mixer.getState(),
+            storagePrefix: null
+        });
+
+        const liveVoiceManager = this.audioManager.voiceManager;
+        const voiceManager = new VoiceManager({
+            audioContext: offlineContext,
+            maxVoices: liveVoiceManager.maxVoices,
+            defaultZoneVoices: liveVoiceManager.defaultZoneVoices,
+            fadeTime: liveVoiceManager.fadeTime
+        });
+
+        // Stealing and choking only work out like playback when voices start in order
+        voices.sort((a, b) => a.time - b.time);
+        voices.forEach(voice => {
+            const nodes = this.audioManager.createVoice(voice.audioBuffer, voice.volume, {
+                context: offlineContext,
+                destination: mixer.getInput(voice.zoneId),
+                filter: voice.filter
+            });
+            voiceManager.allocate(voice.zone, voice.time);
+            nodes.sourceNode.start(voice.time);
+            voiceManager.add(nodes, voice.zone, voice.time);
+        });
+
+        if (window.DebugLogger) {
+            window.DebugLogger.log('OfflineRenderer: rendering', voices.length, 'hits, length=', (length / sampleRate).toFixed(2), 's');
+        }
+        return this._startRendering(offlineContext);
+    }
+
+    /**
+     * Renders hits and returns them as a WAV Blob
+     * @param {Array<{zoneId: string, volume: number, time: number}>} hits
+     * @param {Object} options - See render()
+     * @returns {Promise<Blob>}
+     */
+    async renderToWav(hits, options = {}) {
+        const audioBuffer = await this.render(hits, options);
+        return OfflineRenderer.encodeWav(audioBuffer);
+    }
+
+    /**
+     * Starts rendering, supporting both the promise and the legacy oncomplete API
+     * @private
+     */
+    _startRendering(offlineContext) {
+        return new Promise((resolve, reject) => {
+            offlineContext.oncomplete = (event) => resolve(event.renderedBuffer);
+            const result = offlineContext.startRendering();
+            if (result && typeof result.then === 'function') {
+                result.then(resolve, reject);
+            }
+        });
+    }
+
+    /**
+     * Encodes an AudioBuffer as 16-bit PCM WAV
+     * @param {AudioBuffer} audioBuffer
+     * @returns {Blob}
+     */
+    static encodeWav(audioBuffer) {
+        const numChannels = audioBuffer.numberOfChannels;
+        const sampleRate = audioBuffer.sampleRate;
+        const numFrames = audioBuffer.length;
+        const bytesPerSample = 2;
+        const blockAlign = numChannels * bytesPerSample;
+        const dataSize = numFrames * blockAlign;
+        const buffer = new ArrayBuffer(44 + dataSize);
+        const view = new DataView(buffer);
+
+        const writeString = (offset, text) => {
+            for (let i = 0; i < text.length; i++) {
+                view.setUint8(offset + i, text.charCodeAt(i));
+            }
+        };
+
+        // RIFF header
+        writeString(0, 'RIFF');
+        view.setUint32(4, 36 + dataSize, true);
+        writeString(8, 'WAVE');
+
+        // fmt chunk
+        writeString(12, 'fmt ');
+        view.setUint32(16, 16, true); // Chunk size
+        view.setUint16(20, 1, true); // PCM
+        view.setUint16(22, numChannels, true);
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate * blockAlign, true); // Byte rate
+        view.setUint16(32, blockAlign, true);
+        view.setUint16(34, bytesPerSample * 8, true);
+
+        // data chunk
+        writeString(36, 'data');
+        view.setUint32(40, dataSize, true);
+
+        const channelData = [];
+        for (let channel = 0; channel < numChannels; channel++) {
+            channelData.push(audioBuffer.getChannelData(channel));
+        }
+
+        // Interleave channels and convert float samples to signed 16-bit
+        let offset = 44;
+        for (let frame = 0; frame < numFrames; frame++) {
+            for (let channel = 0; channel < numChannels; channel++) {
+                const sample = Math.max(-1, Math.min(1, channelData[channel][frame]));
+                view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+                offset += bytesPerSample;
+            }
+        }
+
+        return new Blob([buffer], { type: 'audio/wav' });
+    }
+
+    /**
+     * Triggers a browser download for a Blob
+     * @param {Blob} blob
+     * @param {string} filename
+     */
+    static download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Give the browser a moment to start the download before revoking
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
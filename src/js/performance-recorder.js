@@ -0,0 +1,244 @@
+/**
+ * PerformanceRecorder - Records zone hits from InputHandler and plays them back
+ * Hits are timestamped with AudioContext.currentTime and replayed through
+ * AudioManager on the same clock for sample-accurate timing.
+ */
+
+class PerformanceRecorder {
+    constructor(config) {
+        this.audioManager = config.audioManager;
+        this.zoneManager = config.zoneManager;
+        this.inputHandler = config.inputHandler;
+        this.latencyMonitor = config.latencyMonitor || null; // Removes the player's calibrated offset
+
+        // Recorded take: Array<{zoneId: string, volume: number, time: number, position: number|null}>
+        // `time` is in seconds relative to the start of the recording
+        this.hits = [];
+        this.duration = 0;
+
+        // State
+        this.isRecording = false;
+        this.isPlaying = false;
+        this.recordStartTime = 0;
+
+        // Playback state
+        this.playbackStartTime = 0;
+        this.playbackIndex = 0;
+        this.activationTimers = [];
+        this.scheduler = new LookaheadScheduler({
+            audioContext: this.audioManager.audioContext,
+            onSchedule: (scheduleUntil) => this._schedulePlayback(scheduleUntil)
+        });
+
+        this.listeners = {
+            statechange: []
+        };
+
+        this.boundHandleHit = this._handleHit.bind(this);
+        this.inputHandler.on('hit', this.boundHandleHit);
+    }
+
+    /**
+     * Starts a new recording, discarding the previous take
+     */
+    start() {
+        if (this.isPlaying) {
+            this.stop();
+        }
+        this.hits = [];
+        this.duration = 0;
+        this.recordStartTime = this.audioManager.audioContext.currentTime;
+        this.isRecording = true;
+        if (window.DebugLogger) {
+            window.DebugLogger.log('PerformanceRecorder: recording started at', this.recordStartTime);
+        }
+        this._emitStateChange();
+    }
+
+    /**
+     * Stops recording or playback, whichever is active
+     */
+    stop() {
+        if (this.isRecording) {
+            this.isRecording = false;
+            this.duration = this.audioManager.audioContext.currentTime - this.recordStartTime;
+            if (window.DebugLogger) {
+                window.DebugLogger.log('PerformanceRecorder: recording stopped. hits=', this.hits.length, 'duration=', this.duration.toFixed(2));
+            }
+        }
+        if (this.isPlaying) {
+            this._stopPlayback();
+        }
+        this._emitStateChange();
+    }
+
+    /**
+     * Discards the recorded take
+     */
+    clear() {
+        this.stop();
+        this.hits = [];
+        this.duration = 0;
+        this._emitStateChange();
+    }
+
+    /**
+     * Plays back the recorded take
+     * @returns {Promise<void>}
+     */
+    async play() {
+        if (this.isRecording) {
+            this.stop();
+        }
+        if (this.hits.length === 0 || this.isPlaying) {
+            return;
+        }
+        if (!this.audioManager.isContextUnlocked) {
+            await this.audioManager.unlockAudioContext({ fromGesture: true });
+        }
+
+        // Leave a short gap so the first hit can still be scheduled on time
+        this.playbackStartTime = this.audioManager.audioContext.currentTime + 0.05;
+        this.playbackIndex = 0;
+        this.isPlaying = true;
+        this.scheduler.start();
+        if (window.DebugLogger) {
+            window.DebugLogger.log('PerformanceRecorder: playback started. hits=', this.hits.length);
+        }
+        this._emitStateChange();
+    }
+
+    /**
+     * Gets a copy of the recorded hits
+     * @returns {Array<{zoneId: string, volume: number, time: number}>}
+     */
+    getHits() {
+        return this.hits.map(hit => ({ ...hit }));
+    }
+
+    /**
+     * Removes listeners and stops any playback
+     */
+    destroy() {
+        this.stop();
+        this.inputHandler.off('hit', this.boundHandleHit);
+    }
+
+    /**
+     * Stores a hit published by InputHandler while recording
+     * @param {{zoneId: string, volume: number, position: number|null, time: number, inputTime: number|null}} hit
+     * @private
+     */
+    _handleHit(hit) {
+        if (!this.isRecording) {
+            return;
+        }
+        const time = this.latencyMonitor ? this.latencyMonitor.getCompensatedTime(hit) : hit.time;
+        this.hits.push({
+            zoneId: hit.zoneId,
+            volume: hit.volume,
+            position: hit.position,
+            time: Math.max(0, time - this.recordStartTime)
+        });
+        this._emitStateChange();
+    }
+
+    /**
+     * Schedules every recorded hit that falls before scheduleUntil
+     * @param {number} scheduleUntil - AudioContext time
+     * @private
+     */
+    _schedulePlayback(scheduleUntil) {
+        const audioContext = this.audioManager.audioContext;
+
+        while (this.playbackIndex < this.hits.length) {
+            const hit = this.hits[this.playbackIndex];
+            const when = this.playbackStartTime + hit.time;
+            if (when >= scheduleUntil) {
+                break;
+            }
+            this._scheduleHit(hit, when);
+            this.playbackIndex++;
+        }
+
+        const endTime = this.playbackStartTime + Math.max(this.duration, this._lastHitTime());
+        if (this.playbackIndex >= this.hits.length && audioContext.currentTime >= endTime) {
+            this._stopPlayback();
+            this._emitStateChange();
+        }
+    }
+
+    /**
+     * Schedules the sound and visual feedback for a single hit
+     * @private
+     */
+    _scheduleHit(hit, when) {
+        const zone = this.zoneManager.getZoneById(hit.zoneId);
+        if (!zone) {
+            return;
+        }
+        this.audioManager.playZone(zone, hit.volume, { when, position: hit.position }).catch(error => {
+            console.error(`PerformanceRecorder: failed to play hit for zone ${zone.id}:`, error);
+        });
+        const delayMs = (when - this.audioManager.audioContext.currentTime) * 1000;
+        this.activationTimers.push(this.zoneManager.scheduleActivation(zone.id, delayMs));
+    }
+
+    /**
+     * @private
+     */
+    _stopPlayback() {
+        this.scheduler.stop();
+        this.activationTimers.forEach(timerId => clearTimeout(timerId));
+        this.activationTimers = [];
+        this.isPlaying = false;
+        if (window.DebugLogger) {
+            window.DebugLogger.log('PerformanceRecorder: playback stopped');
+        }
+    }
+
+    /**
+     * @private
+     */
+    _lastHitTime() {
+        return this.hits.length > 0 ? this.hits[this.hits.length - 1].time : 0;
+    }
+
+    /**
+     * @private
+     */
+    _emitStateChange() {
+        this.emit('statechange', {
+            isRecording: this.isRecording,
+            isPlaying: this.isPlaying,
+            hitCount: this.hits.length
+        });
+    }
+
+    /**
+     * Event emitter methods
+     */
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
+
+    off(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+        }
+    }
+
+    emit(event, data) {
+        if (this.listeners[event]) {
+            this.listeners[event].forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`Error in ${event} listener:`, error);
+                }
+            });
+        }
+    }
+}
@@ -0,0 +1,622 @@
+/**
+ * PracticeTrainer - Plays a target rhythm and scores the player's timing against it
+ * A run is a count-in followed by a number of bars of the selected rhythm. The
+ * guide (the rhythm played quietly on the kit plus a beat click, the click
+ * only, or nothing) and the count-in are scheduled with LookaheadScheduler.
+ *
+ * Every zone hit from InputHandler is matched to the nearest expected hit within
+ * the tolerance window and graded on-time, early, late or wrong-zone; expected
+ * hits nobody played are missed and hits near no expected hit are extras. Hit
+ * times have the calibrated latency offset removed when a LatencyMonitor is
+ * given. Rhythms are written for cajon roles (bass, slap) that are mapped onto
+ * the current kit's zones by General MIDI note.
+ */
+
+class PracticeTrainer {
+    constructor(config) {
+        this.audioManager = config.audioManager;
+        this.audioContext = this.audioManager.audioContext;
+        this.zoneManager = config.zoneManager;
+        this.inputHandler = config.inputHandler;
+        this.latencyMonitor = config.latencyMonitor || null; // Removes the player's calibrated offset
+        this.storageKey = config.storageKey || 'practice';
+        this.onTimeWindow = config.onTimeWindow || 0.03; // seconds either side that count as on time
+        this.guideVolume = config.guideVolume !== undefined ? config.guideVolume : 0.5;
+
+        this.settings = PracticeTrainer._mergeSettings(SettingsStore.load(this.storageKey, null));
+
+        // Own output so the count-in and guide clicks are independent of zone volumes
+        this.outputNode = this.audioContext.createGain();
+        this.outputNode.gain.setValueAtTime(0.5, this.audioContext.currentTime);
+        this.outputNode.connect(this.audioContext.destination);
+
+        // Run state
+        this.session = null; // See _createSession
+        this.phase = 'idle'; // 'idle' | 'count-in' | 'playing'
+        this.timers = [];
+        this.scheduler = new LookaheadScheduler({
+            audioContext: this.audioContext,
+            onSchedule: (scheduleUntil) => this._scheduleEvents(scheduleUntil)
+        });
+
+        this.listeners = {
+            statechange: [],
+            result: [],
+            complete: []
+        };
+
+        this.boundHandleHit = this._handleHit.bind(this);
+        this.inputHandler.on('hit', this.boundHandleHit);
+    }
+
+    /**
+     * Whether a run (count-in or playing) is in progress
+     * @returns {boolean}
+     */
+    get isRunning() {
+        return this.phase !== 'idle';
+    }
+
+    /**
+     * Gets a copy of the settings
+     * @returns {{rhythmId: string, bpm: number, bars: number, guide: string, tolerance: number}}
+     */
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    /**
+     * Selects the rhythm to practice and switches to its suggested tempo
+     * @param {string} rhythmId - Key of PracticeTrainer.RHYTHMS
+     */
+    setRhythm(rhythmId) {
+        const rhythm = PracticeTrainer.RHYTHMS[rhythmId];
+        if (!rhythm) {
+            throw new Error(`Unknown rhythm: ${rhythmId}`);
+        }
+        this.settings.rhythmId = rhythmId;
+        this.settings.bpm = rhythm.bpm;
+        this._saveAndNotify();
+    }
+
+    /**
+     * Sets the practice tempo; takes effect from the next run
+     * @param {number} bpm - 20 to 400
+     */
+    setBpm(bpm) {
+        if (!(bpm >= 20 && bpm <= 400)) {
+            throw new Error(`Tempo out of range: ${bpm}`);
+        }
+        this.settings.bpm = bpm;
+        this._saveAndNotify();
+    }
+
+    /**
+     * Sets how many bars a run lasts
+     * @param {number} bars - 1 to 32
+     */
+    setBars(bars) {
+        if (!Number.isInteger(bars) || bars < 1 || bars > 32) {
+            throw new Error(`Invalid bar count: ${bars}`);
+        }
+        this.settings.bars = bars;
+        this._saveAndNotify();
+    }
+
+    /**
+     * Selects what plays along after the count-in
+     * @param {string} guide - 'pattern' (rhythm and click), 'click' or 'none'
+     */
+    setGuide(guide) {
+        if (!PracticeTrainer.GUIDES.includes(guide)) {
+            throw new Error(`Unknown guide: ${guide}`);
+        }
+        this.settings.guide = guide;
+        this._saveAndNotify();
+    }
+
+    /**
+     * Sets how far from an expected hit a hit may land and still be matched to it
+     * @param {number} tolerance - Seconds either side (0.04 to 0.25)
+     */
+    setTolerance(tolerance) {
+        const value = Number(tolerance);
+        if (!(value >= 0.04 && value <= 0.25)) {
+            throw new Error(`Tolerance out of range: ${tolerance}`);
+        }
+        this.settings.tolerance = value;
+        this._saveAndNotify();
+    }
+
+    /**
+     * Maps the rhythm roles onto the kit's zones
+     * A role takes the first zone with one of its General MIDI notes; roles
+     * that find none take the remaining zones in order.
+     * @param {Array<Object>} zones
+     * @returns {Object<string, string>} role -> zoneId
+     */
+    static resolveRoles(zones) {
+        const roles = {};
+        const used = new Set();
+        Object.keys(PracticeTrainer.ROLE_NOTES).forEach(role => {
+            const notes = PracticeTrainer.ROLE_NOTES[role];
+            const zone = zones.find(candidate => !used.has(candidate.id) && notes.includes(candidate.midiNote));
+            if (zone) {
+                roles[role] = zone.id;
+                used.add(zone.id);
+            }
+        });
+        Object.keys(PracticeTrainer.ROLE_NOTES).forEach(role => {
+            if (roles[role]) {
+                return;
+            }
+            const zone = zones.find(candidate => !used.has(candidate.id)) || zones[0];
+            if (zone) {
+                roles[role] = zone.id;
+                used.add(zone.id);
+            }
+        });
+        return roles;
+    }
+
+    /**
+     * Starts a run: count-in, then the selected rhythm for the selected number of bars
+     * @returns {Promise<void>}
+     */
+    async start() {
+        if (this.isRunning) {
+            return;
+        }
+        if (!this.audioManager.isContextUnlocked) {
+            await this.audioManager.unlockAudioContext({ fromGesture: true });
+        }
+        const roles = PracticeTrainer.resolveRoles(this.zoneManager.getAllZones());
+        if (Object.keys(roles).length === 0) {
+            throw new Error('The current kit has no zones to practice on');
+        }
+
+        this.session = this._createSession(roles);
+        this.phase = 'count-in';
+        this.scheduler.start();
+
+        const now = this.audioContext.currentTime;
+        const { startTime, endTime } = this.session;
+        // Hits are accepted from one tolerance window before the first beat
+        this._trackTimer(setTimeout(() => {
+            this.phase = 'playing';
+            this._emitStateChange();
+        }, Math.max(0, (startTime - this.settings.tolerance - now) * 1000)));
+        this._trackTimer(setTimeout(() => this._finish(), (endTime + this.settings.tolerance - now) * 1000));
+
+        if (window.DebugLogger) {
+            window.DebugLogger.log('PracticeTrainer: started', this.session.rhythm.id, 'bpm=', this.session.bpm,
+                'bars=', this.session.bars, 'expected=', this.session.results.length);
+        }
+        this._emitStateChange();
+    }
+
+    /**
+     * Abandons the run without scoring. Sounds already scheduled in the lookahead window still play.
+     */
+    stop() {
+        if (!this.isRunning) {
+            return;
+        }
+        this._stopTransport();
+        this.session = null;
+        this._emitStateChange();
+    }
+
+    /**
+     * Gets the current (or last finished) run for display
+     * Times are seconds from the first beat after the count-in.
+     * @returns {Object|null} {rhythm, bpm, bars, beatsPerBar, barDuration, duration, lanes, results, extras}
+     */
+    getSession() {
+        if (!this.session) {
+            return null;
+        }
+        const { rhythm, bpm, bars, barDuration, duration, lanes, results, extras } = this.session;
+        return {
+            rhythm: { id: rhythm.id, name: rhythm.name },
+            bpm,
+            bars,
+            beatsPerBar: rhythm.beatsPerBar,
+            barDuration,
+            duration,
+            lanes: lanes.map(lane => ({ ...lane })),
+            results: results.map(result => ({ ...result })),
+            extras: extras.map(extra => ({ ...extra }))
+        };
+    }
+
+    /**
+     * Counts the graded hits of the current (or last finished) run
+     * The score gives full credit for on-time hits and half for early or late ones.
+     * @returns {{expected: number, onTime: number, early: number, late: number, missed: number,
+     *            wrongZone: number, extra: number, score: number, meanOffset: number|null}}
+     *     meanOffset is the average ms early (negative) or late of the hits on the right zone
+     */
+    getSummary() {
+        const results = this.session ? this.session.results : [];
+        const count = (status) => results.filter(result => result.status === status).length;
+        const summary = {
+            expected: results.length,
+            onTime: count('on-time'),
+            early: count('early'),
+            late: count('late'),
+            missed: count('missed'),
+            wrongZone: count('wrong-zone'),
+            extra: this.session ? this.session.extras.length : 0
+        };
+        summary.score = results.length > 0
+            ? Math.round(100 * (summary.onTime + 0.5 * (summary.early + summary.late)) / results.length)
+            : 0;
+        const offsets = results
+            .filter(result => ['on-time', 'early', 'late'].includes(result.status))
+            .map(result => result.delta);
+        summary.meanOffset = offsets.length > 0
+            ? 1000 * offsets.reduce((sum, delta) => sum + delta, 0) / offsets.length
+            : null;
+        return summary;
+    }
+
+    /**
+     * Removes listeners and stops any run
+     */
+    destroy() {
+        this.stop();
+        this.inputHandler.off('hit', this.boundHandleHit);
+    }
+
+    /**
+     * Lays out the count-in, guide and expected hits on AudioContext time
+     * @param {Object<string, string>} roles - role -> zoneId
+     * @private
+     */
+    _createSession(roles) {
+        const rhythm = PracticeTrainer.RHYTHMS[this.settings.rhythmId];
+        const { bpm, bars, guide } = this.settings;
+        const secondsPerBeat = 60 / bpm;
+        const stepDuration = secondsPerBeat / rhythm.stepsPerBeat;
+        const stepsPerBar = rhythm.beatsPerBar * rhythm.stepsPerBeat;
+        const barDuration = secondsPerBeat * rhythm.beatsPerBar;
+        const countIn = rhythm.countIn || rhythm.beatsPerBar;
+        const firstClickTime = this.audioContext.currentTime + 0.1;
+        const startTime = firstClickTime + countIn * secondsPerBeat;
+
+        const events = []; // {time, kind} clicks and {time, zoneId, velocity} guide notes
+        for (let beat = 0; beat < countIn; beat++) {
+            events.push({ time: firstClickTime + beat * secondsPerBeat, kind: beat === 0 ? 'accent' : 'beat' });
+        }
+
+        const lanes = Object.keys(rhythm.pattern).map(role => ({ role, zoneId: roles[role] }));
+        const results = [];
+        for (let bar = 0; bar < bars; bar++) {
+            for (let step = 0; step < stepsPerBar; step++) {
+                const offset = bar * barDuration + step * stepDuration;
+                if (guide !== 'none' && step % rhythm.stepsPerBeat === 0) {
+                    events.push({ time: startTime + offset, kind: step === 0 ? 'accent' : 'beat' });
+                }
+                lanes.forEach(lane => {
+                    const symbol = rhythm.pattern[lane.role][step];
+                    if (symbol !== 'x' && symbol !== 'X') {
+                        return;
+                    }
+                    results.push({
+                        zoneId: lane.zoneId,
+                        role: lane.role,
+                        time: offset,
+                        status: 'pending',
+                        delta: null,
+                        hitZoneId: null
+                    });
+                    if (guide === 'pattern') {
+                        events.push({ time: startTime + offset, zoneId: lane.zoneId, velocity: symbol === 'X' ? 1 : 0.7 });
+                    }
+                });
+            }
+        }
+        events.sort((a, b) => a.time - b.time);
+
+        return {
+            rhythm,
+            bpm,
+            bars,
+            barDuration,
+            duration: bars * barDuration,
+            startTime,
+            endTime: startTime + bars * barDuration,
+            lanes,
+            results,
+            extras: [],
+            events,
+            nextEvent: 0
+        };
+    }
+
+    /**
+     * Schedules the count-in clicks and guide that fall before scheduleUntil
+     * @param {number} scheduleUntil - AudioContext time
+     * @private
+     */
+    _scheduleEvents(scheduleUntil) {
+        const session = this.session;
+        if (!session) {
+            return;
+        }
+        while (session.nextEvent < session.events.length && session.events[session.nextEvent].time < scheduleUntil) {
+            const event = session.events[session.nextEvent++];
+            if (event.kind) {
+                this._scheduleClick(event.time, event.kind);
+                continue;
+            }
+            const zone = this.zoneManager.getZoneById(event.zoneId);
+            if (!zone) {
+                continue;
+            }
+            const baseVolume = zone.volume !== undefined ? zone.volume : 1.0;
+            this.audioManager.playZone(zone, event.velocity * baseVolume * this.guideVolume, { when: event.time }).catch(error => {
+                console.error(`PracticeTrainer: failed to play guide for zone ${zone.id}:`, error);
+            });
+            this._trackTimer(this.zoneManager.scheduleActivation(zone.id, (event.time - this.audioContext.currentTime) * 1000));
+        }
+    }
+
+    /**
+     * Synthesizes a count-in or guide click (same sound as the metronome)
+     * @param {number} time - AudioContext time
+     * @param {string} kind - 'accent' | 'beat'
+     * @private
+     */
+    _scheduleClick(time, kind) {
+        const settings = Metronome.CLICK_SOUNDS[kind];
+        const oscillator = this.audioContext.createOscillator();
+        const envelope = this.audioContext.createGain();
+
+        oscillator.type = 'sine';
+        oscillator.frequency.setValueAtTime(settings.frequency, time);
+        envelope.gain.setValueAtTime(0, time);
+        envelope.gain.linearRampToValueAtTime(settings.level, time + 0.001);
+        envelope.gain.exponentialRampToValueAtTime(0.0001, time + settings.decay);
+
+        oscillator.connect(envelope);
+        envelope.connect(this.outputNode);
+        oscillator.start(time);
+        oscillator.stop(time + settings.decay + 0.01);
+        oscillator.onended = () => {
+            oscillator.disconnect();
+            envelope.disconnect();
+        };
+    }
+
+    /**
+     * Grades a live hit against the nearest unmatched expected hit
+     * A hit on the right zone is preferred over a closer one on another zone.
+     * @private
+     */
+    _handleHit(hit) {
+        if (this.phase !== 'playing' || hit.synthetic) {
+            return;
+        }
+        const session = this.session;
+        const hitTime = this.latencyMonitor ? this.latencyMonitor.getCompensatedTime(hit) : hit.time;
+        const time = hitTime - session.startTime;
+        const tolerance = this.settings.tolerance;
+
+        const candidates = session.results.filter(result =>
+            result.status === 'pending' && Math.abs(time - result.time) <= tolerance);
+        if (candidates.length === 0) {
+            const extra = { zoneId: hit.zoneId, time, status: 'extra' };
+            session.extras.push(extra);
+            this.emit('result', { ...extra });
+            return;
+        }
+
+        const nearest = (list) => list.reduce((best, result) =>
+            (Math.abs(time - result.time) < Math.abs(time - best.time) ? result : best), list[0]);
+        const sameZone = candidates.filter(result => result.zoneId === hit.zoneId);
+        const match = nearest(sameZone.length > 0 ? sameZone : candidates);
+        match.delta = time - match.time;
+        match.hitZoneId = hit.zoneId;
+        if (match.zoneId !== hit.zoneId) {
+            match.status = 'wrong-zone';
+        } else if (Math.abs(match.delta) <= this.onTimeWindow) {
+            match.status = 'on-time';
+        } else {
+            match.status = match.delta < 0 ? 'early' : 'late';
+        }
+        this.emit('result', { ...match });
+    }
+
+    /**
+     * Marks the unplayed hits as missed and reports the run
+     * @private
+     */
+    _finish() {
+        const session = this.session;
+        this._stopTransport();
+        session.results.forEach(result => {
+            if (result.status === 'pending') {
+                result.status = 'missed';
+            }
+        });
+        const summary = this.getSummary();
+        if (window.DebugLogger) {
+            window.DebugLogger.log('PracticeTrainer: finished', session.rhythm.id, summary);
+        }
+        this._emitStateChange();
+        this.emit('complete', { summary, session: this.getSession() });
+    }
+
+    /**
+     * @private
+     */
+    _stopTransport() {
+        this.scheduler.stop();
+        this.timers.forEach(timerId => clearTimeout(timerId));
+        this.timers = [];
+        this.phase = 'idle';
+    }
+
+    /**
+     * Keeps the pending timer list bounded during long runs
+     * @private
+     */
+    _trackTimer(timerId) {
+        this.timers.push(timerId);
+        if (this.timers.length > 256) {
+            this.timers.splice(0, this.timers.length - 256);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _saveAndNotify() {
+        SettingsStore.save(this.storageKey, this.settings);
+        this._emitStateChange();
+    }
+
+    /**
+     * @private
+     */
+    _emitStateChange() {
+        this.emit('statechange', {
+            isRunning: this.isRunning,
+            phase: this.phase,
+            ...this.getSettings()
+        });
+    }
+
+    /**
+     * Fills in defaults for missing or invalid stored settings
+     * @private
+     */
+    static _mergeSettings(stored) {
+        const settings = { ...PracticeTrainer.DEFAULT_SETTINGS };
+        if (!stored || typeof stored !== 'object') {
+            return settings;
+        }
+        if (PracticeTrainer.RHYTHMS[stored.rhythmId]) {
+            settings.rhythmId = stored.rhythmId;
+            settings.bpm = PracticeTrainer.RHYTHMS[stored.rhythmId].bpm;
+        }
+        if (stored.bpm >= 20 && stored.bpm <= 400) {
+            settings.bpm = stored.bpm;
+        }
+        if (Number.isInteger(stored.bars) && stored.bars >= 1 && stored.bars <= 32) {
+            settings.bars = stored.bars;
+        }
+        if (PracticeTrainer.GUIDES.includes(stored.guide)) {
+            settings.guide = stored.guide;
+        }
+        if (stored.tolerance >= 0.04 && stored.tolerance <= 0.25) {
+            settings.tolerance = stored.tolerance;
+        }
+        return settings;
+    }
+
+    /**
+     * Event emitter methods
+     */
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
+
+    off(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+        }
+    }
+
+    emit(event, data) {
+        if (this.listeners[event]) {
+            this.listeners[event].forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`Error in ${event} listener:`, error);
+                }
+            });
+        }
+    }
+}
+
+/**
+ * General MIDI notes that identify each cajon role in a kit
+ * bass: kick drums; slap: snares, side stick and clap
+ */
+PracticeTrainer.ROLE_NOTES = {
+    bass: [36, 35],
+    slap: [38, 40, 37, 39]
+};
+
+/**
+ * Built-in rhythm library
+ * Each pattern row is one character per step: 'x' hit, 'X' accented hit, '.' rest.
+ * countIn defaults to one bar of beats.
+ */
+PracticeTrainer.RHYTHMS = {
+    basic: {
+        id: 'basic',
+        name: 'Basic Beat',
+        beatsPerBar: 4,
+        stepsPerBeat: 1,
+        bpm: 80,
+        pattern: {
+            bass: 'X.x.',
+            slap: '.x.x'
+        }
+    },
+    rumba: {
+        id: 'rumba',
+        name: 'Rumba',
+        beatsPerBar: 4,
+        stepsPerBeat: 2,
+        bpm: 90,
+        pattern: {
+            bass: 'X..x.x..',
+            slap: '..X...X.'
+        }
+    },
+    bulerias: {
+        id: 'bulerias',
+        name: 'Bulerías',
+        // 12-beat compás counted from 12: 12 1 2 3 4 5 6 7 8 9 10 11, accents on 12, 3, 6, 8 and 10
+        beatsPerBar: 12,
+        stepsPerBeat: 1,
+        bpm: 150,
+        countIn: 6,
+        pattern: {
+            bass: 'X......x.x..',
+            slap: '...X..X.X.X.'
+        }
+    },
+    pop: {
+        id: 'pop',
+        name: 'Pop Groove',
+        beatsPerBar: 4,
+        stepsPerBeat: 4,
+        bpm: 95,
+        pattern: {
+            bass: 'X.....x.x.......',
+            slap: '....X.......X...'
+        }
+    }
+};
+
+PracticeTrainer.GUIDES = ['pattern', 'click', 'none'];
+
+/**
+ * Default: the basic beat, four bars with the rhythm played along, ±100 ms to count a hit
+ */
+PracticeTrainer.DEFAULT_SETTINGS = {
+    rhythmId: 'basic',
+    bpm: 80,
+    bars: 4,
+    guide: 'pattern',
+    tolerance: 0.1
+};
@@ -0,0 +1,153 @@
+/**
+ * SampleStore - IndexedDB storage for user-supplied sample files
+ * Keeps the raw encoded bytes so replacements survive reloads and work offline.
+ * Records: { key: `${kitId}:${zoneId}`, kitId, zoneId, name, type, size, data: ArrayBuffer, savedAt }
+ * Samples are kept per kit, since kits may share zone ids.
+ */
+
+class SampleStore {
+    constructor(config = {}) {
+        this.dbName = config.dbName || 'cajon-player';
+        this.storeName = config.storeName || 'samples';
+        this.legacyKitId = config.legacyKitId || null; // Kit that version 1 records (keyed by zone only) belong to
+        this.indexedDB = config.indexedDB || (typeof window !== 'undefined' ? window.indexedDB : null);
+        this._dbPromise = null;
+    }
+
+    /**
+     * Whether IndexedDB is available
+     * @returns {boolean}
+     */
+    get isSupported() {
+        return !!this.indexedDB;
+    }
+
+    /**
+     * Opens (and if needed creates) the database
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (!this.isSupported) {
+            return Promise.reject(new Error('IndexedDB is not available; custom samples cannot be saved'));
+        }
+        if (!this._dbPromise) {
+            this._dbPromise = new Promise((resolve, reject) => {
+                const request = this.indexedDB.open(this.dbName, 2);
+                request.onupgradeneeded = (event) => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(this.storeName)) {
+                        this._createStore(db);
+                    } else if (event.oldVersion < 2) {
+                        this._migrateToKitKeys(db, request.transaction);
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    this._dbPromise = null;
+                    reject(request.error || new Error('Failed to open sample database'));
+                };
+            });
+        }
+        return this._dbPromise;
+    }
+
+    /**
+     * Record key of a kit's zone
+     * @param {string} kitId
+     * @param {string} zoneId
+     * @returns {string}
+     */
+    static keyFor(kitId, zoneId) {
+        return `${kitId}:${zoneId}`;
+    }
+
+    /**
+     * Stores a sample record (replaces any record for the same kit and zone)
+     * @param {Object} record - Needs kitId and zoneId; the key is filled in
+     * @returns {Promise<void>}
+     */
+    async put(record) {
+        const stored = { ...record, key: SampleStore.keyFor(record.kitId, record.zoneId) };
+        await this._request('readwrite', store => store.put(stored));
+    }
+
+    /**
+     * Gets the sample record for a kit's zone
+     * @param {string} kitId
+     * @param {string} zoneId
+     * @returns {Promise<Object|null>}
+     */
+    async get(kitId, zoneId) {
+        const record = await this._request('readonly', store => store.get(SampleStore.keyFor(kitId, zoneId)));
+        return record || null;
+    }
+
+    /**
+     * Gets every stored sample record of a kit
+     * @param {string} kitId
+     * @returns {Promise<Array<Object>>}
+     */
+    async getAll(kitId) {
+        const records = await this._request('readonly', store => store.index('kitId').getAll(kitId));
+        return records || [];
+    }
+
+    /**
+     * Deletes the sample record for a kit's zone
+     * @param {string} kitId
+     * @param {string} zoneId
+     * @returns {Promise<void>}
+     */
+    async delete(kitId, zoneId) {
+        await this._request('readwrite', store => store.delete(SampleStore.keyFor(kitId, zoneId)));
+    }
+
+    /**
+     * @private
+     */
+    _createStore(db) {
+        const store = db.createObjectStore(this.storeName, { keyPath: 'key' });
+        store.createIndex('kitId', 'kitId');
+        return store;
+    }
+
+    /**
+     * Moves version 1 records (keyed by zone id) into a store keyed by kit and zone
+     * The key path of a store cannot change, so the records are read, the store
+     * is recreated and the records are written back under legacyKitId.
+     * @private
+     */
+    _migrateToKitKeys(db, transaction) {
+        const readRequest = transaction.objectStore(this.storeName).getAll();
+        readRequest.onsuccess = () => {
+            const records = readRequest.result || [];
+            db.deleteObjectStore(this.storeName);
+            const store = this._createStore(db);
+            if (!this.legacyKitId) {
+                // No kit to give the samples to; they would never be restored
+                return;
+            }
+            records.forEach(record => {
+                store.put({ ...record, kitId: this.legacyKitId, key: SampleStore.keyFor(this.legacyKitId, record.zoneId) });
+            });
+            if (window.DebugLogger) {
+                window.DebugLogger.log('SampleStore: moved', records.length, 'samples to kit', this.legacyKitId);
+            }
+        };
+    }
+
+    /**
+     * Runs a single request in its own transaction
+     * @private
+     */
+    async _request(mode, makeRequest) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = makeRequest(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error || request.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Sample database transaction aborted'));
+        });
+    }
+}
@@ -0,0 +1,60 @@
+/**
+ * SettingsStore - Persists user settings in localStorage as JSON
+ * Keys are namespaced to the app. Storage failures (private browsing, quota,
+ * disabled storage) are logged and never thrown, so settings degrade to
+ * per-session values instead of breaking the player.
+ */
+
+class SettingsStore {
+    /**
+     * Loads a stored value
+     * @param {string} key - Setting name (without prefix)
+     * @param {*} fallback - Returned when nothing is stored or the value is unreadable
+     * @returns {*}
+     */
+    static load(key, fallback = null) {
+        try {
+            const raw = window.localStorage.getItem(SettingsStore.PREFIX + key);
+            return raw === null ? fallback : JSON.parse(raw);
+        } catch (error) {
+            console.error(`SettingsStore: failed to load ${key}`, error);
+            if (window.DebugLogger) {
+                window.DebugLogger.error('SettingsStore: failed to load', key, error && (error.message || error));
+            }
+            return fallback;
+        }
+    }
+
+    /**
+     * Stores a value
+     * @param {string} key - Setting name (without prefix)
+     * @param {*} value - JSON-serializable value
+     * @returns {boolean} Whether the value was stored
+     */
+    static save(key, value) {
+        try {
+            window.localStorage.setItem(SettingsStore.PREFIX + key, JSON.stringify(value));
+            return true;
+        } catch (error) {
+            console.error(`SettingsStore: failed to save ${key}`, error);
+            if (window.DebugLogger) {
+                window.DebugLogger.error('SettingsStore: failed to save', key, error && (error.message || error));
+            }
+            return false;
+        }
+    }
+
+    /**
+     * Removes a stored value
+     * @param {string} key - Setting name (without prefix)
+     */
+    static remove(key) {
+        try {
+            window.localStorage.removeItem(SettingsStore.PREFIX + key);
+        } catch (error) {
+            console.error(`SettingsStore: failed to remove ${key}`, error);
+        }
+    }
+}
+
+SettingsStore.PREFIX = 'cajon-player:';
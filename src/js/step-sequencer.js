@@ -0,0 +1,313 @@
+/**
+ * StepSequencer - Pattern sequencer with one row per zone
+ * Each pattern slot holds a velocity per zone per step (0 = off). Playback is
+ * scheduled through AudioManager with LookaheadScheduler, supports swing on
+ * the off-beat steps and lights the zones via TriggerZoneManager.
+ */
+
+class StepSequencer {
+    constructor(config) {
+        this.audioManager = config.audioManager;
+        this.zoneManager = config.zoneManager;
+
+        // Settings
+        this.bpm = config.bpm || 100;
+        this.stepsPerBeat = config.stepsPerBeat || 4; // 16th notes
+        this.swing = config.swing || 0; // 0 (straight) to 0.75 of a step
+        this.defaultLength = config.steps || 16;
+
+        // Pattern slots: Array<{length: number, rows: Object<zoneId, Array<number>>}>
+        this.patterns = [];
+        const slotCount = config.slotCount || 4;
+        for (let slot = 0; slot < slotCount; slot++) {
+            this.patterns.push(this._createPattern(this.defaultLength));
+        }
+        this.currentSlot = 0;
+
+        // Playback state
+        this.isPlaying = false;
+        this.currentStep = 0;
+        this.nextStepTime = 0;
+        this.timers = [];
+        this.scheduler = new LookaheadScheduler({
+            audioContext: this.audioManager.audioContext,
+            onSchedule: (scheduleUntil) => this._scheduleSteps(scheduleUntil)
+        });
+
+        this.listeners = {
+            step: [],
+            statechange: [],
+            patternchange: []
+        };
+    }
+
+    /**
+     * The pattern in the selected slot
+     * @returns {{length: number, rows: Object}}
+     */
+    get pattern() {
+        return this.patterns[this.currentSlot];
+    }
+
+    /**
+     * Duration of one step in seconds (before swing)
+     * @returns {number}
+     */
+    get stepDuration() {
+        return 60 / this.bpm / this.stepsPerBeat;
+    }
+
+    /**
+     * Gets a step's velocity
+     * @param {string} zoneId
+     * @param {number} step
+     * @returns {number} 0 (off) to 1
+     */
+    getStep(zoneId, step) {
+        const row = this.pattern.rows[zoneId];
+        return row && row[step] ? row[step] : 0;
+    }
+
+    /**
+     * Sets a step's velocity in the selected pattern
+     * @param {string} zoneId
+     * @param {number} step
+     * @param {number} velocity - 0 (off) to 1
+     */
+    setStep(zoneId, step, velocity) {
+        if (step < 0 || step >= this.pattern.length) {
+            throw new Error(`Step out of range: ${step}`);
+        }
+        const row = this._getRow(this.pattern, zoneId);
+        row[step] = Math.max(0, Math.min(1, velocity));
+        this.emit('patternchange', { slot: this.currentSlot });
+    }
+
+    /**
+     * Cycles a step through off and the preset velocities
+     * @param {string} zoneId
+     * @param {number} step
+     * @returns {number} The new velocity
+     */
+    cycleStep(zoneId, step) {
+        const levels = StepSequencer.VELOCITY_LEVELS;
+        const current = this.getStep(zoneId, step);
+        const index = levels.indexOf(current);
+        // Unknown velocities (set programmatically) restart the cycle at off
+        const next = index === -1 ? 0 : levels[(index + 1) % levels.length];
+        this.setStep(zoneId, step, next);
+        return next;
+    }
+
+    /**
+     * Clears every step in the selected pattern
+     */
+    clearPattern() {
+        this.patterns[this.currentSlot] = this._createPattern(this.pattern.length);
+        this.emit('patternchange', { slot: this.currentSlot });
+    }
+
+    /**
+     * Selects a pattern slot; during playback the switch happens on the next step
+     * @param {number} slot
+     */
+    selectSlot(slot) {
+        if (!Number.isInteger(slot) || slot < 0 || slot >= this.patterns.length) {
+            throw new Error(`Invalid pattern slot: ${slot}`);
+        }
+        this.currentSlot = slot;
+        if (this.currentStep >= this.pattern.length) {
+            this.currentStep = 0;
+        }
+        this.emit('patternchange', { slot });
+    }
+
+    /**
+     * Sets the selected pattern's length in steps, keeping existing steps
+     * @param {number} length
+     */
+    setLength(length) {
+        if (!Number.isInteger(length) || length < 1 || length > 64) {
+            throw new Error(`Invalid pattern length: ${length}`);
+        }
+        this.pattern.length = length;
+        Object.keys(this.pattern.rows).forEach(zoneId => {
+            const row = this.pattern.rows[zoneId];
+            while (row.length < length) {
+                row.push(0);
+            }
+        });
+        if (this.currentStep >= length) {
+            this.currentStep = 0;
+        }
+        this.emit('patternchange', { slot: this.currentSlot });
+    }
+
+    /**
+     * Sets the tempo
+     * @param {number} bpm
+     */
+    setTempo(bpm) {
+        if (!(bpm >= 20 && bpm <= 400)) {
+            throw new Error(`Tempo out of range: ${bpm}`);
+        }
+        this.bpm = bpm;
+        this._emitStateChange();
+    }
+
+    /**
+     * Sets the swing amount applied to every second step
+     * @param {number} swing - 0 (straight) to 0.75
+     */
+    setSwing(swing) {
+        this.swing = Math.max(0, Math.min(0.75, swing));
+    }
+
+    /**
+     * Starts playback from step one
+     * @returns {Promise<void>}
+     */
+    async start() {
+        if (this.isPlaying) {
+            return;
+        }
+        if (!this.audioManager.isContextUnlocked) {
+            await this.audioManager.unlockAudioContext({ fromGesture: true });
+        }
+        this.currentStep = 0;
+        this.nextStepTime = this.audioManager.audioContext.currentTime + 0.05;
+        this.isPlaying = true;
+        this.scheduler.start();
+        this._emitStateChange();
+    }
+
+    /**
+     * Stops playback
+     */
+    stop() {
+        if (!this.isPlaying) {
+            return;
+        }
+        this.scheduler.stop();
+        this.timers.forEach(timerId => clearTimeout(timerId));
+        this.timers = [];
+        this.isPlaying = false;
+        this._emitStateChange();
+    }
+
+    /**
+     * Schedules every step that starts before scheduleUntil
+     * @param {number} scheduleUntil - AudioContext time
+     * @private
+     */
+    _scheduleSteps(scheduleUntil) {
+        while (this.nextStepTime < scheduleUntil) {
+            const step = this.currentStep;
+            // Swing delays the off-beat steps (2nd, 4th, ...) within each pair
+            const swingOffset = step % 2 === 1 ? this.swing * this.stepDuration : 0;
+            const when = this.nextStepTime + swingOffset;
+
+            this._scheduleStep(step, when);
+
+            this.nextStepTime += this.stepDuration;
+            this.currentStep = (step + 1) % this.pattern.length;
+        }
+    }
+
+    /**
+     * Plays every active row for one step and notifies listeners when it sounds
+     * @private
+     */
+    _scheduleStep(step, when) {
+        const audioContext = this.audioManager.audioContext;
+        const delayMs = (when - audioContext.currentTime) * 1000;
+
+        this.zoneManager.getAllZones().forEach(zone => {
+            const velocity = this.getStep(zone.id, step);
+            if (velocity <= 0) {
+                return;
+            }
+            const baseVolume = zone.volume !== undefined ? zone.volume : 1.0;
+            this.audioManager.playZone(zone, velocity * baseVolume, { when }).catch(error => {
+                console.error(`StepSequencer: failed to play step ${step} for zone ${zone.id}:`, error);
+            });
+            this._trackTimer(this.zoneManager.scheduleActivation(zone.id, delayMs));
+        });
+
+        const timerId = setTimeout(() => {
+            this.emit('step', { step, time: when });
+        }, Math.max(0, delayMs));
+        this._trackTimer(timerId);
+    }
+
+    /**
+     * Keeps the pending timer list bounded while playback runs indefinitely
+     * @private
+     */
+    _trackTimer(timerId) {
+        this.timers.push(timerId);
+        if (this.timers.length > 256) {
+            this.timers.splice(0, this.timers.length - 256);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _createPattern(length) {
+        return { length, rows: {} };
+    }
+
+    /**
+     * @private
+     */
+    _getRow(pattern, zoneId) {
+        if (!pattern.rows[zoneId]) {
+            pattern.rows[zoneId] = new Array(pattern.length).fill(0);
+        }
+        return pattern.rows[zoneId];
+    }
+
+    /**
+     * @private
+     */
+    _emitStateChange() {
+        this.emit('statechange', {
+            isPlaying: this.isPlaying,
+            bpm: this.bpm,
+            slot: this.currentSlot
+        });
+    }
+
+    /**
+     * Event emitter methods
+     */
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
+
+    off(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+        }
+    }
+
+    emit(event, data) {
+        if (this.listeners[event]) {
+            this.listeners[event].forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`Error in ${event} listener:`, error);
+                }
+            });
+        }
+    }
+}
+
+/**
+ * Velocities a step cycles through when clicked: off, accent, normal, ghost
+ */
+StepSequencer.VELOCITY_LEVELS = [0, 1, 0.7, 0.4];
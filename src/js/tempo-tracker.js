@@ -0,0 +1,369 @@
+/**
+ * TempoTracker - Estimates the player's tempo from hits and tap-tempo presses
+ * Live detection listens to the InputHandler hit stream. Hits that land
+ * together (flams, two-handed hits) count as one onset, and each interval
+ * between onsets is folded by octaves into a one-octave tempo range, so 8ths
+ * and 16ths vote for the same beat as quarter notes. Tap tempo reads a
+ * dedicated key whose presses are taken as beats as-is.
+ *
+ * Both use the same estimate: intervals further than a set fraction from the
+ * median are rejected as outliers and the rest are averaged. The confidence
+ * (0-1) drops with outliers, uneven timing and short histories. Every new
+ * estimate is emitted as a 'tempo' event. Settings persist in SettingsStore.
+ */
+
+class TempoTracker {
+    constructor(config) {
+        this.inputHandler = config.inputHandler;
+        this.latencyMonitor = config.latencyMonitor || null;
+        this.storageKey = config.storageKey || 'tempo-tracker';
+        this.maxIntervals = config.maxIntervals || 16;
+        this.resetAfter = config.resetAfter || 2; // seconds without an onset that start a new estimate
+        this.minOnsetGap = config.minOnsetGap || 0.06; // seconds; closer hits are one onset
+        this.liveRange = config.liveRange || { min: 70, max: 140 }; // BPM octave live intervals are folded into
+
+        this.settings = TempoTracker._mergeSettings(SettingsStore.load(this.storageKey, null));
+        this.estimate = null; // Last emitted estimate
+
+        // Onset histories (seconds on each source's own clock)
+        this.live = { lastOnset: null, intervals: [] };
+        this.tap = { lastOnset: null, intervals: [] };
+        this.isCapturingKey = false;
+
+        this.listeners = {
+            tempo: [],
+            statechange: []
+        };
+
+        this.boundHandleHit = this._handleHit.bind(this);
+        this.boundHandleKeydown = this._handleKeydown.bind(this);
+        this.boundHandleCaptureKeydown = this._handleCaptureKeydown.bind(this);
+        this.inputHandler.on('hit', this.boundHandleHit);
+        document.addEventListener('keydown', this.boundHandleKeydown);
+    }
+
+    /**
+     * Gets a copy of the settings
+     * @returns {{live: boolean, tapKey: string}}
+     */
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    /**
+     * Gets the latest estimate
+     * @returns {{bpm: number, confidence: number, source: string, intervals: number}|null}
+     */
+    getEstimate() {
+        return this.estimate ? { ...this.estimate } : null;
+    }
+
+    /**
+     * Turns tempo detection from played hits on or off
+     * @param {boolean} enabled
+     */
+    setLiveEnabled(enabled) {
+        this.settings.live = !!enabled;
+        this.live = { lastOnset: null, intervals: [] };
+        this._saveAndNotify();
+    }
+
+    /**
+     * Sets the tap-tempo key
+     * @param {string} key - Normalized key name (see InputHandler.normalizeKey)
+     */
+    setTapKey(key) {
+        if (typeof key !== 'string' || key.length === 0) {
+            throw new Error(`Invalid tap key: ${key}`);
+        }
+        this.settings.tapKey = key.toLowerCase();
+        this._saveAndNotify();
+    }
+
+    /**
+     * Waits for the next key press and makes it the tap-tempo key
+     * Escape cancels.
+     */
+    startKeyCapture() {
+        this.isCapturingKey = true;
+        // Capture phase on window runs before InputHandler, so the key does not play
+        window.addEventListener('keydown', this.boundHandleCaptureKeydown, true);
+        this._emitStateChange();
+    }
+
+    /**
+     * Stops waiting for a tap key
+     */
+    cancelKeyCapture() {
+        if (!this.isCapturingKey) {
+            return;
+        }
+        this.isCapturingKey = false;
+        window.removeEventListener('keydown', this.boundHandleCaptureKeydown, true);
+        this._emitStateChange();
+    }
+
+    /**
+     * Adds one tap-tempo beat
+     * @param {number} time - Seconds on any steady clock
+     */
+    tapAt(time) {
+        this._addOnset(this.tap, time, 'tap', null);
+    }
+
+    /**
+     * Forgets both onset histories and the estimate
+     */
+    reset() {
+        this.live = { lastOnset: null, intervals: [] };
+        this.tap = { lastOnset: null, intervals: [] };
+        this.estimate = null;
+        this.emit('tempo', null);
+    }
+
+    /**
+     * Removes listeners
+     */
+    destroy() {
+        this.cancelKeyCapture();
+        this.inputHandler.off('hit', this.boundHandleHit);
+        document.removeEventListener('keydown', this.boundHandleKeydown);
+    }
+
+    /**
+     * Estimates the beat from inter-onset intervals
+     * @param {Array<number>} intervals - Seconds
+     * @param {{min: number, max: number}|null} range - BPM octave to fold intervals into (null = take them as beats)
+     * @param {number} tolerance - Largest distance from the median kept, as a fraction of it
+     * @returns {{bpm: number, confidence: number, inliers: number}|null} null with fewer than two intervals
+     */
+    static estimateTempo(intervals, range = null, tolerance = 0.1) {
+        if (intervals.length < 2) {
+            return null;
+        }
+        const folded = range
+            ? intervals.map(interval => TempoTracker._fold(interval, 60 / range.max, 60 / range.min))
+            : intervals.slice();
+        const median = TempoTracker._median(folded);
+
+        // An interval on the far edge of the octave may sit closer to the median doubled or halved
+        const aligned = range
+            ? folded.map(interval => [interval, interval * 2, interval / 2].reduce((best, candidate) =>
+                (Math.abs(candidate - median) < Math.abs(best - median) ? candidate : best)))
+            : folded;
+        const inliers = aligned.filter(interval => Math.abs(interval - median) <= median * tolerance);
+        if (inliers.length < 2) {
+            return null;
+        }
+
+        const period = inliers.reduce((sum, interval) => sum + interval, 0) / inliers.length;
+        const variance = inliers.reduce((sum, interval) => sum + (interval - period) ** 2, 0) / inliers.length;
+        const spread = Math.sqrt(variance) / period; // Coefficient of variation
+        const confidence = (inliers.length / intervals.length)
+            * Math.max(0, 1 - spread / tolerance)
+            * Math.min(1, inliers.length / TempoTracker.FULL_CONFIDENCE_INTERVALS);
+        return {
+            bpm: 60 / period,
+            confidence: Math.round(confidence * 100) / 100,
+            inliers: inliers.length
+        };
+    }
+
+    /**
+     * Feeds a played hit to live detection
+     * @private
+     */
+    _handleHit(hit) {
+        // Key-roll strokes follow the tempo already; feeding them back would only confirm it
+        if (!this.settings.live || hit.synthetic) {
+            return;
+        }
+        const time = this.latencyMonitor ? this.latencyMonitor.getCompensatedTime(hit) : hit.time;
+        this._addOnset(this.live, time, 'live', this.liveRange);
+    }
+
+    /**
+     * Takes tap-key presses outside form fields
+     * @private
+     */
+    _handleKeydown(event) {
+        if (event.repeat || this.isCapturingKey) {
+            return;
+        }
+        const target = event.target;
+        const tagName = target && target.tagName ? target.tagName.toLowerCase() : '';
+        if (tagName === 'input' || tagName === 'select' || tagName === 'textarea' || (target && target.isContentEditable)) {
+            return;
+        }
+        if (InputHandler.normalizeKey(event) !== this.settings.tapKey) {
+            return;
+        }
+        event.preventDefault();
+        this.tapAt(event.timeStamp / 1000);
+    }
+
+    /**
+     * Takes the captured tap key
+     * @private
+     */
+    _handleCaptureKeydown(event) {
+        event.preventDefault();
+        event.stopImmediatePropagation();
+        if (event.repeat) {
+            return;
+        }
+        if (event.key === 'Escape') {
+            this.cancelKeyCapture();
+            return;
+        }
+        const key = InputHandler.normalizeKey(event);
+        if (!key) {
+            // Modifier combinations cannot be the tap key; keep waiting
+            return;
+        }
+        this.isCapturingKey = false;
+        window.removeEventListener('keydown', this.boundHandleCaptureKeydown, true);
+        this.setTapKey(key);
+    }
+
+    /**
+     * Records an onset and emits the new estimate, if there is one
+     * @param {{lastOnset: number|null, intervals: Array<number>}} history
+     * @param {number} time - Seconds
+     * @param {string} source - 'live' or 'tap'
+     * @param {{min: number, max: number}|null} range
+     * @private
+     */
+    _addOnset(history, time, source, range) {
+        const interval = history.lastOnset !== null ? time - history.lastOnset : null;
+        if (interval !== null && interval < this.minOnsetGap) {
+            return; // Part of the same onset
+        }
+        history.lastOnset = time;
+        if (interval === null || interval > this.resetAfter) {
+            history.intervals = [];
+            return;
+        }
+        history.intervals.push(interval);
+        if (history.intervals.length > this.maxIntervals) {
+            history.intervals.shift();
+        }
+
+        const result = TempoTracker.estimateTempo(history.intervals, range);
+        if (!result || result.bpm < 20 || result.bpm > 400) {
+            return;
+        }
+        this.estimate = {
+            bpm: Math.round(result.bpm * 10) / 10,
+            confidence: result.confidence,
+            source,
+            intervals: result.inliers
+        };
+        if (window.DebugLogger) {
+            window.DebugLogger.log('TempoTracker:', source, this.estimate.bpm, 'BPM, confidence', this.estimate.confidence);
+        }
+        this.emit('tempo', this.getEstimate());
+    }
+
+    /**
+     * @private
+     */
+    _saveAndNotify() {
+        SettingsStore.save(this.storageKey, this.settings);
+        this._emitStateChange();
+    }
+
+    /**
+     * @private
+     */
+    _emitStateChange() {
+        this.emit('statechange', { ...this.getSettings(), isCapturingKey: this.isCapturingKey });
+    }
+
+    /**
+     * Doubles or halves an interval until it lies within [low, high]
+     * @private
+     */
+    static _fold(interval, low, high) {
+        let folded = interval;
+        while (folded < low) {
+            folded *= 2;
+        }
+        while (folded > high) {
+            folded /= 2;
+        }
+        return folded;
+    }
+
+    /**
+     * @private
+     */
+    static _median(values) {
+        const sorted = values.slice().sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
+    /**
+     * Fills in defaults for missing or invalid stored settings
+     * @private
+     */
+    static _mergeSettings(stored) {
+        const settings = { ...TempoTracker.DEFAULT_SETTINGS };
+        if (!stored || typeof stored !== 'object') {
+            return settings;
+        }
+        if (typeof stored.live === 'boolean') {
+            settings.live = stored.live;
+        }
+        if (typeof stored.tapKey === 'string' && stored.tapKey.length > 0) {
+            settings.tapKey = stored.tapKey;
+        }
+        return settings;
+    }
+
+    /**
+     * Event emitter methods
+     */
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
+
+    off(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+        }
+    }
+
+    emit(event, data) {
+        if (this.listeners[event]) {
+            this.listeners[event].forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`Error in ${event} listener:`, error);
+                }
+            });
+        }
+    }
+}
+
+/**
+ * Number of consistent intervals needed before the history alone no longer limits confidence
+ */
+TempoTracker.FULL_CONFIDENCE_INTERVALS = 6;
+
+/**
+ * Confidence from which a live estimate is steady enough for the metronome to follow
+ */
+TempoTracker.FOLLOW_CONFIDENCE = 0.6;
+
+/**
+ * Default: live detection on, tap tempo on T
+ */
+TempoTracker.DEFAULT_SETTINGS = {
+    live: true,
+    tapKey: 't'
+};
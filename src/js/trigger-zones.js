@@ -1,5 +1,8 @@
 /**
  * TriggerZoneManager - Manages trigger zone definitions, DOM element creation, and zone lookup
+ * In edit mode, zones show handles and can be dragged and resized over the
+ * image. Coordinates stay in percentages of the container so layouts follow
+ * container resizes.
  */
 
 class TriggerZoneManager {
@@ -11,15 +14,52 @@ class TriggerZoneManager {
         this.zoneConfigs = new Map(); // Map<zoneId, ZoneConfig>
         this.zoneByElement = new Map(); // Map<HTMLElement, ZoneConfig>
         this.zoneByKey = new Map(); // Map<keyboardKey, ZoneConfig>
+        this.keyConflicts = new Map(); // Map<keyboardKey, Array<zoneId>> for keys bound to several zones
+        this.isInitialized = false;
         
-        // Build lookup maps
+        // Edit mode state
+        this.isEditing = false;
+        this.selectedZoneId = null;
+        this.dragState = null;
+        this.minZoneSize = config.minZoneSize || 5; // percent of the container
+        this.boundHandleEditPointerDown = this._handleEditPointerDown.bind(this);
+        this.boundHandleEditPointerMove = this._handleEditPointerMove.bind(this);
+        this.boundHandleEditPointerUp = this._handleEditPointerUp.bind(this);
+        
+        this.listeners = {
+            zoneschange: [],
+            select: []
+        };
+        
+        this._buildLookupMaps();
+    }
+
+    /**
+     * Builds the id and keyboard lookup maps from this.zones
+     * @private
+     */
+    _buildLookupMaps() {
+        this.zoneConfigs.clear();
+        this.zoneByKey.clear();
+        this.keyConflicts.clear();
         this.zones.forEach(zone => {
             this.zoneConfigs.set(zone.id, zone);
             if (zone.keyboardKey) {
                 // Support both single key (string) and multiple keys (array)
                 const keys = Array.isArray(zone.keyboardKey) ? zone.keyboardKey : [zone.keyboardKey];
                 keys.forEach(key => {
-                    this.zoneByKey.set(key.toLowerCase(), zone);
+                    const normalizedKey = key.toLowerCase();
+                    const existing = this.zoneByKey.get(normalizedKey);
+                    if (existing && existing !== zone) {
+                        // The later zone wins; record the conflict so it can be shown
+                        const zoneIds = this.keyConflicts.get(normalizedKey) || [existing.id];
+                        zoneIds.push(zone.id);
+                        this.keyConflicts.set(normalizedKey, zoneIds);
+                        if (window.DebugLogger) {
+                            window.DebugLogger.log('TriggerZoneManager: key', key, 'is bound to', zoneIds.join(', '), '-', zone.id, 'wins');
+                        }
+                    }
+                    this.zoneByKey.set(normalizedKey, zone);
                 });
             }
         });
@@ -42,6 +82,155 @@ class TriggerZoneManager {
             this.zoneElements.set(zone.id, zoneElement);
             this.zoneByElement.set(zoneElement, zone);
         });
+        this.isInitialized = true;
+    }
+
+    /**
+     * Replaces all zones (e.g., when switching kits)
+     * Tears down the existing zone elements, rebuilds the lookup maps including
+     * zoneByKey, and creates elements for the new zones if already initialized.
+     * @param {Array<Object>} zones - Zone configurations
+     */
+    setZones(zones) {
+        this.removeZoneElements();
+        this.selectedZoneId = null;
+        this.zones = zones || [];
+        this._buildLookupMaps();
+        if (this.isInitialized) {
+            this.initialize();
+        }
+    }
+
+    /**
+     * Removes all zone elements from the DOM
+     */
+    removeZoneElements() {
+        this.zoneElements.forEach(element => element.remove());
+        this.zoneElements.clear();
+        this.zoneByElement.clear();
+    }
+
+    /**
+     * Adds a zone
+     * @param {Object} zone - Zone configuration (id, name, soundFile, coordinates, ...)
+     */
+    addZone(zone) {
+        if (!zone || !zone.id) {
+            throw new Error('Zone id is required');
+        }
+        if (this.zoneConfigs.has(zone.id)) {
+            throw new Error(`Zone already exists: ${zone.id}`);
+        }
+        zone.coordinates = this._clampCoordinates(zone.coordinates || { x: 40, y: 40, width: 20, height: 20 });
+        this.zones.push(zone);
+        this._buildLookupMaps();
+        if (this.isInitialized) {
+            const zoneElement = this._createZoneElement(zone);
+            this.container.appendChild(zoneElement);
+            this.zoneElements.set(zone.id, zoneElement);
+            this.zoneByElement.set(zoneElement, zone);
+        }
+        this.emit('zoneschange', { type: 'add', zoneId: zone.id });
+    }
+
+    /**
+     * Removes a zone and its element
+     * @param {string} zoneId - Zone identifier
+     */
+    removeZone(zoneId) {
+        if (!this.zoneConfigs.has(zoneId)) {
+            throw new Error(`Unknown zone: ${zoneId}`);
+        }
+        const element = this.zoneElements.get(zoneId);
+        if (element) {
+            element.remove();
+            this.zoneElements.delete(zoneId);
+            this.zoneByElement.delete(element);
+        }
+        this.zones = this.zones.filter(zone => zone.id !== zoneId);
+        this._buildLookupMaps();
+        if (this.selectedZoneId === zoneId) {
+            this.selectZone(null);
+        }
+        this.emit('zoneschange', { type: 'remove', zoneId });
+    }
+
+    /**
+     * Updates a zone's properties and its element
+     * @param {string} zoneId - Zone identifier
+     * @param {Object} changes - Properties to change (name, sound, soundFile, layers, volume, coordinates, keyboardKey, midiNote)
+     */
+    updateZone(zoneId, changes) {
+        const zone = this.getZoneById(zoneId);
+        if (!zone) {
+            throw new Error(`Unknown zone: ${zoneId}`);
+        }
+        const editable = ['name', 'sound', 'soundFile', 'layers', 'volume', 'coordinates', 'keyboardKey', 'midiNote'];
+        Object.keys(changes).forEach(key => {
+            if (!editable.includes(key)) {
+                throw new Error(`Zone property cannot be edited: ${key}`);
+            }
+        });
+        Object.assign(zone, changes);
+        if (changes.coordinates) {
+            zone.coordinates = this._clampCoordinates(changes.coordinates);
+        }
+        if (changes.keyboardKey) {
+            this._buildLookupMaps();
+        }
+        const element = this.zoneElements.get(zoneId);
+        if (element) {
+            element.setAttribute('aria-label', zone.name);
+            this._applyCoordinates(element, zone.coordinates);
+            const label = element.querySelector('.zone-edit-label');
+            if (label) {
+                label.textContent = zone.name;
+            }
+        }
+        this.emit('zoneschange', { type: 'update', zoneId });
+    }
+
+    /**
+     * Turns edit mode on or off
+     * While editing, zones can be selected, dragged and resized with the pointer.
+     * @param {boolean} enabled
+     */
+    setEditMode(enabled) {
+        if (enabled === this.isEditing) {
+            return;
+        }
+        this.isEditing = enabled;
+        this.container.classList.toggle('editing-zones', enabled);
+        if (enabled) {
+            this.container.addEventListener('pointerdown', this.boundHandleEditPointerDown);
+            this.zoneElements.forEach((element, zoneId) => this._addEditHandles(element, this.getZoneById(zoneId)));
+        } else {
+            this.container.removeEventListener('pointerdown', this.boundHandleEditPointerDown);
+            this._endDrag();
+            this.zoneElements.forEach(element => {
+                element.querySelectorAll('.zone-edit-handle, .zone-edit-label').forEach(child => child.remove());
+            });
+            this.selectZone(null);
+        }
+        if (window.DebugLogger) {
+            window.DebugLogger.log('TriggerZoneManager.setEditMode:', enabled);
+        }
+    }
+
+    /**
+     * Selects a zone for editing
+     * @param {string|null} zoneId - Zone identifier, or null to clear the selection
+     */
+    selectZone(zoneId) {
+        const nextId = zoneId && this.zoneConfigs.has(zoneId) ? zoneId : null;
+        if (nextId === this.selectedZoneId) {
+            return;
+        }
+        this.selectedZoneId = nextId;
+        this.zoneElements.forEach((element, id) => {
+            element.classList.toggle('selected', id === nextId);
+        });
+        this.emit('select', { zoneId: nextId });
     }
 
     /**
@@ -56,14 +245,151 @@ class TriggerZoneManager {
         element.setAttribute('aria-label', zone.name);
         
         // Set position and size based on coordinates
-        const coords = zone.coordinates;
         element.style.position = 'absolute';
+        this._applyCoordinates(element, zone.coordinates);
+        
+        if (this.isEditing) {
+            this._addEditHandles(element, zone);
+        }
+        
+        return element;
+    }
+
+    /**
+     * Positions an element from percentage coordinates
+     * @private
+     */
+    _applyCoordinates(element, coords) {
         element.style.left = `${coords.x}%`;
         element.style.top = `${coords.y}%`;
         element.style.width = `${coords.width}%`;
         element.style.height = `${coords.height}%`;
+    }
+
+    /**
+     * Keeps a zone inside the container and at least minZoneSize wide and high
+     * @private
+     */
+    _clampCoordinates(coords) {
+        const round = (value) => Math.round(value * 10) / 10;
+        const width = Math.max(this.minZoneSize, Math.min(100, coords.width));
+        const height = Math.max(this.minZoneSize, Math.min(100, coords.height));
+        return {
+            x: round(Math.max(0, Math.min(100 - width, coords.x))),
+            y: round(Math.max(0, Math.min(100 - height, coords.y))),
+            width: round(width),
+            height: round(height)
+        };
+    }
+
+    /**
+     * Adds the name label and corner resize handles shown in edit mode
+     * @private
+     */
+    _addEditHandles(element, zone) {
+        const label = document.createElement('span');
+        label.className = 'zone-edit-label';
+        label.textContent = zone.name;
+        element.appendChild(label);
+        ['nw', 'ne', 'sw', 'se'].forEach(corner => {
+            const handle = document.createElement('span');
+            handle.className = `zone-edit-handle zone-edit-handle-${corner}`;
+            handle.dataset.handle = corner;
+            element.appendChild(handle);
+        });
+    }
+
+    /**
+     * Starts moving or resizing a zone
+     * @private
+     */
+    _handleEditPointerDown(event) {
+        const zone = this.getZoneByElement(event.target);
+        if (!zone) {
+            this.selectZone(null);
+            return;
+        }
+        event.preventDefault();
+        this.selectZone(zone.id);
+        this.dragState = {
+            zoneId: zone.id,
+            mode: (event.target.dataset && event.target.dataset.handle) || 'move',
+            startX: event.clientX,
+            startY: event.clientY,
+            rect: this.container.getBoundingClientRect(),
+            start: { ...zone.coordinates },
+            moved: false
+        };
+        document.addEventListener('pointermove', this.boundHandleEditPointerMove);
+        document.addEventListener('pointerup', this.boundHandleEditPointerUp);
+        document.addEventListener('pointercancel', this.boundHandleEditPointerUp);
+    }
+
+    /**
+     * Moves or resizes the dragged zone, in percentages of the container
+     * @private
+     */
+    _handleEditPointerMove(event) {
+        const drag = this.dragState;
+        const zone = drag && this.getZoneById(drag.zoneId);
+        if (!zone || drag.rect.width === 0 || drag.rect.height === 0) {
+            return;
+        }
+        event.preventDefault();
+        const dx = (event.clientX - drag.startX) / drag.rect.width * 100;
+        const dy = (event.clientY - drag.startY) / drag.rect.height * 100;
+        const start = drag.start;
+        const min = this.minZoneSize;
+        let { x, y, width, height } = start;
         
-        return element;
+        if (drag.mode === 'move') {
+            x = start.x + dx;
+            y = start.y + dy;
+        } else {
+            if (drag.mode.includes('w')) {
+                x = Math.max(0, Math.min(start.x + start.width - min, start.x + dx));
+                width = start.x + start.width - x;
+            }
+            if (drag.mode.includes('e')) {
+                width = Math.min(100 - start.x, start.width + dx);
+            }
+            if (drag.mode.includes('n')) {
+                y = Math.max(0, Math.min(start.y + start.height - min, start.y + dy));
+                height = start.y + start.height - y;
+            }
+            if (drag.mode.includes('s')) {
+                height = Math.min(100 - start.y, start.height + dy);
+            }
+        }
+        
+        zone.coordinates = this._clampCoordinates({ x, y, width, height });
+        drag.moved = true;
+        const element = this.zoneElements.get(zone.id);
+        if (element) {
+            this._applyCoordinates(element, zone.coordinates);
+        }
+    }
+
+    /**
+     * Finishes a drag and reports the new coordinates
+     * @private
+     */
+    _handleEditPointerUp() {
+        const drag = this.dragState;
+        this._endDrag();
+        if (drag && drag.moved) {
+            this.emit('zoneschange', { type: 'update', zoneId: drag.zoneId });
+        }
+    }
+
+    /**
+     * @private
+     */
+    _endDrag() {
+        this.dragState = null;
+        document.removeEventListener('pointermove', this.boundHandleEditPointerMove);
+        document.removeEventListener('pointerup', this.boundHandleEditPointerUp);
+        document.removeEventListener('pointercancel', this.boundHandleEditPointerUp);
     }
 
     /**
@@ -107,6 +433,19 @@ class TriggerZoneManager {
         return this.zoneByKey.get(key.toLowerCase()) || null;
     }
 
+    /**
+     * Gets the zones a key is bound to (more than one means a conflict)
+     * @param {string} key - Keyboard key
+     * @returns {Array<Object>}
+     */
+    getZonesForKey(key) {
+        const normalizedKey = key.toLowerCase();
+        return this.zones.filter(zone => {
+            const keys = Array.isArray(zone.keyboardKey) ? zone.keyboardKey : (zone.keyboardKey ? [zone.keyboardKey] : []);
+            return keys.some(zoneKey => zoneKey.toLowerCase() === normalizedKey);
+        });
+    }
+
     /**
      * Gets all zone configurations
      * @returns {Array<Object>}
@@ -134,5 +473,41 @@ class TriggerZoneManager {
         }
     }
 
+    /**
+     * Schedules visual feedback for a zone after a delay (used when playing back scheduled hits)
+     * @param {string} zoneId - Zone identifier
+     * @param {number} delayMs - Delay in milliseconds
+     * @returns {number} Timer id that can be passed to clearTimeout
+     */
+    scheduleActivation(zoneId, delayMs) {
+        return setTimeout(() => this.activateZone(zoneId), Math.max(0, delayMs));
+    }
+
+    /**
+     * Event emitter methods
+     */
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
+
+    off(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+        }
+    }
+
+    emit(event, data) {
+        if (this.listeners[event]) {
+            this.listeners[event].forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`Error in ${event} listener:`, error);
+                }
+            });
+        }
+    }
 }
 
@@ -0,0 +1,338 @@
+/**
+ * UserSampleManager - Replaces zone sounds with audio files from the user's device
+ * Files are decoded through AudioManager.decodeSound, and the raw bytes are kept
+ * in SampleStore (IndexedDB) so replacements are restored on the next visit,
+ * including offline. Samples are kept per kit. Each zone can be reset to its
+ * default sound.
+ */
+
+class UserSampleManager {
+    constructor(config) {
+        this.audioManager = config.audioManager;
+        this.zoneManager = config.zoneManager;
+        this.sampleStore = config.sampleStore || new SampleStore();
+        this.maxFileSize = config.maxFileSize || 20 * 1024 * 1024; // 20 MB
+
+        this.kitId = null;
+        this.customSamples = new Map(); // Map<zoneId, {name, size}>
+        this.dropContainer = null;
+
+        this.boundHandleDragOver = this._handleDragOver.bind(this);
+        this.boundHandleDragLeave = this._handleDragLeave.bind(this);
+        this.boundHandleDrop = this._handleDrop.bind(this);
+
+        this.listeners = {
+            change: [],
+            error: []
+        };
+    }
+
+    /**
+     * Sound key used for a zone's user sample
+     * @param {string} zoneId
+     * @returns {string}
+     */
+    static soundKeyFor(zoneId) {
+        return `user-sample:${zoneId}`;
+    }
+
+    /**
+     * Restores every stored sample of a kit for the current zones
+     * Call after the kit's zones are in TriggerZoneManager. Samples that no
+     * longer decode are reported and the zone keeps its default sound.
+     * @param {string} kitId
+     * @returns {Promise<void>}
+     */
+    async restoreAll(kitId) {
+        // Forget the previous kit's samples, and samples of zones that no longer exist
+        const kitChanged = kitId !== this.kitId;
+        this.kitId = kitId;
+        this.customSamples.forEach((sample, zoneId) => {
+            if (kitChanged || !this.zoneManager.getZoneById(zoneId)) {
+                this.customSamples.delete(zoneId);
+                this.audioManager.removeSound(UserSampleManager.soundKeyFor(zoneId));
+            }
+        });
+        if (!this.sampleStore.isSupported) {
+            return;
+        }
+        let records = [];
+        try {
+            records = await this.sampleStore.getAll(kitId);
+        } catch (error) {
+            this._reportError(new Error('Could not read saved samples'), error);
+            return;
+        }
+        for (const record of records) {
+            const zone = this.zoneManager.getZoneById(record.zoneId);
+            // Stop if the kit was switched again while decoding
+            if (!zone || this.kitId !== kitId) {
+                continue;
+            }
+            try {
+                await this.audioManager.decodeSound(UserSampleManager.soundKeyFor(zone.id), record.data.slice(0));
+                this._applyToZone(zone, record);
+            } catch (error) {
+                this._reportError(new Error(`Saved sample "${record.name}" for ${zone.name} could not be decoded`), error);
+            }
+        }
+        if (window.DebugLogger) {
+            window.DebugLogger.log('UserSampleManager: restored', this.customSamples.size, 'custom samples');
+        }
+        this.emit('change', { zoneIds: [...this.customSamples.keys()] });
+    }
+
+    /**
+     * Loads an audio file onto a zone and saves it for later visits
+     * @param {string} zoneId
+     * @param {File} file
+     * @returns {Promise<void>}
+     */
+    async loadFile(zoneId, file) {
+        const zone = this.zoneManager.getZoneById(zoneId);
+        if (!zone) {
+            throw new Error(`Unknown zone: ${zoneId}`);
+        }
+        if (!file) {
+            throw new Error('No file selected');
+        }
+        if (!UserSampleManager.isAudioFile(file)) {
+            throw new Error(`"${file.name}" is not a supported audio file (use mp3, wav, ogg, m4a, aac or flac)`);
+        }
+        if (file.size === 0) {
+            throw new Error(`"${file.name}" is empty`);
+        }
+        if (file.size > this.maxFileSize) {
+            throw new Error(`"${file.name}" is too large (max ${Math.round(this.maxFileSize / (1024 * 1024))} MB)`);
+        }
+
+        const data = await file.arrayBuffer();
+        const soundKey = UserSampleManager.soundKeyFor(zone.id);
+        try {
+            // decodeAudioData detaches its input, so decode a copy and keep the original bytes
+            await this.audioManager.decodeSound(soundKey, data.slice(0));
+        } catch (error) {
+            const decodeError = new Error(`"${file.name}" could not be decoded. The file may be corrupt or in a format this browser cannot play.`);
+            decodeError.originalError = error;
+            throw decodeError;
+        }
+
+        const record = {
+            kitId: this.kitId,
+            zoneId: zone.id,
+            name: file.name,
+            type: file.type,
+            size: file.size,
+            data,
+            savedAt: Date.now()
+        };
+        this._applyToZone(zone, record);
+
+        try {
+            await this.sampleStore.put(record);
+        } catch (error) {
+            // The sample still plays for this session
+            this._reportError(new Error(`"${file.name}" is loaded but could not be saved for next time`), error);
+        }
+        if (window.DebugLogger) {
+            window.DebugLogger.log('UserSampleManager: loaded', file.name, 'onto zone', zone.id);
+        }
+        this.emit('change', { zoneIds: [zone.id] });
+    }
+
+    /**
+     * Restores a zone's default sound and deletes its saved sample
+     * @param {string} zoneId
+     * @returns {Promise<void>}
+     */
+    async resetZone(zoneId) {
+        const zone = this.zoneManager.getZoneById(zoneId);
+        if (!zone) {
+            throw new Error(`Unknown zone: ${zoneId}`);
+        }
+        if (zone.defaultSoundFile) {
+            zone.soundFile = zone.defaultSoundFile;
+            delete zone.defaultSoundFile;
+        }
+        if (zone.defaultLayers) {
+            zone.layers = zone.defaultLayers;
+            delete zone.defaultLayers;
+        }
+        if (zone.defaultTone) {
+            zone.tone = zone.defaultTone;
+            delete zone.defaultTone;
+        }
+        this.audioManager.removeSound(UserSampleManager.soundKeyFor(zone.id));
+        this.customSamples.delete(zone.id);
+        this._updateZoneElement(zone.id);
+        if (this.sampleStore.isSupported) {
+            await this.sampleStore.delete(this.kitId, zone.id);
+        }
+        this.emit('change', { zoneIds: [zone.id] });
+    }
+
+    /**
+     * Gets information about a zone's custom sample
+     * @param {string} zoneId
+     * @returns {{name: string, size: number}|null}
+     */
+    getCustomSample(zoneId) {
+        return this.customSamples.get(zoneId) || null;
+    }
+
+    /**
+     * Accepts audio files dropped onto trigger zones inside a container
+     * @param {HTMLElement} container
+     */
+    attachDropTarget(container) {
+        this.detachDropTarget();
+        this.dropContainer = container;
+        container.addEventListener('dragover', this.boundHandleDragOver);
+        container.addEventListener('dragleave', this.boundHandleDragLeave);
+        container.addEventListener('drop', this.boundHandleDrop);
+    }
+
+    /**
+     * Stops accepting dropped files
+     */
+    detachDropTarget() {
+        if (!this.dropContainer) {
+            return;
+        }
+        this.dropContainer.removeEventListener('dragover', this.boundHandleDragOver);
+        this.dropContainer.removeEventListener('dragleave', this.boundHandleDragLeave);
+        this.dropContainer.removeEventListener('drop', this.boundHandleDrop);
+        this.dropContainer = null;
+    }
+
+    /**
+     * Checks a file's MIME type or extension for a supported audio format
+     * @param {File} file
+     * @returns {boolean}
+     */
+    static isAudioFile(file) {
+        if (file.type && file.type.startsWith('audio/')) {
+            return true;
+        }
+        return /\.(mp3|wav|wave|ogg|oga|opus|m4a|aac|flac|webm)$/i.test(file.name || '');
+    }
+
+    /**
+     * Points a zone at its user sample
+     * @private
+     */
+    _applyToZone(zone, record) {
+        if (!zone.defaultSoundFile) {
+            zone.defaultSoundFile = zone.soundFile;
+        }
+        // The user sample replaces every velocity layer and edge sample until the zone is reset
+        if (zone.layers) {
+            zone.defaultLayers = zone.layers;
+            delete zone.layers;
+        }
+        if (zone.tone && zone.tone.type === 'crossfade') {
+            zone.defaultTone = zone.tone;
+            delete zone.tone;
+        }
+        zone.soundFile = UserSampleManager.soundKeyFor(zone.id);
+        this.customSamples.set(zone.id, { name: record.name, size: record.size });
+        this._updateZoneElement(zone.id);
+    }
+
+    /**
+     * Marks zones playing a user sample
+     * @private
+     */
+    _updateZoneElement(zoneId) {
+        const element = this.zoneManager.zoneElements.get(zoneId);
+        if (element) {
+            const sample = this.customSamples.get(zoneId);
+            element.classList.toggle('custom-sample', !!sample);
+            element.title = sample ? `Custom sample: ${sample.name}` : '';
+        }
+    }
+
+    /**
+     * @private
+     */
+    _handleDragOver(event) {
+        const zone = this.zoneManager.getZoneByElement(event.target);
+        if (!zone || !event.dataTransfer || ![...event.dataTransfer.types].includes('Files')) {
+            return;
+        }
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'copy';
+        this._setDropHighlight(zone.id);
+    }
+
+    /**
+     * @private
+     */
+    _handleDragLeave() {
+        this._setDropHighlight(null);
+    }
+
+    /**
+     * @private
+     */
+    _handleDrop(event) {
+        const zone = this.zoneManager.getZoneByElement(event.target);
+        this._setDropHighlight(null);
+        if (!zone || !event.dataTransfer) {
+            return;
+        }
+        event.preventDefault();
+        const file = event.dataTransfer.files && event.dataTransfer.files[0];
+        this.loadFile(zone.id, file).catch(error => this._reportError(error));
+    }
+
+    /**
+     * @private
+     */
+    _setDropHighlight(zoneId) {
+        this.zoneManager.zoneElements.forEach((element, id) => {
+            element.classList.toggle('drop-target', id === zoneId);
+        });
+    }
+
+    /**
+     * @private
+     */
+    _reportError(error, originalError = null) {
+        if (originalError) {
+            error.originalError = originalError;
+        }
+        console.error('UserSampleManager:', error, originalError || '');
+        if (window.DebugLogger) {
+            window.DebugLogger.error('UserSampleManager:', error.message, originalError && (originalError.message || originalError));
+        }
+        this.emit('error', error);
+    }
+
+    /**
+     * Event emitter methods
+     */
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
+
+    off(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+        }
+    }
+
+    emit(event, data) {
+        if (this.listeners[event]) {
+            this.listeners[event].forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`Error in ${event} listener:`, error);
+                }
+            });
+        }
+    }
+}
@@ -0,0 +1,202 @@
+/**
+ * VelocityCurve - Maps hit intensity (0-1) from any input to a volume factor
+ * Every live input (pointer, keyboard, MIDI, ...) reports how hard it was hit
+ * as an intensity; InputHandler runs it through this curve before applying the
+ * zone volume. The curve shape bends the response, and floor/ceiling set the
+ * quietest and loudest factor, so the softest hit is never silent.
+ *
+ * Shapes: linear, exponential (quiet until hit hard), logarithmic (loud early)
+ * and s-curve (soft and hard ends flattened). Settings persist in SettingsStore.
+ */
+
+class VelocityCurve {
+    constructor(config = {}) {
+        this.storageKey = config.storageKey || 'velocity-curve';
+        this.settings = VelocityCurve._mergeSettings(SettingsStore.load(this.storageKey, null));
+
+        this.listeners = {
+            change: []
+        };
+    }
+
+    /**
+     * Maps an intensity to a volume factor
+     * @param {number} intensity - 0 (softest) to 1 (hardest)
+     * @returns {number} Between floor and ceiling
+     */
+    map(intensity) {
+        const { curve, floor, ceiling } = this.settings;
+        const x = Math.max(0, Math.min(1, Number(intensity) || 0));
+        return floor + (ceiling - floor) * VelocityCurve.SHAPES[curve](x);
+    }
+
+    /**
+     * Gets a copy of the settings
+     * @returns {{curve: string, floor: number, ceiling: number}}
+     */
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    /**
+     * Selects the curve shape
+     * @param {string} curve - 'linear', 'exponential', 'logarithmic' or 's-curve'
+     */
+    setCurve(curve) {
+        if (!VelocityCurve.SHAPES[curve]) {
+            throw new Error(`Unknown velocity curve: ${curve}`);
+        }
+        this.settings.curve = curve;
+        this._saveAndNotify();
+    }
+
+    /**
+     * Sets the volume factor of the softest hit
+     * Raising the floor above the ceiling moves the ceiling up with it.
+     * @param {number} floor - 0 to 1
+     */
+    setFloor(floor) {
+        this.settings.floor = VelocityCurve._clamp(floor);
+        this.settings.ceiling = Math.max(this.settings.ceiling, this.settings.floor);
+        this._saveAndNotify();
+    }
+
+    /**
+     * Sets the volume factor of the hardest hit
+     * Lowering the ceiling below the floor moves the floor down with it.
+     * @param {number} ceiling - 0 to 1
+     */
+    setCeiling(ceiling) {
+        this.settings.ceiling = VelocityCurve._clamp(ceiling);
+        this.settings.floor = Math.min(this.settings.floor, this.settings.ceiling);
+        this._saveAndNotify();
+    }
+
+    /**
+     * Restores the default curve
+     */
+    reset() {
+        this.settings = { ...VelocityCurve.DEFAULT_SETTINGS };
+        this._saveAndNotify();
+    }
+
+    /**
+     * Draws the curve into a canvas (intensity left to right, volume bottom to top)
+     * @param {HTMLCanvasElement} canvas
+     */
+    drawPreview(canvas) {
+        const context = canvas.getContext('2d');
+        const { width, height } = canvas;
+        context.clearRect(0, 0, width, height);
+
+        // Floor and ceiling guides
+        context.strokeStyle = '#555';
+        context.lineWidth = 1;
+        context.setLineDash([3, 3]);
+        [this.settings.floor, this.settings.ceiling].forEach(level => {
+            const y = Math.round((1 - level) * (height - 1)) + 0.5;
+            context.beginPath();
+            context.moveTo(0, y);
+            context.lineTo(width, y);
+            context.stroke();
+        });
+        context.setLineDash([]);
+
+        context.strokeStyle = '#8b9aff';
+        context.lineWidth = 2;
+        context.beginPath();
+        for (let px = 0; px < width; px++) {
+            const y = (1 - this.map(px / (width - 1))) * (height - 1);
+            if (px === 0) {
+                context.moveTo(px, y);
+            } else {
+                context.lineTo(px, y);
+            }
+        }
+        context.stroke();
+    }
+
+    /**
+     * @private
+     */
+    _saveAndNotify() {
+        SettingsStore.save(this.storageKey, this.settings);
+        this.emit('change', this.getSettings());
+    }
+
+    /**
+     * @private
+     */
+    static _clamp(value) {
+        const number = Number(value);
+        if (!isFinite(number)) {
+            throw new Error(`Invalid value: ${value}`);
+        }
+        return Math.max(0, Math.min(1, number));
+    }
+
+    /**
+     * Fills in defaults for missing or invalid stored settings
+     * @private
+     */
+    static _mergeSettings(stored) {
+        const settings = { ...VelocityCurve.DEFAULT_SETTINGS };
+        if (!stored || typeof stored !== 'object') {
+            return settings;
+        }
+        if (VelocityCurve.SHAPES[stored.curve]) {
+            settings.curve = stored.curve;
+        }
+        if (isFinite(stored.floor) && isFinite(stored.ceiling) && stored.floor <= stored.ceiling) {
+            settings.floor = VelocityCurve._clamp(stored.floor);
+            settings.ceiling = VelocityCurve._clamp(stored.ceiling);
+        }
+        return settings;
+    }
+
+    /**
+     * Event emitter methods
+     */
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
+
+    off(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+        }
+    }
+
+    emit(event, data) {
+        if (this.listeners[event]) {
+            this.listeners[event].forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`Error in ${event} listener:`, error);
+                }
+            });
+        }
+    }
+}
+
+/**
+ * Curve shapes: 0-1 in, 0-1 out, passing through (0, 0) and (1, 1)
+ */
+VelocityCurve.SHAPES = {
+    linear: (x) => x,
+    exponential: (x) => (Math.exp(3 * x) - 1) / (Math.exp(3) - 1),
+    logarithmic: (x) => Math.log1p(9 * x) / Math.log(10),
+    's-curve': (x) => x * x * (3 - 2 * x)
+};
+
+/**
+ * Default: linear from 40% (edge hits) to 100% (center hits)
+ */
+VelocityCurve.DEFAULT_SETTINGS = {
+    curve: 'linear',
+    floor: 0.4,
+    ceiling: 1.0
+};
@@ -0,0 +1,289 @@
+/**
+ * VelocitySource - Works out how hard a pointer hit was
+ * Modes:
+ * - position: distance from the zone center (center = full strength)
+ * - pressure: PointerEvent.pressure (pens, force-sensing screens)
+ * - size: contact size from PointerEvent width/height (a flatter finger is a harder hit)
+ * - blend: average of position and whichever of pressure/size the device reports
+ *
+ * Pressure and size are scaled between the player's soft and hard readings,
+ * learned in a calibration pass of soft hits followed by hard hits. Hits that
+ * carry no usable reading (mice, devices without sensors) fall back to
+ * position. Mode and calibration persist in SettingsStore.
+ */
+
+class VelocitySource {
+    constructor(config = {}) {
+        this.storageKey = config.storageKey || 'velocity-source';
+        this.calibrationHits = config.calibrationHits || 5; // per step
+
+        const stored = SettingsStore.load(this.storageKey, null);
+        this.mode = stored && VelocitySource.MODES.includes(stored.mode) ? stored.mode : 'position';
+        this.ranges = VelocitySource._mergeRanges(stored && stored.ranges);
+
+        // Devices without a pressure sensor report a constant 0.5 while pressed,
+        // so pressure only counts once it has been seen to vary
+        this.pressureSeen = false;
+
+        this.calibration = null; // {step: 'soft'|'hard', soft: [], hard: []} while calibrating
+
+        this.listeners = {
+            change: [],
+            calibration: []
+        };
+    }
+
+    /**
+     * Selects where hit strength comes from
+     * @param {string} mode - 'position', 'pressure', 'size' or 'blend'
+     */
+    setMode(mode) {
+        if (!VelocitySource.MODES.includes(mode)) {
+            throw new Error(`Unknown velocity source: ${mode}`);
+        }
+        this.mode = mode;
+        this._save();
+        this.emit('change', { mode });
+    }
+
+    /**
+     * Gets the strength of a pointer hit
+     * @param {PointerEvent} event
+     * @param {number} positionIntensity - Strength from the hit position (0-1)
+     * @returns {number} 0 (softest) to 1 (hardest)
+     */
+    getIntensity(event, positionIntensity) {
+        if (this.mode === 'position') {
+            return positionIntensity;
+        }
+        const pressure = this._scale('pressure', this._readPressure(event));
+        const size = this._scale('size', VelocitySource.readSize(event));
+        if (this.mode === 'pressure') {
+            return pressure !== null ? pressure : positionIntensity;
+        }
+        if (this.mode === 'size') {
+            return size !== null ? size : positionIntensity;
+        }
+        const readings = [positionIntensity, pressure, size].filter(value => value !== null);
+        return readings.reduce((sum, value) => sum + value, 0) / readings.length;
+    }
+
+    /**
+     * Starts learning the player's range: soft hits first, then hard hits
+     */
+    startCalibration() {
+        this.calibration = { step: 'soft', soft: [], hard: [] };
+        this._emitCalibration();
+    }
+
+    /**
+     * Stops calibrating without changing the ranges
+     */
+    cancelCalibration() {
+        if (!this.calibration) {
+            return;
+        }
+        this.calibration = null;
+        this._emitCalibration();
+    }
+
+    /**
+     * Whether calibration is collecting hits
+     * @returns {boolean}
+     */
+    get isCalibrating() {
+        return this.calibration !== null;
+    }
+
+    /**
+     * Feeds a pointer hit to the running calibration
+     * @param {PointerEvent} event
+     */
+    recordCalibrationHit(event) {
+        if (!this.calibration) {
+            return;
+        }
+        const samples = this.calibration[this.calibration.step];
+        samples.push({ pressure: this._readPressure(event), size: VelocitySource.readSize(event) });
+        if (samples.length < this.calibrationHits) {
+            this._emitCalibration();
+            return;
+        }
+        if (this.calibration.step === 'soft') {
+            this.calibration.step = 'hard';
+            this._emitCalibration();
+            return;
+        }
+        this._finishCalibration();
+    }
+
+    /**
+     * Forgets the calibration
+     */
+    resetCalibration() {
+        this.ranges = VelocitySource._mergeRanges(null);
+        this._save();
+        this.emit('change', { mode: this.mode });
+    }
+
+    /**
+     * Gets the calibrated soft-to-hard ranges
+     * @returns {{pressure: {min: number, max: number}, size: {min: number, max: number}}}
+     */
+    getRanges() {
+        return JSON.parse(JSON.stringify(this.ranges));
+    }
+
+    /**
+     * Reads the contact diameter of a touch
+     * @param {PointerEvent} event
+     * @returns {number|null} CSS pixels, or null when the device does not report contact size
+     */
+    static readSize(event) {
+        const width = event.width || 0;
+        const height = event.height || 0;
+        // Mice and devices without contact geometry report 1x1 (or nothing)
+        if (width * height <= 1) {
+            return null;
+        }
+        return Math.sqrt(width * height);
+    }
+
+    /**
+     * @private
+     */
+    _readPressure(event) {
+        if (event.pointerType === 'mouse' || typeof event.pressure !== 'number' || event.pressure <= 0) {
+            return null;
+        }
+        if (event.pressure !== 0.5) {
+            this.pressureSeen = true;
+        }
+        return this.pressureSeen ? event.pressure : null;
+    }
+
+    /**
+     * Maps a raw reading onto 0-1 using the calibrated range
+     * @private
+     */
+    _scale(source, value) {
+        if (value === null) {
+            return null;
+        }
+        const { min, max } = this.ranges[source];
+        return Math.max(0, Math.min(1, (value - min) / (max - min)));
+    }
+
+    /**
+     * Sets each reported source's range from the medians of the soft and hard hits
+     * @private
+     */
+    _finishCalibration() {
+        const { soft, hard } = this.calibration;
+        this.calibration = null;
+        const learned = [];
+        const failed = [];
+        ['pressure', 'size'].forEach(source => {
+            const softValues = soft.map(sample => sample[source]).filter(value => value !== null);
+            const hardValues = hard.map(sample => sample[source]).filter(value => value !== null);
+            if (softValues.length === 0 || hardValues.length === 0) {
+                return;
+            }
+            const min = VelocitySource._median(softValues);
+            const max = VelocitySource._median(hardValues);
+            if (max <= min) {
+                failed.push(source);
+                return;
+            }
+            this.ranges[source] = { min, max };
+            learned.push(source);
+        });
+        this._save();
+        if (window.DebugLogger) {
+            window.DebugLogger.log('VelocitySource: calibrated', learned, 'failed', failed, this.ranges);
+        }
+        this.emit('calibration', { step: 'done', learned, failed, ranges: this.getRanges() });
+        this.emit('change', { mode: this.mode });
+    }
+
+    /**
+     * @private
+     */
+    _emitCalibration() {
+        const calibration = this.calibration;
+        this.emit('calibration', calibration
+            ? { step: calibration.step, count: calibration[calibration.step].length, needed: this.calibrationHits }
+            : { step: 'cancelled' });
+    }
+
+    /**
+     * @private
+     */
+    _save() {
+        SettingsStore.save(this.storageKey, { mode: this.mode, ranges: this.ranges });
+    }
+
+    /**
+     * @private
+     */
+    static _median(values) {
+        const sorted = values.slice().sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
+    /**
+     * Fills in default ranges for missing or invalid stored ones
+     * @private
+     */
+    static _mergeRanges(stored) {
+        const ranges = JSON.parse(JSON.stringify(VelocitySource.DEFAULT_RANGES));
+        if (!stored || typeof stored !== 'object') {
+            return ranges;
+        }
+        Object.keys(ranges).forEach(source => {
+            const range = stored[source];
+            if (range && isFinite(range.min) && isFinite(range.max) && range.max > range.min) {
+                ranges[source] = { min: range.min, max: range.max };
+            }
+        });
+        return ranges;
+    }
+
+    /**
+     * Event emitter methods
+     */
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
+
+    off(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+        }
+    }
+
+    emit(event, data) {
+        if (this.listeners[event]) {
+            this.listeners[event].forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`Error in ${event} listener:`, error);
+                }
+            });
+        }
+    }
+}
+
+VelocitySource.MODES = ['position', 'pressure', 'size', 'blend'];
+
+/**
+ * Uncalibrated ranges: most of the pressure scale, and fingertip-to-flat-finger contact diameters (px)
+ */
+VelocitySource.DEFAULT_RANGES = {
+    pressure: { min: 0.1, max: 0.9 },
+    size: { min: 15, max: 45 }
+};
@@ -0,0 +1,191 @@
+/**
+ * VoiceManager - Tracks playing voices and keeps their number bounded
+ * Every hit's source/gain pair is registered here. Before a new voice starts,
+ * the oldest voice is stolen (faded out quickly) when the zone's voice limit
+ * or the global polyphony cap is reached, and voices of other zones in the
+ * same choke group are cut (e.g., a muted cymbal stopping a ringing cymbal).
+ * Voices also count as over once their buffer has played out, so voices
+ * scheduled ahead (as in offline rendering) are managed the same way.
+ */
+
+class VoiceManager {
+    constructor(config) {
+        this.audioContext = config.audioContext;
+        this.maxVoices = config.maxVoices || 32;
+        this.defaultZoneVoices = config.defaultZoneVoices || 8;
+        this.fadeTime = config.fadeTime !== undefined ? config.fadeTime : 0.015; // seconds
+
+        // Active voices, oldest first: Array<{sourceNode, gainNode, zoneId, chokeGroup, startTime, endTime}>
+        this.voices = [];
+        this.stolenCount = 0;
+
+        this.listeners = {
+            change: []
+        };
+    }
+
+    /**
+     * Makes room for a voice that is about to start
+     * Chokes the other zones in the zone's choke group, then steals the oldest
+     * voices over the zone limit and the global cap.
+     * @param {Object|null} zone - Zone configuration (null for voices outside any zone)
+     * @param {number} when - AudioContext time the new voice starts at
+     */
+    allocate(zone, when = 0) {
+        const startTime = Math.max(when, this.audioContext.currentTime);
+        const zoneId = zone ? zone.id : null;
+
+        // Voices that will have played out by then are not taking up room
+        this.voices
+            .filter(voice => voice.endTime <= startTime)
+            .forEach(voice => this._remove(voice));
+
+        if (zone && zone.chokeGroup) {
+            this.voices
+                .filter(voice => voice.chokeGroup === zone.chokeGroup && voice.zoneId !== zoneId)
+                .forEach(voice => this._release(voice, startTime, 'choke'));
+        }
+
+        if (zone) {
+            const zoneLimit = zone.maxVoices || this.defaultZoneVoices;
+            const zoneVoices = this.voices.filter(voice => voice.zoneId === zoneId);
+            while (zoneVoices.length >= zoneLimit) {
+                this._release(zoneVoices.shift(), startTime, 'zone limit');
+            }
+        }
+
+        while (this.voices.length >= this.maxVoices) {
+            this._release(this.voices[0], startTime, 'polyphony');
+        }
+    }
+
+    /**
+     * Tracks a started voice until it ends or is stolen
+     * @param {{sourceNode: AudioBufferSourceNode, gainNode: GainNode}} nodes
+     * @param {Object|null} zone - Zone configuration
+     * @param {number} when - AudioContext time the voice starts at
+     */
+    add(nodes, zone, when = 0) {
+        const startTime = Math.max(when, this.audioContext.currentTime);
+        const buffer = nodes.sourceNode.buffer;
+        const voice = {
+            sourceNode: nodes.sourceNode,
+            gainNode: nodes.gainNode,
+            zoneId: zone ? zone.id : null,
+            chokeGroup: zone && zone.chokeGroup ? zone.chokeGroup : null,
+            startTime,
+            endTime: buffer ? startTime + buffer.duration : Infinity
+        };
+        this.voices.push(voice);
+        nodes.sourceNode.onended = () => {
+            this._remove(voice);
+            nodes.gainNode.disconnect();
+        };
+        this._emitChange();
+    }
+
+    /**
+     * Fades out every voice
+     */
+    stopAll() {
+        const now = this.audioContext.currentTime;
+        this.voices.slice().forEach(voice => this._release(voice, now, 'stop all'));
+    }
+
+    /**
+     * Sets the global polyphony cap
+     * @param {number} maxVoices
+     */
+    setMaxVoices(maxVoices) {
+        if (!Number.isInteger(maxVoices) || maxVoices < 1) {
+            throw new Error(`Invalid polyphony limit: ${maxVoices}`);
+        }
+        this.maxVoices = maxVoices;
+    }
+
+    /**
+     * Gets the number of active voices, in total and per zone
+     * `stolen` counts every voice cut short (stolen or choked) so far.
+     * @returns {{total: number, max: number, stolen: number, byZone: Object<string, number>}}
+     */
+    getActiveCounts() {
+        const byZone = {};
+        this.voices.forEach(voice => {
+            const key = voice.zoneId || '(none)';
+            byZone[key] = (byZone[key] || 0) + 1;
+        });
+        return {
+            total: this.voices.length,
+            max: this.maxVoices,
+            stolen: this.stolenCount,
+            byZone
+        };
+    }
+
+    /**
+     * Fades a voice out from the given time and stops it
+     * @private
+     */
+    _release(voice, atTime, reason) {
+        this._remove(voice);
+        this.stolenCount++;
+        const releaseTime = Math.max(atTime, this.audioContext.currentTime);
+        try {
+            const gain = voice.gainNode.gain;
+            gain.cancelScheduledValues(releaseTime);
+            gain.setValueAtTime(gain.value, releaseTime);
+            gain.linearRampToValueAtTime(0, releaseTime + this.fadeTime);
+            voice.sourceNode.stop(releaseTime + this.fadeTime);
+        } catch (error) {
+            // The voice may already have ended
+        }
+        if (window.DebugLogger) {
+            window.DebugLogger.log('VoiceManager: released voice of', voice.zoneId, 'reason=', reason, 'active=', this.voices.length);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _remove(voice) {
+        const index = this.voices.indexOf(voice);
+        if (index !== -1) {
+            this.voices.splice(index, 1);
+            this._emitChange();
+        }
+    }
+
+    /**
+     * @private
+     */
+    _emitChange() {
+        this.emit('change', { total: this.voices.length, max: this.maxVoices });
+    }
+
+    /**
+     * Event emitter methods
+     */
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
+
+    off(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+        }
+    }
+
+    emit(event, data) {
+        if (this.listeners[event]) {
+            this.listeners[event].forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`Error in ${event} listener:`, error);
+                }
+            });
+        }
+    }
+}
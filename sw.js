@@ -3,7 +3,7 @@
  * Handles offline support and asset caching
  */
 
-const CACHE_NAME = 'cajon-player-v1';
+const CACHE_NAME = 'cajon-player-v2';
 const RUNTIME_CACHE = 'cajon-player-runtime-v1';
 
 // Assets to cache on install
@@ -13,9 +13,35 @@ const STATIC_ASSETS = [
   '/src/css/styles.css',
   '/src/js/app.js',
   '/src/js/audio-manager.js',
+  '/src/js/voice-manager.js',
+  '/src/js/latency-monitor.js',
+  '/src/js/master-bus.js',
+  '/src/js/mixer.js',
   '/src/js/input-handler.js',
+  '/src/js/velocity-source.js',
+  '/src/js/velocity-curve.js',
+  '/src/js/key-bindings.js',
+  '/src/js/lookahead-scheduler.js',
+  '/src/js/performance-recorder.js',
+  '/src/js/offline-renderer.js',
+  '/src/js/midi-file-writer.js',
+  '/src/js/midi-file-parser.js',
+  '/src/js/midi-player.js',
+  '/src/js/metronome.js',
+  '/src/js/tempo-tracker.js',
+  '/src/js/loop-station.js',
+  '/src/js/settings-store.js',
+  '/src/js/midi-input.js',
+  '/src/js/gamepad-input.js',
+  '/src/js/step-sequencer.js',
+  '/src/js/practice-trainer.js',
+  '/src/js/sample-store.js',
+  '/src/js/user-samples.js',
   '/src/js/trigger-zones.js',
-  '/src/js/zone-config.js',
+  '/src/js/kit-loader.js',
+  '/src/kits/index.json',
+  '/src/kits/cajon.json',
+  '/src/kits/cajon-simple.json',
   '/src/assets/images/cajon.svg'
 ];
 